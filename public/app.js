@@ -3,23 +3,146 @@ class MGVCLApp {
         this.socket = io();
         this.currentSessionId = null;
         this.captchaQueue = [];
+        this.lookupCaptcha = null; // Captcha of this page's quick lookup, shown in the lookup card
+        this.resultFields = [];
         this.browserStatus = new Map();
-        this.captchaTimeouts = new Map();
         
         this.initializeElements();
         this.setupEventListeners();
         this.setupSocketListeners();
         this.initializeBrowserStatus();
+        this.loadCompanies();
+        this.loadSolvers();
+        this.loadOutputProfiles();
+        this.restoreSession();
+    }
+
+    // Follow the session this page was showing before a reload or a server restart
+    async restoreSession() {
+        const sessionId = localStorage.getItem('mgvclSessionId');
+        if (!sessionId) return;
+
+        try {
+            const response = await fetch(`/status/${sessionId}`);
+            const status = await response.json();
+
+            if (!response.ok || !['processing', 'interrupted', 'awaiting-confirmation'].includes(status.status)) {
+                localStorage.removeItem('mgvclSessionId');
+                return;
+            }
+
+            this.currentSessionId = sessionId;
+            this.initializeBrowserStatus(status.backend);
+            this.addLogEntry('info', `Reconnected to session ${sessionId}: ${status.results}/${status.totalConsumers} consumers already processed`);
+
+            if (status.status === 'awaiting-confirmation') {
+                this.showValidationReport(status.validation);
+            } else if (status.status === 'interrupted') {
+                // Not running; offer the resume button
+                this.uploadSection.style.display = 'none';
+                this.showResultsSection();
+                this.loadResultsSummary();
+            } else {
+                this.showProcessingSection();
+            }
+        } catch (error) {
+            console.error('Error restoring session:', error);
+        }
+    }
+
+    async loadCompanies() {
+        try {
+            const response = await fetch('/companies');
+            const { companies, defaultCompany } = await response.json();
+            
+            [this.companySelect, this.lookupCompany].forEach(select => {
+                select.innerHTML = '';
+                companies.forEach(company => {
+                    const option = document.createElement('option');
+                    option.value = company.code;
+                    option.textContent = `${company.code} - ${company.name}`;
+                    option.selected = company.code === defaultCompany;
+                    select.appendChild(option);
+                });
+            });
+        } catch (error) {
+            console.error('Error loading companies:', error);
+        }
+    }
+
+    async loadSolvers() {
+        try {
+            const response = await fetch('/solvers');
+            const { solvers } = await response.json();
+            
+            solvers.forEach(solver => {
+                const option = document.createElement('option');
+                option.value = solver.name;
+                option.textContent = `${solver.description}, operators as fallback`;
+                this.solverSelect.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Error loading captcha solvers:', error);
+        }
+    }
+
+    async loadOutputProfiles() {
+        try {
+            const response = await fetch('/output-profiles');
+            const { profiles, fields } = await response.json();
+            this.resultFields = fields;
+            
+            profiles.forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.name;
+                option.textContent = profile.description ? `${profile.name} (${profile.description})` : profile.name;
+                this.outputProfileSelect.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Error loading output profiles:', error);
+        }
     }
 
     initializeElements() {
         // Form elements
         this.uploadForm = document.getElementById('uploadForm');
         this.excelFileInput = document.getElementById('excelFile');
+        this.consumerListInput = document.getElementById('consumerList');
+        this.filePreview = document.getElementById('filePreview');
+        this.sheetSelect = document.getElementById('sheetSelect');
+        this.columnSelect = document.getElementById('columnSelect');
+        this.hasHeaderInput = document.getElementById('hasHeaderInput');
+        this.previewTable = document.getElementById('previewTable');
+        this.validationReport = document.getElementById('validationReport');
+        this.validationSummary = document.getElementById('validationSummary');
+        this.validationIssues = document.getElementById('validationIssues');
+        this.dedupeInput = document.getElementById('dedupeInput');
+        this.confirmStartBtn = document.getElementById('confirmStart');
+        this.cancelUploadBtn = document.getElementById('cancelUpload');
         this.uploadBtn = document.getElementById('uploadBtn');
+        this.backendSelect = document.getElementById('backendSelect');
+        this.companySelect = document.getElementById('companySelect');
+        this.prioritySelect = document.getElementById('prioritySelect');
+        this.solverSelect = document.getElementById('solverSelect');
+        this.outputProfileSelect = document.getElementById('outputProfileSelect');
+        this.outputModeSelect = document.getElementById('outputModeSelect');
         this.captchaForm = document.getElementById('captchaForm');
         this.captchaInput = document.getElementById('captchaInput');
         
+        // Quick lookup elements
+        this.lookupForm = document.getElementById('lookupForm');
+        this.lookupConsumerNo = document.getElementById('lookupConsumerNo');
+        this.lookupCompany = document.getElementById('lookupCompany');
+        this.lookupBtn = document.getElementById('lookupBtn');
+        this.lookupCaptchaSection = document.getElementById('lookupCaptcha');
+        this.lookupCaptchaImage = document.getElementById('lookupCaptchaImage');
+        this.lookupCaptchaForm = document.getElementById('lookupCaptchaForm');
+        this.lookupCaptchaInput = document.getElementById('lookupCaptchaInput');
+        this.lookupStatus = document.getElementById('lookupStatus');
+        this.lookupResult = document.getElementById('lookupResult');
+        this.billHistory = document.getElementById('billHistory');
+        this.historyConsumer = document.getElementById('historyConsumer');
+        
         // Display elements
         this.uploadSection = document.getElementById('uploadSection');
         this.processingSection = document.getElementById('processingSection');
@@ -36,15 +159,18 @@ class MGVCLApp {
         
         // Captcha elements
         this.captchaImage = document.getElementById('captchaImage');
-        this.captchaConsumer = document.getElementById('captchaBrowser');
+        this.captchaConsumer = document.getElementById('captchaConsumer');
         this.captchaBrowser = document.getElementById('captchaBrowser');
         this.queueCount = document.getElementById('queueCount');
+        this.operatorCount = document.getElementById('operatorCount');
         
         // Results elements
         this.totalProcessed = document.getElementById('totalProcessed');
         this.successCount = document.getElementById('successCount');
         this.failCount = document.getElementById('failCount');
+        this.divisionSummary = document.getElementById('divisionSummary');
         this.downloadResults = document.getElementById('downloadResults');
+        this.resumeSessionBtn = document.getElementById('resumeSession');
         this.startNew = document.getElementById('startNew');
         
         // Log elements
@@ -62,6 +188,15 @@ class MGVCLApp {
             this.handleFileSelect(e);
         });
         
+        // Preview choices
+        this.sheetSelect.addEventListener('change', () => this.selectPreviewSheet(this.sheetSelect.value));
+        this.columnSelect.addEventListener('change', () => this.renderPreviewTable());
+        this.hasHeaderInput.addEventListener('change', () => this.renderPreviewTable());
+        
+        // Validation report choices
+        this.confirmStartBtn.addEventListener('click', () => this.handleConfirmStart());
+        this.cancelUploadBtn.addEventListener('click', () => this.resetApplication());
+        
         // Upload form submit
         this.uploadForm.addEventListener('submit', (e) => {
             e.preventDefault();
@@ -79,6 +214,11 @@ class MGVCLApp {
             this.handleDownloadResults();
         });
         
+        // Resume unfinished and failed consumers
+        this.resumeSessionBtn.addEventListener('click', () => {
+            this.handleResumeSession();
+        });
+        
         // Start new processing
         this.startNew.addEventListener('click', () => {
             this.resetApplication();
@@ -94,6 +234,24 @@ class MGVCLApp {
         document.getElementById('reloadCaptchaBtn').addEventListener('click', () => {
             this.handleReloadCaptcha();
         });
+        
+        // Quick lookup of one consumer, with its captcha answered in the lookup card
+        this.lookupForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleQuickLookup();
+        });
+        document.getElementById('historyBtn').addEventListener('click', () => {
+            this.handleShowHistory();
+        });
+        this.lookupCaptchaForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleLookupCaptchaSubmit();
+        });
+        document.getElementById('lookupReloadBtn').addEventListener('click', () => {
+            if (this.lookupCaptcha) {
+                this.socket.emit('reload-captcha', { requestId: this.lookupCaptcha.requestId });
+            }
+        });
     }
 
     setupSocketListeners() {
@@ -113,6 +271,32 @@ class MGVCLApp {
             this.handleCaptchaError(data);
         });
         
+        // Answered elsewhere, expired or dropped by the server
+        this.socket.on('captcha-resolved', (data) => {
+            this.removeCaptchaFromQueue(data.requestId);
+        });
+        
+        this.socket.on('captcha-cancelled', (data) => {
+            if (this.isLookupCaptcha(data.requestId)) {
+                this.hideLookupCaptcha();
+                return;
+            }
+            if (!this.captchaQueue.some(item => item.requestId === data.requestId)) return;
+            this.removeCaptchaFromQueue(data.requestId);
+            this.addLogEntry('error', `Captcha for ${data.consumerNo} cancelled: ${data.reason}`, data.browserId);
+        });
+        
+        // The server moved our captcha on to another operator
+        this.socket.on('captcha-revoked', (data) => {
+            this.removeCaptchaFromQueue(data.requestId);
+            this.addLogEntry('info', `Captcha reassigned: ${data.reason}`);
+        });
+        
+        this.socket.on('captcha-queue', (stats) => {
+            this.queueCount.textContent = stats.pending.toString();
+            this.operatorCount.textContent = stats.operators.toString();
+        });
+        
         this.socket.on('consumer-processed', (data) => {
             this.handleConsumerProcessed(data);
         });
@@ -130,17 +314,24 @@ class MGVCLApp {
         });
     }
 
-    initializeBrowserStatus() {
+    initializeBrowserStatus(backend = 'browser') {
+        // Worker ids follow the backend: browser_0..4 for Playwright, api_0..4 for the HTTP backend
+        const prefix = backend === 'api' ? 'api' : 'browser';
+        const label = backend === 'api' ? 'API Session' : 'Browser';
+        
+        this.browserStatus.clear();
+        this.browserGrid.innerHTML = '';
+        
         // Initialize 5 browser status items
         for (let i = 0; i < 5; i++) {
-            const browserId = `browser_${i}`;
+            const browserId = `${prefix}_${i}`;
             this.browserStatus.set(browserId, 'available');
             
             const browserItem = document.createElement('div');
             browserItem.className = 'browser-item available';
-            browserItem.id = `browser-${i}`;
+            browserItem.id = `${prefix}-${i}`;
             browserItem.innerHTML = `
-                <div>Browser ${i + 1}</div>
+                <div>${label} ${i + 1}</div>
                 <div class="browser-status-text">Available</div>
             `;
             
@@ -156,24 +347,119 @@ class MGVCLApp {
             this.fileInfo.style.display = 'block';
             
             // Validate file type
-            const allowedTypes = ['.xlsx', '.xls'];
+            const allowedTypes = ['.xlsx', '.xls', '.ods', '.csv', '.tsv'];
             const fileExt = file.name.toLowerCase().substring(file.name.lastIndexOf('.'));
             
             if (!allowedTypes.includes(fileExt)) {
-                this.addLogEntry('error', 'Invalid file type. Please select an Excel file (.xlsx or .xls)');
+                this.addLogEntry('error', 'Invalid file type. Please select an Excel, ODS, CSV or TSV file');
                 this.excelFileInput.value = '';
                 this.fileInfo.style.display = 'none';
+                this.filePreview.style.display = 'none';
+                this.preview = null;
                 return;
             }
             
             this.addLogEntry('success', `File selected: ${file.name}`);
+            this.loadFilePreview(file);
         }
     }
 
+    // Ask the server where the consumer numbers are and show the first rows for confirmation
+    async loadFilePreview(file) {
+        this.preview = null;
+        this.filePreview.style.display = 'none';
+        
+        const formData = new FormData();
+        formData.append('excelFile', file);
+        try {
+            const response = await fetch('/preview', { method: 'POST', body: formData });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Preview failed');
+            }
+            
+            this.preview = result;
+            this.sheetSelect.innerHTML = '';
+            result.sheets.forEach(sheet => {
+                const option = document.createElement('option');
+                option.value = sheet.name;
+                option.textContent = `${sheet.name} (${sheet.totalRows} rows)`;
+                this.sheetSelect.appendChild(option);
+            });
+            this.selectPreviewSheet(result.layout.sheetName, result.layout);
+            this.filePreview.style.display = 'block';
+            
+            const count = this.getPreviewSheet().consumerCounts[this.columnSelect.selectedIndex];
+            this.addLogEntry('info', `Found ${count} consumer numbers in sheet "${result.layout.sheetName}", column ${result.layout.column}`);
+        } catch (error) {
+            this.addLogEntry('error', `Could not preview file: ${error.message}`);
+        }
+    }
+
+    getPreviewSheet() {
+        return this.preview.sheets.find(sheet => sheet.name === this.sheetSelect.value);
+    }
+
+    // Fill the column choices of a sheet; without a detected layout, take the column with the most consumer numbers
+    selectPreviewSheet(sheetName, layout = null) {
+        this.sheetSelect.value = sheetName;
+        const sheet = this.getPreviewSheet();
+        
+        this.columnSelect.innerHTML = '';
+        sheet.columns.forEach((column, index) => {
+            const option = document.createElement('option');
+            option.value = column;
+            option.textContent = `Column ${column} (${sheet.consumerCounts[index]} numbers)`;
+            this.columnSelect.appendChild(option);
+        });
+        
+        if (layout) {
+            this.columnSelect.value = layout.column;
+            this.hasHeaderInput.checked = layout.hasHeader;
+        } else if (sheet.columns.length > 0) {
+            const best = sheet.consumerCounts.indexOf(Math.max(...sheet.consumerCounts));
+            this.columnSelect.value = sheet.columns[best];
+            const firstCell = String((sheet.rows[0] || [])[best] || '').trim();
+            this.hasHeaderInput.checked = !/^[\d\s-]{6,}$/.test(firstCell);
+        }
+        this.renderPreviewTable();
+    }
+
+    renderPreviewTable() {
+        const sheet = this.getPreviewSheet();
+        const consumerColumn = sheet.columns.indexOf(this.columnSelect.value);
+        const thead = this.previewTable.querySelector('thead');
+        const tbody = this.previewTable.querySelector('tbody');
+        thead.innerHTML = '';
+        tbody.innerHTML = '';
+        
+        const headRow = document.createElement('tr');
+        ['', ...sheet.columns].forEach((column, index) => {
+            const cell = document.createElement('th');
+            cell.textContent = column;
+            if (index - 1 === consumerColumn) cell.className = 'consumer-column';
+            headRow.appendChild(cell);
+        });
+        thead.appendChild(headRow);
+        
+        sheet.rows.forEach((values, rowIndex) => {
+            const row = document.createElement('tr');
+            if (rowIndex === 0 && this.hasHeaderInput.checked) row.className = 'header-row';
+            [rowIndex + 1, ...sheet.columns.map((column, index) => values[index] ?? '')].forEach((value, index) => {
+                const cell = document.createElement(index === 0 ? 'th' : 'td');
+                cell.textContent = value;
+                if (index - 1 === consumerColumn) cell.className = 'consumer-column';
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+    }
+
     async handleFileUpload() {
         const file = this.excelFileInput.files[0];
-        if (!file) {
-            this.addLogEntry('error', 'Please select a file first');
+        const consumerList = this.consumerListInput.value.trim();
+        if (!file && !consumerList) {
+            this.addLogEntry('error', 'Please select a file or paste consumer numbers first');
             return;
         }
 
@@ -183,7 +469,23 @@ class MGVCLApp {
         this.uploadBtn.disabled = true;
 
         const formData = new FormData();
-        formData.append('excelFile', file);
+        formData.append('backend', this.backendSelect.value);
+        formData.append('company', this.companySelect.value);
+        formData.append('priority', this.prioritySelect.value);
+        formData.append('solver', this.solverSelect.value);
+        formData.append('outputProfile', this.outputProfileSelect.value);
+        formData.append('outputMode', this.outputModeSelect.value);
+        if (file) {
+            // Sheet, column and header as confirmed in the preview
+            if (this.preview) {
+                formData.append('sheetName', this.sheetSelect.value);
+                formData.append('consumerColumn', this.columnSelect.value);
+                formData.append('hasHeader', String(this.hasHeaderInput.checked));
+            }
+            formData.append('excelFile', file);
+        } else {
+            formData.append('consumerList', consumerList);
+        }
 
         try {
             const response = await fetch('/upload', {
@@ -195,8 +497,17 @@ class MGVCLApp {
 
             if (response.ok) {
                 this.currentSessionId = result.sessionId;
-                this.addLogEntry('success', `File uploaded successfully. Processing ${result.totalConsumers} consumer numbers...`);
-                this.showProcessingSection();
+                localStorage.setItem('mgvclSessionId', result.sessionId);
+                this.initializeBrowserStatus(result.backend);
+                const source = result.source === 'list' ? 'Consumer list received' : 'File uploaded successfully';
+                if (result.status === 'awaiting-confirmation') {
+                    this.addLogEntry('warning', `${source}. Some rows need a decision before processing starts.`);
+                    this.showValidationReport(result.validation);
+                } else {
+                    this.logPaddedRows(result.validation);
+                    this.addLogEntry('success', `${source}. Processing ${result.totalConsumers} consumer numbers using the ${result.backend} backend...`);
+                    this.showProcessingSection();
+                }
             } else {
                 throw new Error(result.error || 'Upload failed');
             }
@@ -210,6 +521,85 @@ class MGVCLApp {
         }
     }
 
+    logPaddedRows(validation) {
+        if (validation && validation.padded.length > 0) {
+            this.addLogEntry('info', `${validation.padded.length} consumer numbers have fewer than 11 digits and are looked up with leading zeros`);
+        }
+    }
+
+    // List the rows the upload left out or repeats, with a field to correct each left-out number
+    showValidationReport(validation) {
+        const problems = {
+            tooShort: 'Too short',
+            tooLong: 'Too long',
+            nonNumeric: 'Not a number'
+        };
+        this.uploadForm.style.display = 'none';
+        this.validationReport.style.display = 'block';
+        this.validationIssues.innerHTML = '';
+        
+        const addRow = (row, value, problem, fixInput) => {
+            const tr = document.createElement('tr');
+            [row, value, problem].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                tr.appendChild(cell);
+            });
+            const fixCell = document.createElement('td');
+            if (fixInput) fixCell.appendChild(fixInput);
+            tr.appendChild(fixCell);
+            this.validationIssues.appendChild(tr);
+        };
+        
+        Object.entries(problems).forEach(([issue, label]) => {
+            validation[issue].forEach(({ row, value }) => {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.placeholder = 'Leave empty to skip';
+                input.dataset.row = row;
+                addRow(row, value, label, input);
+            });
+        });
+        validation.duplicates.forEach(({ consumerNo, company, rows }) => {
+            addRow(rows.join(', '), consumerNo, `Repeated (${company})`, null);
+        });
+        validation.padded.forEach(({ row, value, paddedValue }) => {
+            addRow(row, value, `Looked up as ${paddedValue}`, null);
+        });
+        
+        const leftOut = validation.tooShort.length + validation.tooLong.length + validation.nonNumeric.length;
+        this.validationSummary.textContent = `${validation.valid} of ${validation.total} rows are ready to process. ` +
+            `${leftOut} left out, ${validation.duplicates.length} numbers repeated.`;
+        this.dedupeInput.parentElement.style.display = validation.duplicates.length > 0 ? 'block' : 'none';
+    }
+
+    async handleConfirmStart() {
+        const fixes = {};
+        this.validationIssues.querySelectorAll('input[data-row]').forEach(input => {
+            if (input.value.trim()) fixes[input.dataset.row] = input.value.trim();
+        });
+        
+        try {
+            const response = await fetch(`/start/${this.currentSessionId}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ dedupe: this.dedupeInput.checked, fixes })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Could not start processing');
+            }
+            
+            this.validationReport.style.display = 'none';
+            this.uploadForm.style.display = 'block';
+            this.logPaddedRows(result.validation);
+            this.addLogEntry('success', `Processing ${result.totalConsumers} consumer numbers...`);
+            this.showProcessingSection();
+        } catch (error) {
+            this.addLogEntry('error', error.message);
+        }
+    }
+
     async handleCaptchaSubmit() {
         const captchaText = this.captchaInput.value.trim();
         if (!captchaText) {
@@ -228,7 +618,7 @@ class MGVCLApp {
         this.addLogEntry('info', `Submitting captcha for browser ${browserId}...`);
 
         this.socket.emit('captcha-response', {
-            sessionId: this.currentSessionId,
+            requestId: currentCaptcha.requestId,
             captcha: captchaText,
             browserId: browserId,
             consumerNo: currentCaptcha.consumerNo
@@ -241,7 +631,7 @@ class MGVCLApp {
     updateProcessingStatus(data) {
         if (data.sessionId !== this.currentSessionId) return;
 
-        this.currentConsumer.textContent = data.consumerNo;
+        this.currentConsumer.textContent = data.company ? `${data.consumerNo} (${data.company})` : data.consumerNo;
         this.currentBrowser.textContent = data.browserId;
 
         // Update browser status
@@ -250,26 +640,17 @@ class MGVCLApp {
         this.addLogEntry('info', `Processing consumer: ${data.consumerNo}`, data.browserId);
     }
 
+    // Captchas are assigned to this page by the server, whichever session they belong to
     handleCaptchaRequired(data) {
-        if (data.sessionId !== this.currentSessionId) return;
-
-        this.addLogEntry('info', `Received captcha request for browser ${data.browserId}`);
-
-        // Clear any existing timeout for this browser
-        if (this.captchaTimeouts.has(data.browserId)) {
-            clearTimeout(this.captchaTimeouts.get(data.browserId));
+        // Pinned captchas belong to this page's quick lookup
+        if (data.pinned) {
+            this.showLookupCaptcha(data);
+            return;
         }
+        this.addLogEntry('info', `Received captcha request for browser ${data.browserId}`);
 
-        // Set new timeout
-        const timeout = setTimeout(() => {
-            this.removeCaptchaFromQueue(data.browserId);
-            this.addLogEntry('error', `Captcha timeout for browser ${data.browserId}`);
-        }, 5 * 60 * 1000); // 5 minutes timeout
-
-        this.captchaTimeouts.set(data.browserId, timeout);
-
-        // Update or add to queue
-        const existingIndex = this.captchaQueue.findIndex(item => item.browserId === data.browserId);
+        // Update or add to queue; a reloaded captcha keeps its request ID
+        const existingIndex = this.captchaQueue.findIndex(item => item.requestId === data.requestId);
         if (existingIndex >= 0) {
             this.captchaQueue[existingIndex] = data;
             this.addLogEntry('info', `Updated captcha for browser ${data.browserId}`);
@@ -283,8 +664,13 @@ class MGVCLApp {
     }
 
     handleCaptchaSubmitted(data) {
+        if (this.isLookupCaptcha(data.requestId)) {
+            this.hideLookupCaptcha();
+            this.lookupStatus.textContent = 'Captcha accepted, reading the bill...';
+            return;
+        }
         if (data.success) {
-            this.removeCaptchaFromQueue(data.browserId);
+            this.removeCaptchaFromQueue(data.requestId);
             this.addLogEntry('success', 'Captcha submitted successfully', data.browserId);
 
             // Re-enable input for next captcha
@@ -306,11 +692,12 @@ class MGVCLApp {
         const currentCaptcha = this.captchaQueue[0];
         if (currentCaptcha) {
             this.captchaSection.style.display = 'block';
-            this.captchaConsumer.textContent = currentCaptcha.consumerNo;
+            this.captchaConsumer.textContent = currentCaptcha.company
+                ? `${currentCaptcha.consumerNo} (${currentCaptcha.company})`
+                : currentCaptcha.consumerNo;
             this.captchaBrowser.textContent = currentCaptcha.browserId;
             this.captchaImage.src = currentCaptcha.captchaImage;
             this.captchaImage.style.display = 'block';
-            this.queueCount.textContent = this.captchaQueue.length.toString();
             
             // Enable input fields
             this.captchaInput.disabled = false;
@@ -320,21 +707,24 @@ class MGVCLApp {
         }
     }
 
-    removeCaptchaFromQueue(browserId) {
-        const index = this.captchaQueue.findIndex(item => item.browserId === browserId);
+    removeCaptchaFromQueue(requestId) {
+        const index = this.captchaQueue.findIndex(item => item.requestId === requestId);
         if (index >= 0) {
             this.captchaQueue.splice(index, 1);
             this.updateCaptchaDisplay();
         }
-
-        // Clear timeout
-        if (this.captchaTimeouts.has(browserId)) {
-            clearTimeout(this.captchaTimeouts.get(browserId));
-            this.captchaTimeouts.delete(browserId);
-        }
     }
 
     handleCaptchaError(data) {
+        if (this.isLookupCaptcha(data.requestId)) {
+            this.lookupCaptchaInput.disabled = false;
+            this.lookupCaptchaInput.value = '';
+            this.lookupStatus.textContent = `Captcha error: ${data.error}`;
+            if (!data.reloadFailed) {
+                this.socket.emit('reload-captcha', { requestId: data.requestId });
+            }
+            return;
+        }
         // Re-enable input
         this.captchaInput.disabled = false;
         this.captchaForm.querySelector('button[type="submit"]').disabled = false;
@@ -345,14 +735,11 @@ class MGVCLApp {
         // Show error
         this.addLogEntry('error', `Captcha error: ${data.error}`, data.browserId);
         
-        // Request new captcha image
-        const currentCaptcha = this.captchaQueue[0];
-        if (currentCaptcha) {
-            this.socket.emit('reload-captcha', {
-                sessionId: this.currentSessionId,
-                browserId: currentCaptcha.browserId,
-                consumerNo: currentCaptcha.consumerNo
-            });
+        // Request new captcha image, unless the server already dropped the request
+        // or it was the reload itself that failed
+        const currentCaptcha = this.captchaQueue.find(item => item.requestId === data.requestId);
+        if (currentCaptcha && !data.reloadFailed) {
+            this.socket.emit('reload-captcha', { requestId: currentCaptcha.requestId });
         }
     }
 
@@ -361,11 +748,23 @@ class MGVCLApp {
         
         const browserId = data.result.browserId || 'unknown';
         this.updateBrowserStatus(browserId, 'available');
+        
+        // The consumer's own columns from the upload, e.g. "14102000674 (Tenant: Mehta)"
+        const labels = Object.entries(data.result.metadata || {}).map(([label, value]) => `${label}: ${value}`).join(', ');
+        const consumer = labels ? `${data.consumerNo} (${labels})` : data.consumerNo;
 
         if (data.result.error) {
-            this.addLogEntry('error', `Failed to process ${data.consumerNo}: ${data.result.error}`, browserId);
+            const errorCode = data.result.errorCode ? ` [${data.result.errorCode}]` : '';
+            this.addLogEntry('error', `Failed to process ${consumer}${errorCode}: ${data.result.error}`, browserId);
         } else {
-            this.addLogEntry('success', `Successfully processed ${data.consumerNo}`, browserId);
+            const { consumerName, amountToPay, dueDate, division, subdivision } = data.result;
+            const details = [
+                consumerName,
+                amountToPay !== undefined && amountToPay !== '' ? `₹${amountToPay}` : null,
+                dueDate ? `due ${dueDate}` : null,
+                [division, subdivision].filter(Boolean).join(' / ')
+            ].filter(Boolean).join(', ');
+            this.addLogEntry('success', `Successfully processed ${consumer}${details ? `: ${details}` : ''}`, browserId);
         }
     }
 
@@ -429,16 +828,38 @@ class MGVCLApp {
         }
     }
 
+    // Successful lookups and amounts per division, for routing the bills
+    renderDivisionSummary(divisions) {
+        this.divisionSummary.style.display = divisions.length > 0 ? 'block' : 'none';
+        const tbody = this.divisionSummary.querySelector('tbody');
+        tbody.innerHTML = '';
+
+        divisions
+            .sort((a, b) => b.count - a.count)
+            .forEach(({ company, division, count, amount }) => {
+                const row = document.createElement('tr');
+                [company, division, count, `₹${amount.toFixed(2)}`].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                tbody.appendChild(row);
+            });
+    }
+
     async loadResultsSummary() {
         try {
             const response = await fetch(`/status/${this.currentSessionId}`);
             const status = await response.json();
             
             this.totalProcessed.textContent = status.results || 0;
-            // Note: We'll need to get success/fail counts from the backend
-            // For now, showing total as processed
-            this.successCount.textContent = status.results || 0;
-            this.failCount.textContent = '0';
+            this.successCount.textContent = (status.results || 0) - (status.failed || 0);
+            this.failCount.textContent = status.failed || 0;
+            this.renderDivisionSummary(status.byDivision || []);
+            
+            // Offer to re-run the consumers that failed or never ran
+            this.resumeSessionBtn.style.display = status.resumable > 0 ? 'block' : 'none';
+            this.resumeSessionBtn.textContent = `⏯️ Resume ${status.resumable} Unfinished`;
             
         } catch (error) {
             console.error('Error loading results summary:', error);
@@ -548,9 +969,35 @@ class MGVCLApp {
         this.resultsSection.style.display = 'block';
     }
 
+    async handleResumeSession() {
+        this.resumeSessionBtn.disabled = true;
+
+        try {
+            const response = await fetch(`/resume/${this.currentSessionId}`, { method: 'POST' });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Resume failed');
+            }
+
+            this.captchaQueue = [];
+            this.initializeBrowserStatus(result.backend);
+            this.resumeSessionBtn.style.display = 'none';
+            this.resultsSection.style.display = 'none';
+            this.showProcessingSection();
+            this.addLogEntry('info', `Resuming session: re-processing ${result.requeued} unfinished or failed consumers...`);
+        } catch (error) {
+            this.addLogEntry('error', `Resume failed: ${error.message}`);
+        } finally {
+            this.resumeSessionBtn.disabled = false;
+        }
+    }
+
     resetApplication() {
         this.currentSessionId = null;
+        localStorage.removeItem('mgvclSessionId');
         this.captchaQueue = [];
+        this.resumeSessionBtn.style.display = 'none';
         
         // Reset UI
         this.uploadSection.style.display = 'block';
@@ -561,6 +1008,10 @@ class MGVCLApp {
         // Reset form
         this.uploadForm.reset();
         this.fileInfo.style.display = 'none';
+        this.filePreview.style.display = 'none';
+        this.preview = null;
+        this.validationReport.style.display = 'none';
+        this.uploadForm.style.display = 'block';
         
         // Reset browser status
         this.browserStatus.forEach((status, browserId) => {
@@ -576,11 +1027,15 @@ class MGVCLApp {
         
         const timestamp = new Date().toLocaleTimeString();
         const browserInfo = browserId ? ` [${browserId}]` : '';
-        logEntry.innerHTML = `
-            <span class="log-time">[${timestamp}]${browserInfo}</span>
-            <span class="log-message">${message}</span>
-        `;
-        
+        // Messages carry file, sheet and header names and site text, so they are set as text, never as HTML
+        const time = document.createElement('span');
+        time.className = 'log-time';
+        time.textContent = `[${timestamp}]${browserInfo}`;
+        const text = document.createElement('span');
+        text.className = 'log-message';
+        text.textContent = message;
+        logEntry.append(time, ' ', text);
+
         this.logContainer.appendChild(logEntry);
         this.logContainer.scrollTop = this.logContainer.scrollHeight;
     }
@@ -593,16 +1048,143 @@ class MGVCLApp {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
+    // Look up one consumer; the request stays open until the bill is read
+    async handleQuickLookup() {
+        const consumerNo = this.lookupConsumerNo.value.trim();
+        if (!consumerNo) return;
+
+        this.lookupBtn.disabled = true;
+        this.lookupResult.style.display = 'none';
+        this.lookupStatus.className = 'lookup-status';
+        this.lookupStatus.textContent = `Looking up ${consumerNo}...`;
+
+        try {
+            const response = await fetch('/lookup', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    consumerNo,
+                    company: this.lookupCompany.value,
+                    backend: this.backendSelect.value,
+                    solver: this.solverSelect.value,
+                    socketId: this.socket.id
+                })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.errorCode ? `${result.error} [${result.errorCode}]` : result.error);
+            }
+
+            this.lookupStatus.textContent = '';
+            this.renderLookupResult(result);
+            this.addLogEntry('success', `Quick lookup of ${result.consumerNo}: ${result.consumerName || 'done'}`, result.browserId);
+        } catch (error) {
+            this.lookupStatus.className = 'lookup-status error';
+            this.lookupStatus.textContent = error.message;
+            this.addLogEntry('error', `Quick lookup of ${consumerNo} failed: ${error.message}`);
+        } finally {
+            this.hideLookupCaptcha();
+            this.lookupBtn.disabled = false;
+        }
+    }
+
+    renderLookupResult(result) {
+        const tbody = this.lookupResult.querySelector('tbody');
+        tbody.innerHTML = '';
+        this.resultFields
+            .filter(field => result[field.name] !== undefined && result[field.name] !== '')
+            .forEach(field => {
+                const row = document.createElement('tr');
+                const label = document.createElement('th');
+                label.textContent = field.header;
+                const value = document.createElement('td');
+                value.textContent = result[field.name];
+                row.append(label, value);
+                tbody.appendChild(row);
+            });
+        this.lookupResult.style.display = 'table';
+    }
+
+    // Show every recorded lookup of the consumer in the lookup card, oldest first
+    async handleShowHistory() {
+        const consumerNo = this.lookupConsumerNo.value.trim();
+        if (!consumerNo) return;
+
+        this.lookupStatus.className = 'lookup-status';
+        this.lookupStatus.textContent = '';
+        this.billHistory.style.display = 'none';
+        try {
+            const response = await fetch(`/history/${encodeURIComponent(consumerNo)}?company=${this.lookupCompany.value}`);
+            const history = await response.json();
+            if (!response.ok) {
+                throw new Error(history.error);
+            }
+
+            this.historyConsumer.textContent = history.consumerName ? `${history.consumerNo} (${history.consumerName})` : history.consumerNo;
+            const tbody = this.billHistory.querySelector('tbody');
+            tbody.innerHTML = '';
+            history.records.forEach(record => {
+                const row = document.createElement('tr');
+                [
+                    new Date(record.recordedAt).toLocaleString(),
+                    record.billDate,
+                    record.billingPeriod,
+                    record.amountToPay !== '' ? `₹${record.amountToPay}` : '',
+                    record.dueDate,
+                    record.outstandingAmount !== '' ? `₹${record.outstandingAmount}` : '',
+                    record.lastPaidDetail
+                ].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                tbody.appendChild(row);
+            });
+            this.billHistory.style.display = 'block';
+        } catch (error) {
+            this.lookupStatus.className = 'lookup-status error';
+            this.lookupStatus.textContent = error.message;
+        }
+    }
+
+    isLookupCaptcha(requestId) {
+        return Boolean(this.lookupCaptcha) && this.lookupCaptcha.requestId === requestId;
+    }
+
+    showLookupCaptcha(data) {
+        this.lookupCaptcha = data;
+        this.lookupCaptchaImage.src = data.captchaImage;
+        this.lookupCaptchaInput.disabled = false;
+        this.lookupCaptchaSection.style.display = 'block';
+        this.lookupStatus.textContent = `Enter the captcha for ${data.consumerNo}`;
+        this.lookupCaptchaInput.focus();
+    }
+
+    hideLookupCaptcha() {
+        this.lookupCaptcha = null;
+        this.lookupCaptchaInput.value = '';
+        this.lookupCaptchaSection.style.display = 'none';
+    }
+
+    handleLookupCaptchaSubmit() {
+        const captchaText = this.lookupCaptchaInput.value.trim();
+        if (!captchaText || !this.lookupCaptcha) return;
+
+        this.lookupCaptchaInput.disabled = true;
+        this.socket.emit('captcha-response', {
+            requestId: this.lookupCaptcha.requestId,
+            captcha: captchaText,
+            browserId: this.lookupCaptcha.browserId,
+            consumerNo: this.lookupCaptcha.consumerNo
+        });
+    }
+
     handleReloadCaptcha() {
         // Get the current captcha info
         const currentCaptcha = this.captchaQueue[0];
         if (!currentCaptcha) return;
         // Emit reload-captcha event to backend
-        this.socket.emit('reload-captcha', {
-            sessionId: this.currentSessionId,
-            browserId: currentCaptcha.browserId,
-            consumerNo: currentCaptcha.consumerNo
-        });
+        this.socket.emit('reload-captcha', { requestId: currentCaptcha.requestId });
         this.addLogEntry('info', 'Requested captcha reload...', currentCaptcha.browserId);
     }
 }
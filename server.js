@@ -6,7 +6,28 @@ const path = require('path');
 const fs = require('fs-extra');
 const cors = require('cors');
 const BrowserManager = require('./src/browserManager');
+const ApiProcessor = require('./src/apiProcessor');
 const ExcelProcessor = require('./src/excelProcessor');
+const JobScheduler = require('./src/jobScheduler');
+const SessionStore = require('./src/sessionStore');
+const CaptchaBroker = require('./src/captchaBroker');
+const { createCaptchaSolvers } = require('./src/captchaSolver');
+const CaptchaDataset = require('./src/captchaDataset');
+const CaptchaBuffer = require('./src/captchaBuffer');
+const { OutputProfileStore, FIELDS: OUTPUT_FIELDS } = require('./src/outputProfiles');
+const { WebhookNotifier, WEBHOOK_EVENTS } = require('./src/webhooks');
+const BillHistory = require('./src/billHistory');
+const { COMPANIES, DEFAULT_COMPANY, normalizeCompany } = require('./src/companies');
+const {
+    UnknownCompanyError,
+    CancelledError,
+    WorkerUnavailableError,
+    RETRY_POLICIES,
+    MAX_TOTAL_ATTEMPTS,
+    NOT_PROCESSED,
+    classifyError,
+    isRetryable
+} = require('./src/errors');
 
 // Ensure results directory exists
 const resultsDir = './results';
@@ -41,24 +62,156 @@ const storage = multer.diskStorage({
 const upload = multer({ 
     storage: storage,
     fileFilter: (req, file, cb) => {
-        const allowedTypes = ['.xlsx', '.xls'];
         const fileExt = path.extname(file.originalname).toLowerCase();
-        if (allowedTypes.includes(fileExt)) {
+        if (ExcelProcessor.SUPPORTED_EXTENSIONS.includes(fileExt)) {
             cb(null, true);
         } else {
-            cb(new Error('Only Excel files are allowed'), false);
+            cb(new Error('Only Excel, ODS, CSV and TSV files are allowed'), false);
         }
     }
 });
 
-// Initialize browser manager and excel processor
-const browserManager = new BrowserManager(5); // 5 concurrent browsers
+// Initialize browser manager, API processor and excel processor
+// MGVCL_BASE_URL points both backends at another QuickPay site, e.g. the mock (npm run mock)
+const MGVCL_BASE_URL = process.env.MGVCL_BASE_URL || undefined;
+const browserManager = new BrowserManager(5, { baseUrl: MGVCL_BASE_URL }); // 5 concurrent browsers
+const apiProcessor = new ApiProcessor(5, { baseUrl: MGVCL_BASE_URL }); // 5 concurrent HTTP sessions
 const excelProcessor = new ExcelProcessor();
+// Saved layouts for the results workbook, picked per upload
+const outputProfiles = new OutputProfileStore(process.env.OUTPUT_PROFILES_DIR || './output-profiles');
+const OUTPUT_MODES = ['new', 'original'];
+// Every successful extraction, kept per consumer beyond the results workbooks
+const billHistory = new BillHistory(process.env.BILL_HISTORY_DIR || './bill-history');
+// Outgoing webhooks for job events, with their delivery log
+const webhooks = new WebhookNotifier({
+    baseDir: process.env.WEBHOOKS_DIR || './webhooks',
+    maxAttempts: Number.parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+    retryDelayMs: (Number.parseFloat(process.env.WEBHOOK_RETRY_DELAY) || 5) * 1000
+});
+
+// Extraction drivers by backend name: 'browser' drives Playwright windows, 'api' talks to GetConsStatus.php directly.
+// Processing code only uses the ExtractionDriver contract (see src/extractionDriver.js)
+const drivers = {
+    browser: browserManager,
+    api: apiProcessor
+};
+const EXTRACTION_BACKENDS = Object.keys(drivers);
+
+// Shares the workers of each backend fairly between all running sessions ('round-robin' or 'priority')
+const scheduler = new JobScheduler({
+    drivers,
+    policy: JobScheduler.POLICIES.includes(process.env.SCHEDULER_POLICY) ? process.env.SCHEDULER_POLICY : 'round-robin',
+    runConsumer: (sessionId, consumer) => processConsumer(consumer, sessionId)
+});
+const DEFAULT_BACKEND = EXTRACTION_BACKENDS.includes(process.env.EXTRACTION_BACKEND)
+    ? process.env.EXTRACTION_BACKEND
+    : 'browser';
+
+// Routes each captcha to one connected operator (page) and the answer back to the waiting lookup
+const captchaBroker = new CaptchaBroker({
+    assignmentTimeoutMs: (Number.parseInt(process.env.CAPTCHA_ASSIGNMENT_TIMEOUT, 10) || 60) * 1000
+});
+captchaBroker.on('captcha-assigned', ({ operatorId, request }) => io.to(operatorId).emit('captcha-required', request));
+captchaBroker.on('captcha-revoked', ({ operatorId, requestId, reason }) => io.to(operatorId).emit('captcha-revoked', { requestId, reason }));
+captchaBroker.on('captcha-resolved', (request) => io.emit('captcha-resolved', request));
+captchaBroker.on('captcha-cancelled', (request) => io.emit('captcha-cancelled', request));
+captchaBroker.on('queue-changed', (stats) => io.emit('captcha-queue', stats));
+
+// Webhooks hear about a captcha that nobody has answered for CAPTCHA_PENDING_ALERT seconds (default 120)
+const CAPTCHA_PENDING_ALERT_MS = (Number.parseFloat(process.env.CAPTCHA_PENDING_ALERT) || 120) * 1000;
+const captchaAlerts = new Map(); // Request ID -> alert timer
+captchaBroker.on('captcha-required', (request) => {
+    captchaAlerts.set(request.requestId, setTimeout(() => {
+        captchaAlerts.delete(request.requestId);
+        notifyWebhooks('captcha-pending', {
+            requestId: request.requestId,
+            jobId: request.sessionId,
+            consumerNo: request.consumerNo,
+            company: request.company,
+            backend: request.backend,
+            pendingSeconds: CAPTCHA_PENDING_ALERT_MS / 1000,
+            queue: captchaBroker.getStats()
+        });
+    }, CAPTCHA_PENDING_ALERT_MS));
+});
+const clearCaptchaAlert = ({ requestId }) => {
+    clearTimeout(captchaAlerts.get(requestId));
+    captchaAlerts.delete(requestId);
+};
+captchaBroker.on('captcha-resolved', clearCaptchaAlert);
+captchaBroker.on('captcha-cancelled', clearCaptchaAlert);
+
+// Tell the webhooks about a job event; failed deliveries only show in the delivery log
+function notifyWebhooks(event, data) {
+    webhooks.notify(event, data).catch(error => console.error(`[webhooks] Could not send ${event}:`, error.message));
+}
+
+// Operators that take captchas over the JSON API (/api/captchas) rather than Socket.IO, by
+// operator ID -> last request time. One that stops polling is removed like a disconnected page
+const httpOperators = new Map();
+const HTTP_OPERATOR_TIMEOUT_MS = (Number.parseInt(process.env.HTTP_OPERATOR_TIMEOUT, 10) || 30) * 1000;
+setInterval(() => {
+    for (const [operatorId, lastSeen] of httpOperators) {
+        if (Date.now() - lastSeen > HTTP_OPERATOR_TIMEOUT_MS) {
+            httpOperators.delete(operatorId);
+            captchaBroker.removeOperator(operatorId);
+        }
+    }
+}, 5000).unref();
+
+function getHttpOperatorId(name) {
+    return /^[\w-]{1,40}$/.test(String(name || '')) ? `http:${name}` : null;
+}
+
+// Limits how many lookups are staged up to their captcha ahead of the operators
+const captchaBuffer = new CaptchaBuffer({
+    broker: captchaBroker,
+    minSize: Number.parseInt(process.env.CAPTCHA_BUFFER_MIN, 10) || 1
+});
+// Stands in for a buffer slot where a lookup skips the buffer
+const UNBUFFERED_SLOT = { release() {} };
+
+// How long a lookup waits for a free worker, and how often it checks, before it gives up
+const WORKER_WAIT_TIMEOUT_MS = (Number.parseInt(process.env.WORKER_WAIT_TIMEOUT, 10) || 300) * 1000;
+const WORKER_POLL_MS = 5000;
+
+// Automatic captcha solvers a job can pick; their answers are tried before the operators
+const captchaSolvers = createCaptchaSolvers({
+    scriptCommand: process.env.CAPTCHA_SOLVER_SCRIPT,
+    minConfidence: Number.parseInt(process.env.CAPTCHA_SOLVER_MIN_CONFIDENCE, 10) || undefined
+});
+const DEFAULT_SOLVER = captchaSolvers[process.env.CAPTCHA_SOLVER] ? process.env.CAPTCHA_SOLVER : 'none';
+
+// Opt-in: keep every answered captcha (image, text, accepted or not) as a labeled sample
+const captchaDataset = process.env.CAPTCHA_DATASET === 'true'
+    ? new CaptchaDataset({ baseDir: process.env.CAPTCHA_DATASET_DIR || './captcha-dataset' })
+    : null;
+if (captchaDataset) {
+    captchaBroker.on('captcha-answered', (sample) => {
+        captchaDataset.record(sample).catch(error => {
+            console.error('Failed to record captcha sample:', error.message);
+        });
+    });
+}
 
 // Store active sessions
 const activeSessions = new Map();
-// Add a set to track consumers being processed globally (across all sessions)
-const consumersInProgress = new Set();
+
+// Sessions are mirrored to results/sessions so a restart does not lose finished lookups
+const sessionStore = new SessionStore(path.join(resultsDir, 'sessions'));
+// Sessions that were still processing when the server stopped are picked up again at startup
+const RESUME_INTERRUPTED_SESSIONS = process.env.RESUME_INTERRUPTED_SESSIONS !== 'false';
+// Sessions that are not running and can be resumed
+const RESUMABLE_STATUSES = ['interrupted', 'completed', 'error'];
+// Uploads whose validation report found duplicates or left-out rows wait in this status for POST /start
+const AWAITING_CONFIRMATION = 'awaiting-confirmation';
+
+function saveSession(sessionId) {
+    const session = activeSessions.get(sessionId);
+    if (session) {
+        sessionStore.save(sessionId, session);
+    }
+}
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
@@ -81,68 +234,46 @@ io.on('connection', (socket) => {
             }, 2000);
         }
     }
+    
+    // Every connected page takes its share of the captchas
+    captchaBroker.addOperator(socket.id);
+    
     socket.on('captcha-response', async (data) => {
-        const { sessionId, captcha, browserId, consumerNo } = data;
-        const session = activeSessions.get(sessionId);
-        
-        if (!session || !session.waitingForCaptcha) return;
+        const { requestId, captcha, browserId, consumerNo } = data;
         
         try {
-            // Verify this browser is actually waiting for captcha
-            const browserData = browserManager.browsers.get(browserId);
-            if (!browserData || !browserData.captchaRequired || browserData.currentConsumer !== consumerNo) {
-                throw new Error('Invalid browser state or consumer mismatch');
-            }
-
-            await browserManager.submitCaptcha(browserId, captcha);
+            // The broker resolves the lookup waiting on this captcha
+            await captchaBroker.answer(requestId, captcha, socket.id);
             
             socket.emit('captcha-submitted', { 
                 success: true, 
+                requestId,
                 browserId,
                 consumerNo 
             });
-            
-            // Continue processing this consumer
-            const billingData = await browserManager.submitAndGetResults(browserId);
-            if (billingData) {
-                session.results.push({
-                    consumerNo,
-                    ...billingData
-                });
-            }
-            
         } catch (error) {
             socket.emit('captcha-error', { 
                 error: error.message,
+                requestId,
                 browserId,
                 consumerNo
             });
-        } finally {
-            // Always release the browser
-            browserManager.releaseBrowser(browserId);
         }
     });
     
     socket.on('reload-captcha', async (data) => {
-        const { sessionId, browserId, consumerNo } = data;
+        const { requestId } = data;
         try {
-            await browserManager.refreshCaptcha(browserId);
-            const captchaImage = await browserManager.getCaptchaImage(browserId);
-            
-            io.emit('captcha-required', {
-                sessionId,
-                browserId,
-                captchaImage,
-                consumerNo
-            });
-            
+            // The new image reaches the operator through the broker's captcha-assigned event
+            await captchaBroker.refresh(requestId, socket.id);
         } catch (error) {
-            socket.emit('captcha-error', { error: error.message });
+            socket.emit('captcha-error', { error: error.message, requestId, reloadFailed: true });
         }
     });
     
     socket.on('disconnect', () => {
         console.log('Client disconnected:', socket.id);
+        captchaBroker.removeOperator(socket.id);
     });
 });
 
@@ -151,42 +282,193 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Upload Excel file and start processing
+// Show the first rows of each sheet and where the consumer numbers were found, so the user can
+// confirm or pick another sheet/column before uploading for processing. The file is not kept
+app.post('/preview', upload.single('excelFile'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+    try {
+        res.json(excelProcessor.previewFile(req.file.path));
+    } catch (error) {
+        console.error('Preview error:', error);
+        res.status(400).json({ error: `Failed to read file: ${error.message}` });
+    } finally {
+        await fs.remove(req.file.path);
+    }
+});
+
+// Upload a spreadsheet (or paste consumer numbers) and start processing
 app.post('/upload', upload.single('excelFile'), async (req, res) => {
     try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
+        // A pasted list is only used when no file comes with it
+        const consumerList = req.file ? '' : String(req.body.consumerList || '').trim();
+        if (!req.file && !consumerList) {
+            return res.status(400).json({ error: 'No file uploaded or consumer numbers pasted' });
         }
         
-        const filePath = req.file.path;
-        const sessionId = Date.now().toString();
+        const filePath = req.file ? req.file.path : null;
+        const options = await readJobOptions(req.body);
+        if (!options.outputProfile) {
+            return res.status(400).json({ error: `Unknown output profile "${req.body.outputProfile}"` });
+        }
+        if (!options.defaultCompany) {
+            return res.status(400).json({ error: `Unknown company "${req.body.company}"` });
+        }
+        // 'new' writes a fresh workbook, 'original' adds the columns to a copy of the uploaded one
+        const outputMode = filePath && OUTPUT_MODES.includes(req.body.outputMode) ? req.body.outputMode : 'new';
         
-        // Read consumer numbers from Excel
-        const consumerNumbers = await excelProcessor.readConsumerNumbers(filePath);
+        // Sheet, column and header row as confirmed in the preview; whatever is not given is detected
+        let sourceLayout = null;
+        if (filePath) {
+            try {
+                sourceLayout = excelProcessor.readLayout(filePath, {
+                    sheetName: req.body.sheetName || undefined,
+                    column: req.body.consumerColumn,
+                    hasHeader: ['true', 'false'].includes(req.body.hasHeader) ? req.body.hasHeader === 'true' : undefined
+                });
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+        }
+        
+        // Read consumer numbers (and per-row company) from the file or the pasted list
+        const rejected = [];
+        const consumers = filePath
+            ? await excelProcessor.readConsumers(filePath, options.defaultCompany, sourceLayout, rejected)
+            : excelProcessor.readConsumerList(consumerList, options.defaultCompany, rejected);
         
-        // Create session
-        activeSessions.set(sessionId, {
-            consumerNumbers,
-            currentIndex: 0,
-            results: [],
-            status: 'processing'
+        const { sessionId, session } = createSession({
+            consumers,
+            rejected,
+            options,
+            source: filePath ? 'file' : 'list',
+            outputMode,
+            sourceFile: filePath,
+            sourceLayout
         });
         
         res.json({
             sessionId,
-            totalConsumers: consumerNumbers.length,
-            message: 'File uploaded successfully. Processing will begin shortly.'
+            backend: session.backend,
+            solver: session.solver,
+            outputProfile: session.outputProfile.name,
+            outputMode,
+            source: session.source,
+            sheetName: sourceLayout ? sourceLayout.sheetName : null,
+            defaultCompany: session.defaultCompany,
+            totalConsumers: consumers.length,
+            status: session.status,
+            validation: session.validation,
+            message: session.validation.needsConfirmation
+                ? 'File uploaded. Review the validation report, then start processing.'
+                : 'File uploaded successfully. Processing will begin shortly.'
         });
         
-        // Start processing in background
-        processConsumerNumbers(sessionId);
-        
     } catch (error) {
         console.error('Upload error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
+// Extraction backend and captcha solver of a job or quick lookup; unknown ones fall back to the defaults
+function readBackendOptions(body) {
+    return {
+        backend: EXTRACTION_BACKENDS.includes(body.backend) ? body.backend : DEFAULT_BACKEND,
+        // 'none' sends every captcha to the operators
+        solver: (captchaSolvers[body.solver] || body.solver === 'none') ? body.solver : DEFAULT_SOLVER
+    };
+}
+
+// Options of a new job, from the upload form or the JSON API. outputProfile is null when the
+// named profile does not exist, and defaultCompany when the named company is not a known discom
+async function readJobOptions(body) {
+    return {
+        ...readBackendOptions(body),
+        // Rows without a company column value are looked up against the job's default discom
+        defaultCompany: body.company ? normalizeCompany(body.company) : DEFAULT_COMPANY,
+        // Only used by the 'priority' scheduling policy; higher runs first
+        priority: Number.parseInt(body.priority, 10) || 0,
+        // The session keeps its own copy, so editing the profile later does not change its workbook
+        outputProfile: await outputProfiles.get(body.outputProfile)
+    };
+}
+
+// Create a session and start processing it, unless its validation report needs a decision
+// first (POST /start). source is 'file', 'list' or 'api'
+function createSession({ consumers, rejected, options, source, outputMode = 'new', sourceFile = null, sourceLayout = null }) {
+    // IDs are timestamps; API clients can create several jobs within one millisecond
+    let sessionId = Date.now().toString();
+    while (activeSessions.has(sessionId)) {
+        sessionId = (Number(sessionId) + 1).toString();
+    }
+    
+    const validation = excelProcessor.buildValidationReport(consumers, rejected);
+    const session = {
+        consumers,
+        defaultCompany: options.defaultCompany,
+        priority: options.priority,
+        currentIndex: 0,
+        results: [],
+        finishedIndexes: new Set(), // Positions in consumers that have a result
+        status: validation.needsConfirmation ? AWAITING_CONFIRMATION : 'processing',
+        rejected, // Rows left out for an invalid consumer number, until fixed in POST /start
+        validation,
+        backend: options.backend,
+        solver: options.solver,
+        outputProfile: options.outputProfile,
+        outputMode,
+        source,
+        sourceFile,
+        sourceLayout,
+        createdAt: Date.now()
+    };
+    activeSessions.set(sessionId, session);
+    saveSession(sessionId);
+    
+    // Start processing in background
+    if (session.status === 'processing') {
+        processConsumerNumbers(sessionId);
+    }
+    return { sessionId, session };
+}
+
+// Start a session that waits on its validation report, after removing duplicates (dedupe: true)
+// and/or correcting left-out rows (fixes: { "<row>": "<consumer number>" }); other left-out rows stay out
+app.post(['/start/:sessionId', '/api/jobs/:sessionId/start'], (req, res) => {
+    const { sessionId } = req.params;
+    const session = activeSessions.get(sessionId);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    if (session.status !== AWAITING_CONFIRMATION) {
+        return res.status(409).json({ error: `Session is ${session.status}, not waiting to start` });
+    }
+    
+    let choice;
+    try {
+        choice = excelProcessor.applyValidationChoices(session.consumers, session.rejected || [], {
+            dedupe: req.body.dedupe === true || req.body.dedupe === 'true',
+            fixes: req.body.fixes || {}
+        });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (choice.consumers.length === 0) {
+        return res.status(400).json({ error: 'No valid consumer numbers to process' });
+    }
+    
+    session.consumers = choice.consumers;
+    session.rejected = choice.rejected;
+    session.validation = excelProcessor.buildValidationReport(choice.consumers, choice.rejected);
+    session.status = 'processing';
+    saveSession(sessionId);
+    console.log(`Session ${sessionId} confirmed with ${session.consumers.length} consumers`);
+    
+    res.json({ sessionId, totalConsumers: session.consumers.length, validation: session.validation });
+    processConsumerNumbers(sessionId);
+});
+
 // Get session status
 app.get('/status/:sessionId', (req, res) => {
     const session = activeSessions.get(req.params.sessionId);
@@ -196,9 +478,51 @@ app.get('/status/:sessionId', (req, res) => {
     
     res.json({
         currentIndex: session.currentIndex,
-        totalConsumers: session.consumerNumbers.length,
+        totalConsumers: session.consumers.length,
         status: session.status,
-        results: session.results.length
+        backend: session.backend,
+        results: session.results.length,
+        failed: session.results.filter(result => result.error).length,
+        resumable: RESUMABLE_STATUSES.includes(session.status) ? getResumableIndexes(session).length : 0,
+        validation: session.validation || null,
+        byDivision: Object.values(excelProcessor.getStatistics(session.results).byDivision),
+        queue: scheduler.getJobStatus(req.params.sessionId)
+    });
+});
+
+// Re-queue the unfinished and failed consumers of a session that is not running
+app.post('/resume/:sessionId', (req, res) => {
+    const { sessionId } = req.params;
+    const session = activeSessions.get(sessionId);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    if (!RESUMABLE_STATUSES.includes(session.status)) {
+        return res.status(409).json({ error: `Session is ${session.status} and cannot be resumed` });
+    }
+    if (session.resuming) {
+        return res.status(409).json({ error: 'Session is already being resumed' });
+    }
+    
+    const requeued = resumeSession(sessionId);
+    if (requeued === 0) {
+        return res.status(400).json({ error: 'Session has no unfinished or failed consumers' });
+    }
+    
+    res.json({
+        sessionId,
+        backend: session.backend,
+        requeued,
+        totalConsumers: session.consumers.length,
+        message: `Resuming ${requeued} unfinished or failed consumers`
+    });
+});
+
+// Get how the workers are shared between running sessions
+app.get('/scheduler', (req, res) => {
+    res.json({
+        ...scheduler.getStatus(),
+        captchaBuffer: captchaBuffer.getStatus()
     });
 });
 
@@ -225,10 +549,11 @@ app.get('/download/:sessionId', async (req, res) => {
         const files = fs.readdirSync(resultsDir);
         console.log(`Found ${files.length} files in results directory`);
         
-        // Find the file that matches the session ID pattern
-        const targetFile = files.find(file => 
-            file.startsWith(`MGVCL_Results_${sessionId}`) && file.endsWith('.xlsx')
-        );
+        // Find the newest file that matches the session ID pattern (a resumed session writes a new one)
+        const targetFile = files
+            .filter(file => file.startsWith(`MGVCL_Results_${sessionId}_`) && file.endsWith('.xlsx'))
+            .sort()
+            .pop();
         
         // Debug log all available files for this session
         const matchingFiles = files.filter(file => file.includes(sessionId));
@@ -280,6 +605,128 @@ app.get('/download/:sessionId', async (req, res) => {
     }
 });
 
+// Output profiles for the results workbook, and the fields their columns can use
+app.get('/output-profiles', async (req, res) => {
+    try {
+        res.json({
+            profiles: await outputProfiles.list(),
+            fields: Object.entries(OUTPUT_FIELDS).map(([name, field]) => ({ name, header: field.header }))
+        });
+    } catch (error) {
+        console.error('Output profile error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/output-profiles/:name', async (req, res) => {
+    try {
+        const profile = await outputProfiles.save({ ...req.body, name: req.params.name });
+        res.json(profile);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/output-profiles/:name', async (req, res) => {
+    if (!(await outputProfiles.remove(req.params.name))) {
+        return res.status(404).json({ error: 'Output profile not found' });
+    }
+    res.json({ deleted: req.params.name });
+});
+
+// Outgoing webhooks; secrets are never sent back
+app.get('/webhooks', async (req, res) => {
+    try {
+        res.json({ webhooks: (await webhooks.list()).map(describeWebhook), events: WEBHOOK_EVENTS });
+    } catch (error) {
+        console.error('Webhook error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/webhooks/:name', async (req, res) => {
+    try {
+        const webhook = await webhooks.save({ ...req.body, name: req.params.name });
+        res.json(describeWebhook(webhook));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/webhooks/:name', async (req, res) => {
+    if (!(await webhooks.remove(req.params.name))) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ deleted: req.params.name });
+});
+
+// Delivery attempts of a webhook, newest first (?limit=, default 100)
+app.get('/webhooks/:name/deliveries', async (req, res) => {
+    try {
+        const limit = Number.parseInt(req.query.limit, 10) || 100;
+        res.json({ deliveries: await webhooks.getDeliveries({ webhook: req.params.name, limit }) });
+    } catch (error) {
+        console.error('Webhook error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+function describeWebhook({ name, url, events, secret }) {
+    return { name, url, events, hasSecret: Boolean(secret) };
+}
+
+// List the automatic captcha solvers a job can use
+app.get('/solvers', (req, res) => {
+    res.json({
+        solvers: Object.values(captchaSolvers).map(solver => ({
+            name: solver.name,
+            description: solver.description,
+            minConfidence: solver.minConfidence,
+            stats: solver.stats
+        })),
+        defaultSolver: DEFAULT_SOLVER
+    });
+});
+
+// Summary of the collected captcha dataset
+app.get('/captcha-dataset', async (req, res) => {
+    if (!captchaDataset) {
+        return res.status(404).json({ error: 'Captcha dataset collection is disabled (set CAPTCHA_DATASET=true)' });
+    }
+    
+    try {
+        res.json({
+            directory: captchaDataset.baseDir,
+            ...(await captchaDataset.getStatistics())
+        });
+    } catch (error) {
+        console.error('Captcha dataset error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Download the dataset as one JSON file with the images inlined; ?accepted=true leaves out rejected answers
+app.get('/captcha-dataset/export', async (req, res) => {
+    if (!captchaDataset) {
+        return res.status(404).json({ error: 'Captcha dataset collection is disabled (set CAPTCHA_DATASET=true)' });
+    }
+    
+    try {
+        const dataset = await captchaDataset.exportSamples({ acceptedOnly: req.query.accepted === 'true' });
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        res.setHeader('Content-Disposition', `attachment; filename="captcha_dataset_${timestamp}.json"`);
+        res.json(dataset);
+    } catch (error) {
+        console.error('Captcha dataset export error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List the discoms a job can be run against
+app.get('/companies', (req, res) => {
+    res.json({ companies: COMPANIES, defaultCompany: DEFAULT_COMPANY });
+});
+
 // Download sample template
 app.get('/template', async (req, res) => {
     try {
@@ -291,8 +738,250 @@ app.get('/template', async (req, res) => {
     }
 });
 
-// Process consumer numbers
-async function processConsumerNumbers(sessionId) {
+// Look up one consumer right away, without a session or the scheduler, and answer with its bill:
+// GET /lookup?consumerNo=14102000674&company=MGVCL or POST /lookup with the same fields as JSON.
+// The captcha goes to the page of socketId or the HTTP operator named by operator when given,
+// otherwise to any operator; backend and solver default as for uploads
+let quickLookupCount = 0;
+async function handleQuickLookup(req, res) {
+    const params = (req.method === 'GET' ? req.query : req.body) || {};
+    const consumerNo = String(params.consumerNo || '').trim();
+    const issue = excelProcessor.getConsumerNumberIssue(consumerNo);
+    if (issue) {
+        return res.status(400).json({ error: `Not a valid consumer number (${issue})`, issue });
+    }
+    const company = params.company ? normalizeCompany(params.company) : DEFAULT_COMPANY;
+    if (!company) {
+        return res.status(400).json({ error: `Unknown company "${params.company}"` });
+    }
+    
+    let captchaOperator = null;
+    if (params.socketId) {
+        if (!io.sockets.sockets.has(params.socketId)) {
+            return res.status(400).json({ error: 'socketId is not a connected page' });
+        }
+        captchaOperator = params.socketId;
+    } else if (params.operator) {
+        captchaOperator = getHttpOperatorId(params.operator);
+        if (!captchaOperator) {
+            return res.status(400).json({ error: 'operator must be a name of letters, digits, "-" and "_"' });
+        }
+        httpOperators.set(captchaOperator, Date.now());
+        captchaBroker.addOperator(captchaOperator);
+    }
+    
+    const { backend, solver } = readBackendOptions(params);
+    const lookupId = `lookup-${++quickLookupCount}`;
+    const lookup = { backend, solver, status: 'processing', captchaOperator, quickLookup: true };
+    // A client that gives up takes its captcha with it, and stops any retry
+    res.on('close', () => {
+        if (lookup.status !== 'processing') return;
+        lookup.status = 'cancelled';
+        captchaBroker.cancelSession(lookupId, 'Lookup was cancelled');
+    });
+    
+    console.log(`Quick lookup ${lookupId} for ${consumerNo} (${company}) on ${backend}`);
+    try {
+        const consumer = { consumerNo: excelProcessor.formatConsumerNumber(consumerNo), company };
+        const result = await processConsumer(consumer, lookupId, lookup);
+        lookup.status = 'completed';
+        recordBill(lookupId, consumer, result);
+        res.json({ ...result, backend });
+    } catch (caughtError) {
+        lookup.status = 'completed';
+        const error = classifyError(caughtError);
+        const status = { INVALID_CONSUMER: 404, OPERATOR_UNAVAILABLE: 409 }[error.code] || 502;
+        res.status(status).json({ consumerNo, company, error: error.message, errorCode: error.code });
+    }
+}
+app.get('/lookup', handleQuickLookup);
+app.post('/lookup', handleQuickLookup);
+
+// Bills of one consumer over time, from every lookup that read them: ?company= limits it to one
+// discom, otherwise all discoms are searched
+app.get('/history/:consumerNo', async (req, res) => {
+    const issue = excelProcessor.getConsumerNumberIssue(req.params.consumerNo);
+    if (issue) {
+        return res.status(400).json({ error: `Not a valid consumer number (${issue})`, issue });
+    }
+    const company = req.query.company ? normalizeCompany(req.query.company) : null;
+    if (req.query.company && !company) {
+        return res.status(400).json({ error: `Unknown company "${req.query.company}"` });
+    }
+    
+    try {
+        const consumerNo = excelProcessor.formatConsumerNumber(req.params.consumerNo);
+        const timeline = await billHistory.getTimeline(consumerNo, company ? [company] : COMPANIES.map(c => c.code));
+        if (!timeline) {
+            return res.status(404).json({ error: `No bills recorded for ${consumerNo}` });
+        }
+        res.json(timeline);
+    } catch (error) {
+        console.error('Bill history error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// JSON API for tools: jobs are the same sessions the web page creates, and HTTP operators take
+// their share of the captchas like the connected pages do
+
+// Create a job from { consumers: ["14102000674", { consumerNo, company, metadata }], company, backend, ... }
+app.post('/api/jobs', async (req, res) => {
+    try {
+        const list = req.body.consumers;
+        if (!Array.isArray(list) || list.length === 0) {
+            return res.status(400).json({ error: 'consumers must be a non-empty list' });
+        }
+        const options = await readJobOptions(req.body);
+        if (!options.outputProfile) {
+            return res.status(400).json({ error: `Unknown output profile "${req.body.outputProfile}"` });
+        }
+        if (!options.defaultCompany) {
+            return res.status(400).json({ error: `Unknown company "${req.body.company}"` });
+        }
+        
+        const rejected = [];
+        const consumers = excelProcessor.readConsumerObjects(list, options.defaultCompany, rejected);
+        const { sessionId, session } = createSession({ consumers, rejected, options, source: 'api' });
+        res.status(201).json(describeJob(sessionId, session));
+    } catch (error) {
+        console.error('API job error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List the jobs, newest first
+app.get('/api/jobs', (req, res) => {
+    const jobs = [...activeSessions.entries()]
+        .map(([sessionId, session]) => describeJob(sessionId, session))
+        .sort((a, b) => b.createdAt - a.createdAt);
+    res.json({ jobs });
+});
+
+// One job with the state and result of each of its consumers
+app.get('/api/jobs/:sessionId', (req, res) => {
+    const { sessionId } = req.params;
+    const session = activeSessions.get(sessionId);
+    if (!session) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    const queue = scheduler.getJobStatus(sessionId);
+    const inProgress = new Set(queue ? queue.inProgress : []);
+    const resultsByIndex = new Map(session.results.map(({ index, ...result }) => [index, result]));
+    
+    res.json({
+        ...describeJob(sessionId, session),
+        consumers: session.consumers.map((consumer, index) => {
+            const result = resultsByIndex.get(index) || null;
+            let state = 'pending';
+            if (result) {
+                state = result.error ? 'failed' : 'done';
+            } else if (session.status === 'processing' && inProgress.has(consumer.consumerNo)) {
+                state = 'running';
+            }
+            return {
+                index,
+                consumerNo: consumer.consumerNo,
+                company: consumer.company || consumer.companyInput,
+                metadata: consumer.metadata || {},
+                state,
+                result
+            };
+        })
+    });
+});
+
+// Stop a job: consumers that have not started are dropped and the results workbook is written
+// with what is done. A job still waiting on its validation report is just cancelled
+app.post('/api/jobs/:sessionId/cancel', async (req, res) => {
+    const { sessionId } = req.params;
+    const session = activeSessions.get(sessionId);
+    if (!session) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    if (session.status === AWAITING_CONFIRMATION) {
+        session.status = 'cancelled';
+    } else if (session.status === 'processing') {
+        session.cancelledAt = Date.now();
+        scheduler.cancelJob(sessionId);
+        await finishProcessing(sessionId, 'Cancelled over the API');
+    } else {
+        return res.status(409).json({ error: `Job is ${session.status}, not running` });
+    }
+    session.cancelledAt = session.cancelledAt || Date.now();
+    saveSession(sessionId);
+    console.log(`Job ${sessionId} cancelled over the API`);
+    res.json(describeJob(sessionId, session));
+});
+
+// The captcha assigned to an HTTP operator, with its image; polling also keeps the operator
+// online. ?operator=<name> picks the operator, any name of letters, digits, "-" and "_"
+app.get('/api/captchas', (req, res) => {
+    const operatorId = getHttpOperatorId(req.query.operator);
+    if (!operatorId) {
+        return res.status(400).json({ error: 'operator must be a name of letters, digits, "-" and "_"' });
+    }
+    httpOperators.set(operatorId, Date.now());
+    captchaBroker.addOperator(operatorId);
+    res.json({ captcha: captchaBroker.getAssigned(operatorId), queue: captchaBroker.getStats() });
+});
+
+// Answer a captcha: { operator, captcha }. A rejected answer (422 with invalidCaptcha: true)
+// keeps the captcha with the operator; POST .../reload gets a new image to try again
+app.post('/api/captchas/:requestId/answer', async (req, res) => {
+    const operatorId = getHttpOperatorId(req.body.operator);
+    if (!operatorId) {
+        return res.status(400).json({ error: 'operator must be a name of letters, digits, "-" and "_"' });
+    }
+    httpOperators.set(operatorId, Date.now());
+    try {
+        const request = await captchaBroker.answer(req.params.requestId, String(req.body.captcha || ''), operatorId);
+        res.json({ accepted: true, requestId: request.requestId, consumerNo: request.consumerNo });
+    } catch (error) {
+        const invalidCaptcha = classifyError(error).code === 'INVALID_CAPTCHA';
+        res.status(422).json({ accepted: false, invalidCaptcha, error: error.message });
+    }
+});
+
+app.post('/api/captchas/:requestId/reload', async (req, res) => {
+    const operatorId = getHttpOperatorId(req.body.operator);
+    if (!operatorId) {
+        return res.status(400).json({ error: 'operator must be a name of letters, digits, "-" and "_"' });
+    }
+    httpOperators.set(operatorId, Date.now());
+    try {
+        res.json({ captcha: await captchaBroker.refresh(req.params.requestId, operatorId) });
+    } catch (error) {
+        res.status(422).json({ error: error.message });
+    }
+});
+
+// Summary of a job for the JSON API
+function describeJob(sessionId, session) {
+    return {
+        id: sessionId,
+        status: session.status,
+        cancelled: Boolean(session.cancelledAt),
+        source: session.source || 'file',
+        backend: session.backend,
+        solver: session.solver,
+        priority: session.priority,
+        defaultCompany: session.defaultCompany,
+        outputProfile: session.outputProfile ? session.outputProfile.name : null,
+        createdAt: session.createdAt,
+        totalConsumers: session.consumers.length,
+        processed: session.results.length,
+        failed: session.results.filter(result => result.error).length,
+        validation: session.validation || null,
+        downloadUrl: session.resultsPath ? `/download/${sessionId}` : null
+    };
+}
+
+// Process consumer numbers. requeueIndexes are consumers looked up again by a resume; their old
+// rows (failed or not processed) are only dropped once the job is scheduled
+async function processConsumerNumbers(sessionId, requeueIndexes = []) {
     const session = activeSessions.get(sessionId);
     if (!session) {
         console.error(`Session ${sessionId} not found, cannot process`);
@@ -300,325 +989,49 @@ async function processConsumerNumbers(sessionId) {
     }
 
     console.log(`Starting consumer processing for session ${sessionId}`);
-    let processingError = null;
 
     try {
-        await browserManager.initialize();
-        browserManager.setTotalConsumers(session.consumerNumbers.length);
-
-        const queue = [...session.consumerNumbers];
-        let currentQueueIndex = 0;
-        let completedConsumers = 0;        // Set up a completion checker with two safeguards:
-        // 1. Regular interval check
-        // 2. Max processing time check (ensures completion even if something gets stuck)
-        const maxProcessingTime = 15 * 60 * 1000; // 15 minutes max processing time
-        const startTime = Date.now();
-        let lastCompletionTime = startTime; // Track the last time a consumer was completed
-        let processingCompleted = false;
-          const completionChecker = setInterval(() => {
-            const elapsedTime = Date.now() - startTime;
-              // Show detailed progress info
-            console.log(`\n----- PROGRESS MONITOR -----`);
-            console.log(`Completion check: ${completedConsumers}/${queue.length} consumers processed (counter) | ${session.results.length}/${queue.length} (results array) | (${Math.floor(elapsedTime/1000)}s elapsed)`);
-            
-            // Get in-progress consumer details 
-            const inProgressList = Array.from(consumersInProgress).join(', ');
-            console.log(`In-progress consumers (${consumersInProgress.size}): ${inProgressList || 'none'}`);
-            
-            // List completed consumers
-            const completedList = session.results.map(r => r.consumerNo || 'unknown').join(', ');
-            console.log(`Completed consumers (${session.results.length}): ${completedList || 'none'}`);
-            console.log(`-------------------------\n`);            // Check for inconsistency between counters and fix
-            if (completedConsumers !== session.results.length) {
-                console.log(`\n⚠️ Counter inconsistency detected: completedConsumers=${completedConsumers}, results.length=${session.results.length}`);
-                console.log(`Reconciling counters...`);
-                completedConsumers = session.results.length;
-                console.log(`Counter updated: completedConsumers=${completedConsumers}\n`);
-            }
-            
-            // Check different completion conditions
-            const isComplete = completedConsumers >= queue.length && queue.length > 0;
-            
-            // Alternative check: also consider session.results.length as a source of truth
-            const isCompleteByResults = session.results.length >= queue.length && queue.length > 0;
-            
-            const isTimeout = elapsedTime > maxProcessingTime;
-            const isStalled = elapsedTime > 60000 && session.results.length > 0 && 
-                              elapsedTime > (lastCompletionTime + 60000); // No progress for 1 minute
-            const shouldForceComplete = session.results.length >= (queue.length * 0.8) && 
-                                       elapsedTime > 120000; // 80% complete and running for 2+ minutes
-              if (isComplete || isCompleteByResults || isTimeout || isStalled || shouldForceComplete) {
-                let completionReason = "";
-                
-                if (isComplete || isCompleteByResults) {
-                    completionReason = "All consumers processed successfully";
-                } else if (isTimeout) {
-                    completionReason = `Processing timed out after ${Math.floor(elapsedTime/1000)} seconds`;
-                } else if (isStalled) {
-                    completionReason = `Processing appears stalled - no progress for over 1 minute`;
-                } else if (shouldForceComplete) {
-                    completionReason = `Force completing with ${completedConsumers}/${queue.length} (${Math.round(completedConsumers/queue.length*100)}%) after ${Math.floor(elapsedTime/1000)} seconds`;
-                }
-                
-                console.log(`\n⚠️ ${completionReason}`);
-                
-                if (!processingCompleted) {
-                    processingCompleted = true;
-                    clearInterval(completionChecker);
-                    finishProcessing();
-                }
-            }
-        }, 5000);        // Function to finish processing and create results file
-        async function finishProcessing() {
-            console.log(`\n========================================`);
-            
-            const completionPercentage = Math.round((completedConsumers / queue.length) * 100);
-            
-            if (completedConsumers === queue.length) {
-                console.log(`🎉 ALL CONSUMERS PROCESSED SUCCESSFULLY! (${completedConsumers}/${queue.length})`);
-            } else {
-                console.log(`⚠️ PARTIAL COMPLETION: ${completedConsumers}/${queue.length} consumers (${completionPercentage}%)`);
-                
-                // Add any non-processed consumers to results with error
-                const processedConsumerNumbers = new Set(session.results.map(r => r.consumerNo));
-                const missingConsumers = queue.filter(consumerNo => !processedConsumerNumbers.has(consumerNo));
-                
-                if (missingConsumers.length > 0) {
-                    console.log(`Adding ${missingConsumers.length} non-processed consumers to results with error status`);
-                    
-                    missingConsumers.forEach(consumerNo => {
-                        session.results.push({
-                            consumerNo,
-                            error: 'Processing timed out or was incomplete'
-                        });
-                    });
-                }
-            }
-            
-            console.log(`Total consumers processed: ${completedConsumers}/${queue.length} (${completionPercentage}%)`);
-            console.log(`*** ALL CONSUMER NUMBERS PROCESSING COMPLETED FOR SESSION ${sessionId} ***`);
-            console.log(`========================================\n`);
-            
-            // Safeguard: make sure session still exists
-            if (!activeSessions.has(sessionId)) {
-                console.error(`Cannot finish processing - session ${sessionId} no longer exists`);
-                return;
-            }
-            
-            // Create Excel file with results
-            try {
-                // Make sure we have results array
-                if (!session.results) {
-                    console.warn(`No results array for session ${sessionId}, initializing empty array`);
-                    session.results = [];
-                }
-                
-                console.log(`Creating Excel file for session ${sessionId} with ${session.results.length} results`);
-                const excelPath = await excelProcessor.writeResults(session.results, sessionId);                console.log(`Excel file created: ${excelPath}`);
-                
-                // Update session status and store results path for reconnection handling
-                session.currentIndex = session.consumerNumbers.length;
-                session.status = 'completed';
-                session.resultsPath = excelPath; // Store the path for reconnections
-                
-                // Emit completion events in correct sequence
-                console.log(`Emitting completion events for session ${sessionId}`);
-                io.emit('processing-complete', { sessionId });
-                console.log(`Sent processing-complete event to client for session ${sessionId}`);
-                
-                // Add a slight delay to ensure processing-complete is processed before extraction-complete
-                setTimeout(() => {
-                    console.log(`Emitting extraction-complete event with autoDownload=true for session ${sessionId}`);
-                    io.emit('extraction-complete', { sessionId, autoDownload: true });
-                    console.log(`Sent extraction-complete event to client for session ${sessionId} - file should be automatically downloaded`);
-                    
-                    // Log a very visible completion message
-                    console.log(`\n==================================================`);
-                    console.log(`🎉 PROCESSING COMPLETE - DOWNLOAD TRIGGERED 🎉`);
-                    console.log(`==================================================\n`);
-                }, 1000);
-            } catch (error) {
-                console.error(`Error creating Excel file for session ${sessionId}:`, error);
-                session.status = 'error';
-                io.emit('processing-error', { sessionId, error: 'Failed to create Excel file: ' + error.message });
-            }
+        const driver = drivers[session.backend];
+        const ready = await driver.initialize();
+        if (!ready) {
+            throw new Error(`Could not start any ${session.backend} workers`);
         }
 
-        console.log(`Starting processing for session ${sessionId} with ${queue.length} consumers`);
-        console.log(`Consumer queue: [${queue.join(', ')}]`);        // Add a function to check and log if all consumers are processed
-        const checkCompletion = () => {
-            // If all consumers are processed, emit a completion event
-            if (session.results.length >= queue.length && !processingCompleted) {
-                console.log(`\n🎉 ALL CONSUMERS PROCESSED 🎉`);
-                console.log(`Total consumers: ${queue.length}`);
-                console.log(`Completed consumers: ${session.results.length}`);
-                console.log(`Recorded completedConsumers count: ${completedConsumers}`);
-                
-                // Force reconciliation
-                completedConsumers = session.results.length;
-                
-                // This will trigger the completion code in the interval
-                lastCompletionTime = Date.now();
-                
-                // Force completion immediately instead of waiting for the next interval
-                processingCompleted = true;
-                clearInterval(completionChecker);
-                finishProcessing();
-            }
-        };
-        
-        // Helper function to log progress
-        const logProgress = (elapsedTime, session, queue, completedConsumers, consumersInProgress) => {
-            console.log(`\n----- PROGRESS MONITOR -----`);
-            console.log(`Completion check: ${completedConsumers}/${queue.length} consumers processed (counter) | ${session.results.length}/${queue.length} (results array) | (${Math.floor(elapsedTime/1000)}s elapsed)`);
-            
-            // Get in-progress consumer details 
-            const inProgressList = Array.from(consumersInProgress).join(', ');
-            console.log(`In-progress consumers (${consumersInProgress.size}): ${inProgressList || 'none'}`);
-            
-            // List completed consumers
-            const completedList = session.results.map(r => r.consumerNo || 'unknown').join(', ');
-            console.log(`Completed consumers (${session.results.length}): ${completedList || 'none'}`);
-            console.log(`-------------------------\n`);
-        };
-        
-        // Helper function to handle completion of all processing
-        const handleSessionCompletion = (completionReason) => {
-            if (processingCompleted) return; // Prevent duplicate completion processing
-            
-            processingCompleted = true;
-            clearInterval(completionChecker); // Stop the completion checker
-            console.log(`\n📊 Processing completed: ${completionReason}`);
-            
-            // Mark any remaining consumers as errors
-            if (session.results.length < queue.length) {
-                console.log(`Adding ${queue.length - session.results.length} remaining consumers as errors`);
-                
-                const processedConsumerNos = new Set(session.results.map(r => r.consumerNo));
-                for (const consumerNo of queue) {
-                    const formattedConsumerNo = consumerNo.toString().padStart(11, '0');
-                    if (!processedConsumerNos.has(formattedConsumerNo)) {
-                        session.results.push({
-                            consumerNo: formattedConsumerNo,
-                            error: 'Processing timed out or failed',
-                            status: 'error'
-                        });
-                    }
-                }
-            }
-            
-            // Generate Excel file with results
-            generateResultsExcel(session)
-                .then(filePath => {
-                    session.resultsFilePath = filePath;
-                    session.status = 'completed';
-                    
-                    // Emit completion event to all clients
-                    io.emit('processing-completed', { 
-                        sessionId,
-                        message: completionReason,
-                        totalProcessed: session.results.length,
-                        resultsFilePath: filePath.replace(/^.*[\\\/]/, '') // Just the filename
-                    });
-                    
-                    // Log a very visible completion message
-                    console.log(`\n==================================================`);
-                    console.log(`🎉 PROCESSING COMPLETE - DOWNLOAD TRIGGERED 🎉`);
-                    console.log(`==================================================\n`);
-                })
-                .catch(error => {
-                    console.error(`Error creating Excel file:`, error);
-                    session.status = 'error';
-                    io.emit('processing-error', { 
-                        sessionId, 
-                        error: 'Failed to create Excel file: ' + error.message 
-                    });
-                });
-        };
-        
-        // Create a shared function to handle consumer completion
-        const handleConsumerCompletion = (consumerNo, result, workerInfo = '') => {
-            // Add to results
-            session.results.push(result);
-            
-            // Update counter and log progress
-            completedConsumers++;
-            lastCompletionTime = Date.now(); // Update the last completion time
-            
-            console.log(`\n✅ ${workerInfo} Completed consumer ${consumerNo}. Progress: ${completedConsumers}/${queue.length}\n`);
-            
-            // Clean up tracking
-            consumersInProgress.delete(consumerNo);
-            
-            // Emit progress update to frontend
-            io.emit('consumer-processed', { 
-                sessionId,
-                consumerNo,
-                result,
-                progress: {
-                    completed: completedConsumers,
-                    total: queue.length
-                }
-            });
-            
-            // Check completion status
-            checkCompletion();
-        };
-
-        // Add browser availability listener for processing consumers from queue
-        browserManager.on('browser-available', (browserId) => {
-            // Get next consumer atomically
-            const index = currentQueueIndex++;
-            if (index < queue.length) {
-                const nextConsumer = queue[index];
-                if (!consumersInProgress.has(nextConsumer)) {
-                    consumersInProgress.add(nextConsumer);
-                    console.log(`Processing next consumer ${nextConsumer} on browser_${browserId}`);
-                    
-                    // Process the consumer with explicit promise handling
-                    processConsumer(nextConsumer, browserId, sessionId)
-                        .then(result => {
-                            handleConsumerCompletion(nextConsumer, result, `[browser_${browserId}]`);
-                        })
-                        .catch(error => {
-                            console.error(`Error processing consumer ${nextConsumer}:`, error);
-                            handleConsumerCompletion(
-                                nextConsumer, 
-                                { consumerNo: nextConsumer, error: error.message },
-                                `[browser_${browserId}]`
-                            );
-                        });
-                }
-            }
-        });
+        const requeued = new Set(requeueIndexes);
+        const keptResults = session.results.filter(result => !requeued.has(result.index));
 
-        // Start initial set of worker processes
-        for (let i = 0; i < Math.min(browserManager.maxBrowsers, queue.length); i++) {
-            const index = currentQueueIndex++;
-            if (index < queue.length) {
-                const consumerNo = queue[index];
-                consumersInProgress.add(consumerNo);
-                console.log(`Worker ${i}: Processing consumer ${consumerNo} (${index + 1}/${queue.length})`);
-                
-                // Process the consumer with explicit promise handling
-                processConsumer(consumerNo, i, sessionId)
-                    .then(result => {
-                        handleConsumerCompletion(consumerNo, result, `Worker ${i}:`);
-                    })
-                    .catch(error => {
-                        console.error(`Worker ${i}: Error processing consumer ${consumerNo}:`, error);
-                        handleConsumerCompletion(
-                            consumerNo, 
-                            { consumerNo, error: error.message }, 
-                            `Worker ${i}:`
-                        );
-                    });
-            }
-        }    } catch (error) {
-        processingError = error;
+        session.startTime = Date.now();
+        session.lastCompletionTime = session.startTime; // Track the last time a consumer was completed
+        session.resultsAtStart = keptResults.length; // Non-zero when an interrupted session is resumed
+        startCompletionMonitor(sessionId);
+
+        // Only consumers without a result are queued, so a resumed session picks up where it stopped
+        const pendingIndexes = session.consumers
+            .map((consumer, index) => index)
+            .filter(index => !session.finishedIndexes.has(index) || requeued.has(index));
+
+        console.log(`Starting processing for session ${sessionId} with ${pendingIndexes.length}/${session.consumers.length} consumers`);
+        console.log(`Consumer queue: [${pendingIndexes.map(index => session.consumers[index]).map(c => `${c.consumerNo} (${c.company || c.companyInput})`).join(', ')}]`);
+
+        // The scheduler shares the workers with any other running session
+        scheduler.addJob({
+            id: sessionId,
+            backend: session.backend,
+            consumers: pendingIndexes.map(index => session.consumers[index]),
+            indexes: pendingIndexes,
+            priority: session.priority
+        });
+        if (requeued.size > 0) {
+            session.results = keptResults;
+            requeued.forEach(index => session.finishedIndexes.delete(index));
+            saveSession(sessionId);
+        }
+        notifyWebhooks('job-started', { ...describeJob(sessionId, session), resumed: session.resultsAtStart > 0 });
+    } catch (error) {
         console.error('Processing error:', error);
         console.log(`Error occurred during processing for session ${sessionId}:`, error);
         session.status = 'error';
+        saveSession(sessionId);
         
         // Handle the error by attempting to generate the results anyway
         console.log('Attempting to generate results despite the error...');
@@ -631,13 +1044,14 @@ async function processConsumerNumbers(sessionId) {
         // Create and emit results
         try {
             console.log(`Creating Excel file for session ${sessionId} with ${session.results.length} results (after error)`);
-            const excelPath = await excelProcessor.writeResults(session.results, sessionId);
+            const excelPath = await writeSessionResults(sessionId, session);
             console.log(`Excel file created despite error: ${excelPath}`);
             
             // Emit completion events
             console.log(`Emitting completion events for session ${sessionId} (after error)`);
             io.emit('processing-complete', { sessionId });
             io.emit('processing-error', { sessionId, error: error.message });
+            notifyWebhooks('job-finished', { ...describeJob(sessionId, session), error: error.message, results: session.results });
             
             // Add a slight delay to ensure events are processed before extraction-complete
             setTimeout(() => {
@@ -655,126 +1069,408 @@ async function processConsumerNumbers(sessionId) {
     console.log(`Processing function initiated for session ${sessionId}`);
 }
 
-// Update processConsumer function
-async function processConsumer(consumerNo, _, sessionId) {
+// Record each finished consumer on the session it belongs to
+scheduler.on('consumer-finished', ({ jobId: sessionId, index, consumer, result }) => {
+    // A bill that was read goes into the history even when its session has moved on
+    if (!result.error) {
+        recordBill(sessionId, consumer, result);
+    }
+    
+    const session = activeSessions.get(sessionId);
+    
+    // Late results of a session that was already force-completed are dropped
+    if (!session || session.status !== 'processing') return;
+    
+    // The index ties the row to its consumer, so a resume can replace it; the metadata (the
+    // consumer's other input columns) goes with it into the workbook
+    const row = { ...result, metadata: consumer.metadata || {} };
+    session.results.push({ ...row, index });
+    session.finishedIndexes.add(index);
+    session.lastCompletionTime = Date.now();
+    saveSession(sessionId);
+    
+    console.log(`\n✅ [${sessionId}] Completed consumer ${consumer.consumerNo}. Progress: ${session.results.length}/${session.consumers.length}\n`);
+    
+    const progress = {
+        completed: session.results.length,
+        total: session.consumers.length
+    };
+    // Emit progress update to frontend
+    io.emit('consumer-processed', { 
+        sessionId,
+        consumerNo: consumer.consumerNo,
+        result: row,
+        progress
+    });
+    notifyWebhooks('consumer-finished', { jobId: sessionId, index, result: row, progress });
+});
+
+// Add a successful result to the bill history, under the number that was looked up; a failed
+// write only costs that history entry
+function recordBill(jobId, consumer, result) {
+    billHistory.record(jobId, { ...consumer, consumerNo: excelProcessor.formatConsumerNumber(String(consumer.consumerNo)) }, result)
+        .catch(error => console.error(`Could not add ${consumer.consumerNo} to the bill history:`, error.message));
+}
+
+scheduler.on('job-finished', (sessionId) => {
+    finishProcessing(sessionId, 'All consumers processed successfully');
+});
+
+// Set up a completion checker with safeguards that force-complete a session
+// even if something gets stuck: max processing time, stall detection and the 80% rule
+function startCompletionMonitor(sessionId) {
+    const session = activeSessions.get(sessionId);
+    const maxProcessingTime = 15 * 60 * 1000; // 15 minutes max processing time
+    // Longer than the 5 minute captcha timeout, so waiting for a captcha is not a stall
+    const stallTimeout = 6 * 60 * 1000;
+
+    session.completionChecker = setInterval(() => {
+        if (session.status !== 'processing') {
+            clearInterval(session.completionChecker);
+            return;
+        }
+
+        const total = session.consumers.length;
+        const elapsedTime = Date.now() - session.startTime;
+        const queueStatus = scheduler.getJobStatus(sessionId);
+
+        // Show detailed progress info
+        console.log(`\n----- PROGRESS MONITOR [${sessionId}] -----`);
+        console.log(`Completion check: ${session.results.length}/${total} consumers processed (${Math.floor(elapsedTime/1000)}s elapsed)`);
+        if (queueStatus) {
+            console.log(`Pending: ${queueStatus.pending}, in progress (${queueStatus.inProgress.length}): ${queueStatus.inProgress.join(', ') || 'none'}`);
+        }
+        console.log(`-------------------------\n`);
+
+        const isTimeout = elapsedTime > maxProcessingTime;
+        const isStalled = session.results.length > session.resultsAtStart && Date.now() - session.lastCompletionTime > stallTimeout;
+        // 80% of the consumers queued in this run are done and it has been running for 2+ minutes
+        const doneThisRun = session.results.length - session.resultsAtStart;
+        const shouldForceComplete = doneThisRun > 0 &&
+                                   doneThisRun >= ((total - session.resultsAtStart) * 0.8) &&
+                                   elapsedTime > 120000;
+
+        let completionReason = null;
+        if (isTimeout) {
+            completionReason = `Processing timed out after ${Math.floor(elapsedTime/1000)} seconds`;
+        } else if (isStalled) {
+            completionReason = `Processing appears stalled - no progress for over ${stallTimeout / 60000} minutes`;
+        } else if (shouldForceComplete) {
+            completionReason = `Force completing with ${session.results.length}/${total} (${Math.round(session.results.length/total*100)}%) after ${Math.floor(elapsedTime/1000)} seconds`;
+        }
+
+        if (completionReason) {
+            console.log(`\n⚠️ ${completionReason}`);
+            scheduler.cancelJob(sessionId);
+            finishProcessing(sessionId, completionReason);
+        }
+    }, 5000);
+}
+
+// Function to finish processing and create results file
+async function finishProcessing(sessionId, completionReason) {
+    const session = activeSessions.get(sessionId);
+    
+    // Safeguard: make sure session still exists
+    if (!session) {
+        console.error(`Cannot finish processing - session ${sessionId} no longer exists`);
+        return;
+    }
+    
+    // Prevent duplicate completion processing
+    if (session.status !== 'processing') return;
+    session.status = 'finishing';
+    clearInterval(session.completionChecker);
+    captchaBroker.cancelSession(sessionId, 'Session finished before the captcha was answered');
+    
+    const total = session.consumers.length;
+    const completedConsumers = session.results.length;
+    const completionPercentage = total > 0 ? Math.round((completedConsumers / total) * 100) : 100;
+    
+    console.log(`\n========================================`);
+    console.log(`📊 Processing completed: ${completionReason}`);
+    
+    if (completedConsumers >= total) {
+        console.log(`🎉 ALL CONSUMERS PROCESSED SUCCESSFULLY! (${completedConsumers}/${total})`);
+    } else {
+        console.log(`⚠️ PARTIAL COMPLETION: ${completedConsumers}/${total} consumers (${completionPercentage}%)`);
+        
+        // Add any non-processed consumers to results with error
+        const missingIndexes = session.consumers
+            .map((consumer, index) => index)
+            .filter(index => !session.finishedIndexes.has(index));
+        
+        if (missingIndexes.length > 0) {
+            console.log(`Adding ${missingIndexes.length} non-processed consumers to results with error status`);
+            
+            missingIndexes.forEach(index => {
+                const { consumerNo, company, metadata } = session.consumers[index];
+                session.results.push({
+                    consumerNo,
+                    company,
+                    metadata: metadata || {},
+                    index,
+                    error: session.cancelledAt ? 'Job was cancelled before this consumer was looked up' : 'Processing timed out or was incomplete',
+                    errorCode: NOT_PROCESSED
+                });
+            });
+        }
+    }
+    
+    console.log(`*** ALL CONSUMER NUMBERS PROCESSING COMPLETED FOR SESSION ${sessionId} ***`);
+    console.log(`========================================\n`);
+    
+    // Create Excel file with results
+    try {
+        console.log(`Creating Excel file for session ${sessionId} with ${session.results.length} results`);
+        const excelPath = await writeSessionResults(sessionId, session);
+        console.log(`Excel file created: ${excelPath}`);
+        
+        // Update session status and store results path for reconnection handling
+        session.currentIndex = total;
+        session.status = 'completed';
+        session.resultsPath = excelPath; // Store the path for reconnections
+        saveSession(sessionId);
+        
+        // Emit completion events in correct sequence
+        console.log(`Emitting completion events for session ${sessionId}`);
+        io.emit('processing-complete', { sessionId });
+        notifyWebhooks('job-finished', { ...describeJob(sessionId, session), reason: completionReason, results: session.results });
+        
+        // Add a slight delay to ensure processing-complete is processed before extraction-complete
+        setTimeout(() => {
+            console.log(`Emitting extraction-complete event with autoDownload=true for session ${sessionId}`);
+            io.emit('extraction-complete', { sessionId, autoDownload: true });
+            
+            // Log a very visible completion message
+            console.log(`\n==================================================`);
+            console.log(`🎉 PROCESSING COMPLETE - DOWNLOAD TRIGGERED 🎉`);
+            console.log(`==================================================\n`);
+        }, 1000);
+    } catch (error) {
+        console.error(`Error creating Excel file for session ${sessionId}:`, error);
+        session.status = 'error';
+        saveSession(sessionId);
+        io.emit('processing-error', { sessionId, error: 'Failed to create Excel file: ' + error.message });
+        notifyWebhooks('job-finished', { ...describeJob(sessionId, session), error: `Failed to create Excel file: ${error.message}`, results: session.results });
+    }
+}
+
+// Write the results workbook of a session in its output mode. A session whose uploaded file is
+// gone, or that predates row tracking, gets a new workbook instead
+async function writeSessionResults(sessionId, session) {
+    if (session.outputMode === 'original') {
+        const hasRows = session.consumers.every(consumer => consumer.row !== undefined);
+        if (hasRows && session.sourceFile && await fs.pathExists(session.sourceFile)) {
+            const layout = session.sourceLayout || {};
+            return excelProcessor.writeResultsIntoWorkbook(session.results, sessionId, {
+                filePath: session.sourceFile,
+                consumers: session.consumers,
+                sheetName: layout.sheetName,
+                hasHeader: layout.hasHeader
+            }, session.outputProfile);
+        }
+        console.warn(`Uploaded workbook of session ${sessionId} is not available, writing a new workbook`);
+    }
+    return excelProcessor.writeResults(session.results, sessionId, session.outputProfile);
+}
+
+// Process a single consumer ({ consumerNo, company }) on whichever extraction driver the session uses.
+// A quick lookup passes its own session-like { backend, solver, status, captchaOperator }
+async function processConsumer(consumer, sessionId, session = activeSessions.get(sessionId)) {
+    const { consumerNo, company } = consumer;
     let browserId;
-    let retries = 0;
-    const maxRetries = 3;
+    const attempts = {}; // Failed attempts per error code
+    let totalAttempts = 0;
     
     console.log(`processConsumer: Starting processing for consumer ${consumerNo}`);
     
-    while (retries < maxRetries) {
+    if (!session) throw new Error('Session not found');
+    
+    if (!company) {
+        // Retrying cannot help when the sheet names a discom we do not know
+        throw new UnknownCompanyError(`Unknown company "${consumer.companyInput}"`);
+    }
+    
+    const driver = drivers[session.backend];
+    // Uploaded numbers are normalized when read; sessions saved before that may still hold the raw input
+    const formattedConsumerNo = excelProcessor.formatConsumerNumber(consumerNo.toString());
+    
+    let waitingSince = null; // Set while no worker is free
+    
+    while (true) {
+        let bufferSlot = null;
         try {
-            console.log(`processConsumer: Getting available browser for consumer ${consumerNo} (attempt ${retries + 1})`);
-            browserId = await browserManager.getAvailableBrowser();
+            // A session cancelled or force-completed while this lookup waited for a worker is done with it
+            if (session.status !== 'processing') {
+                throw new CancelledError('Session finished before a worker was available');
+            }
+            
+            // Only stage this lookup when the captcha buffer has room for its captcha; a quick
+            // lookup has someone waiting on it and goes straight ahead
+            bufferSlot = session.quickLookup ? UNBUFFERED_SLOT : await captchaBuffer.reserve();
+            
+            console.log(`processConsumer: Getting available ${driver.name} worker for consumer ${consumerNo} (attempt ${totalAttempts + 1})`);
+            browserId = await driver.acquire();
             
             if (!browserId) {
-                console.log(`processConsumer: No browser available, waiting 5 seconds...`);
-                await new Promise(resolve => setTimeout(resolve, 5000));
+                bufferSlot.release();
+                waitingSince = waitingSince || Date.now();
+                if (Date.now() - waitingSince >= WORKER_WAIT_TIMEOUT_MS) {
+                    throw new WorkerUnavailableError(`No ${driver.name} worker became available within ${WORKER_WAIT_TIMEOUT_MS / 1000} seconds`);
+                }
+                console.log(`processConsumer: No worker available, waiting ${WORKER_POLL_MS / 1000} seconds...`);
+                await new Promise(resolve => setTimeout(resolve, WORKER_POLL_MS));
                 continue;
             }
+            waitingSince = null;
 
-            console.log(`processConsumer: Got browser ${browserId} for consumer ${consumerNo}`);
-            
-            // Initialize browser with fresh page
-            await browserManager.navigateToMGVCL(browserId);
-            
-            const formattedConsumerNo = consumerNo.toString().padStart(11, '0');
+            console.log(`Processing consumer ${formattedConsumerNo} (${company}) on ${browserId}`);
+            io.emit('processing-update', { sessionId, browserId, consumerNo: formattedConsumerNo, company });
 
-            console.log(`Processing consumer ${formattedConsumerNo} on ${browserId}`);
-            io.emit('processing-update', { sessionId, browserId, consumerNo: formattedConsumerNo });
-
-            await browserManager.navigateToMGVCL(browserId);
-            console.log(`processConsumer: Navigated to MGVCL for consumer ${consumerNo}`);
-            await browserManager.selectCompany(browserId, 'MGVCL');
-            console.log(`processConsumer: Selected company for consumer ${consumerNo}`);
-            await browserManager.enterConsumerNumber(browserId, formattedConsumerNo);
-            console.log(`processConsumer: Entered consumer number for consumer ${consumerNo}`);
-
-            const captchaRequired = await browserManager.isCaptchaRequired(browserId);
+            const { captchaRequired } = await driver.startLookup(browserId, formattedConsumerNo, company);
             console.log(`Captcha required for ${formattedConsumerNo}: ${captchaRequired}`);
 
             if (captchaRequired) {
                 console.log(`processConsumer: Captcha required for consumer ${consumerNo}, waiting for user input`);
-                const session = activeSessions.get(sessionId);
-                if (!session) throw new Error('Session not found');
-
-                browserManager.lockForCaptcha(browserId, formattedConsumerNo);
-                const captchaImage = await browserManager.getCaptchaImage(browserId);
-
-                session.waitingForCaptcha = true;
-                session.currentBrowserId = browserId;
+                const captchaImage = await driver.getCaptcha(browserId);
+                // A session cancelled or force-completed while this lookup was starting needs no captcha
+                if (session.status !== 'processing') {
+                    throw new CancelledError('Session finished before the captcha was shown');
+                }
+                // From here on the captcha counts as waiting in the broker
+                bufferSlot.release({ staged: true });
 
-                io.emit('captcha-required', {
+                // Resolves once the solver's or an operator's answer is accepted; rejects on expiry or a failed submit
+                await captchaBroker.request({
                     sessionId,
-                    browserId,
+                    driver,
+                    workerId: browserId,
+                    consumerNo: formattedConsumerNo,
+                    company,
                     captchaImage,
-                    consumerNo: formattedConsumerNo
+                    solver: captchaSolvers[session.solver],
+                    pinnedTo: session.captchaOperator
                 });
-
-                // Wait for captcha with timeout
-                const captchaTimeout = 5 * 60 * 1000; // 5 minutes
-                const startTime = Date.now();
-                
-                while (session.waitingForCaptcha) {
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                    if (Date.now() - startTime >= captchaTimeout) {
-                        throw new Error('Captcha timeout');
-                    }
-                }
-                console.log(`processConsumer: Captcha submitted for consumer ${consumerNo}`);
+                console.log(`processConsumer: Captcha accepted for consumer ${consumerNo}`);
             }
 
-            console.log(`processConsumer: Submitting and getting results for consumer ${consumerNo}`);
-            const billingData = await browserManager.submitAndGetResults(browserId);
+            bufferSlot.release();
+            console.log(`processConsumer: Getting results for consumer ${consumerNo}`);
+            const billingData = await driver.getResult(browserId);
             console.log(`processConsumer: Successfully completed consumer ${consumerNo}`);
-            console.log(`processConsumer: Returning result for consumer ${consumerNo}`);
             
-            // Release browser before returning
-            if (browserId) {
-                console.log(`processConsumer: Releasing browser ${browserId} for consumer ${consumerNo}`);
-                browserManager.releaseBrowser(browserId);
-                console.log(`processConsumer: Browser ${browserId} released and made available for next consumer`);
-            }
+            // Release worker before returning
+            console.log(`processConsumer: Releasing ${browserId} for consumer ${consumerNo}`);
+            driver.release(browserId);
             
             return {
                 consumerNo: formattedConsumerNo,
                 ...billingData,
+                company,
                 browserId
             };
 
-        } catch (error) {
-            retries++;
-            console.error(`Error processing consumer ${consumerNo} (attempt ${retries}):`, error);
+        } catch (caughtError) {
+            const error = classifyError(caughtError);
+            attempts[error.code] = (attempts[error.code] || 0) + 1;
+            totalAttempts++;
+            console.error(`Error processing consumer ${consumerNo} (${error.code}, attempt ${totalAttempts}):`, caughtError);
+            if (bufferSlot) {
+                bufferSlot.release();
+            }
             
             if (browserId) {
-                console.log(`processConsumer: Releasing browser ${browserId} for consumer ${consumerNo} after error`);
-                browserManager.releaseBrowser(browserId);
+                console.log(`processConsumer: Releasing ${browserId} for consumer ${consumerNo} after error`);
+                driver.release(browserId);
+                browserId = null;
             }
             
-            if (retries >= maxRetries) {
+            // Each error type has its own budget (see RETRY_POLICIES); do not start another
+            // attempt for a session that was force-completed meanwhile
+            const policy = RETRY_POLICIES[error.code];
+            if (attempts[error.code] >= policy.maxAttempts || totalAttempts >= MAX_TOTAL_ATTEMPTS || session.status !== 'processing') {
+                console.log(`processConsumer: Giving up on consumer ${consumerNo} after ${totalAttempts} attempts (${error.code})`);
                 throw error;
             }
             
-            await new Promise(resolve => setTimeout(resolve, 5000));
+            const delay = (policy.delayMs || 0) * Math.pow(policy.backoff || 1, attempts[error.code] - 1);
+            if (delay > 0) {
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
         }
     }
-    
-    console.log(`processConsumer: Exiting processConsumer for consumer ${consumerNo} - all retries exhausted`);
-    throw new Error(`Failed to process consumer ${consumerNo} after ${maxRetries} retries`);
 }
 
+// Reload stored sessions; the ones a restart interrupted are queued again from where they stopped
+function restoreSessions() {
+    for (const { sessionId, session } of sessionStore.loadAll()) {
+        activeSessions.set(sessionId, session);
+
+        if (session.status === 'processing' || session.status === 'finishing') {
+            session.status = 'interrupted';
+            saveSession(sessionId);
+            console.log(`Session ${sessionId} was interrupted with ${session.finishedIndexes.size}/${session.consumers.length} consumers done`);
+
+            if (RESUME_INTERRUPTED_SESSIONS) {
+                resumeSession(sessionId);
+            }
+        }
+    }
+}
+
+// Positions in session.consumers that have no result yet or whose lookup failed with an error
+// that another attempt can fix (an invalid consumer number stays invalid)
+function getResumableIndexes(session) {
+    const failedIndexes = new Set(session.results
+        .filter(result => result.error && isRetryable(result.errorCode))
+        .map(result => result.index));
+    return session.consumers
+        .map((consumer, index) => index)
+        .filter(index => !session.finishedIndexes.has(index) || failedIndexes.has(index));
+}
+
+// Queue the unfinished and failed consumers of a session again. Their old rows are dropped
+// from the result set, so the new outcomes end up next to the earlier successes in one file.
+// A cancelled or force-completed run keeps its scheduler job until the lookups it had in
+// flight return (their results are dropped, the session is not processing), so the new run
+// starts after that. Returns the number of re-queued consumers
+function resumeSession(sessionId) {
+    const session = activeSessions.get(sessionId);
+    if (!session || session.resuming || !RESUMABLE_STATUSES.includes(session.status)) return 0;
+
+    const resumableIndexes = getResumableIndexes(session);
+    if (resumableIndexes.length === 0) return 0;
+
+    console.log(`Resuming session ${sessionId} with ${resumableIndexes.length} unfinished or failed consumers`);
+    session.resuming = true;
+
+    scheduler.whenJobDone(sessionId).then(() => {
+        session.resuming = false;
+        if (activeSessions.get(sessionId) !== session) return;
+
+        session.status = 'processing';
+        delete session.cancelledAt;
+        saveSession(sessionId);
+        processConsumerNumbers(sessionId, getResumableIndexes(session));
+    });
+    return resumableIndexes.length;
+}
 
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Open http://localhost:${PORT} to access the application`);
+    restoreSessions();
 });
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
     console.log('Shutting down gracefully...');
-    await browserManager.closeAll();
+    await sessionStore.flush();
+    for (const driver of Object.values(drivers)) {
+        await driver.closeAll();
+    }
     process.exit(0);
 });
 
@@ -1,20 +1,27 @@
 const axios = require('axios');
 const https = require('https');
-const EventEmitter = require('events');
-const { v4: uuidv4 } = require('uuid');
+const ExtractionDriver = require('./extractionDriver');
+const { DEFAULT_COMPANY } = require('./companies');
+const {
+    InvalidConsumerError,
+    InvalidCaptchaError,
+    NetworkError,
+    PageLayoutError,
+    ExtractionError
+} = require('./errors');
 
 /**
  * API Instance class representing a single MGVCL API session
  */
 class ApiInstance {
-    constructor(id) {
+    /**
+     * @param {string} id - Instance ID
+     * @param {string} [baseUrl] - Site to open the session on
+     */
+    constructor(id, baseUrl = ExtractionDriver.DEFAULT_BASE_URL) {
         this.id = id;
-        this.baseUrl = 'https://mpay.guvnl.in';
+        this.baseUrl = baseUrl;
         this.sessionCookie = null;
-        this.currentConsumer = null;
-        this.busy = false;
-        this.captchaRequired = false;
-        this.lastCaptchaRefresh = null;
         
         // Create axios instance with default configuration
         this.api = axios.create({
@@ -64,199 +71,136 @@ class ApiInstance {
     
     /**
      * Reset the API instance for reuse
+     * @returns {Promise<boolean>} Success status
      */
     async reset() {
-        try {
-            // Re-initialize session
-            await this.initialize();
-            
-            // Clear state
-            this.currentConsumer = null;
-            this.busy = false;
-            this.captchaRequired = false;
-            this.lastCaptchaRefresh = null;
-            
-            return true;
-        } catch (error) {
-            console.error(`[API Instance ${this.id}] Error resetting:`, error.message);
-            return false;
-        }
+        // A fresh PHP session gives a fresh captcha and clears any failed attempts
+        return this.initialize();
     }
 }
 
-class ApiProcessor extends EventEmitter {
-    constructor(maxInstances = 5) {
-        super();
-        this.maxInstances = maxInstances;
-        this.baseUrl = 'https://mpay.guvnl.in';
-        this.captchaRequests = new Map();
-        this.instances = new Map();
-        this.availableInstances = [];
-        this.busyInstances = new Set();
-        this.initialized = false;
-        this.instanceQueue = []; // Queue for pending instance requests
-        
-        // Initialize API instances
-        for (let i = 0; i < this.maxInstances; i++) {
-            const instanceId = `api_${i}`;
-            this.instances.set(instanceId, new ApiInstance(instanceId));
-            this.availableInstances.push(instanceId);
-        }
+/**
+ * Turn a GetConsStatus.php response into a result row. The fields are filled the way the QuickPay
+ * page fills the inputs BrowserManager.extractBillingData reads, so both backends produce the same
+ * row: #billamt (Outstanding Amount) shows the last bill, #payamount (Amount to Pay) shows
+ * OutAmount, with a credit shown as 0
+ * @param {Object} data - Parsed response with v_status 'Y'
+ * @returns {Object} Result row
+ */
+function toResult(data) {
+    const lastBillAmount = data.last_bill_amount !== undefined ? data.last_bill_amount : data.v_bill_amt_assmt;
+    let amountToPay = '';
+    if (data.OutAmount !== undefined && data.OutAmount !== null) {
+        amountToPay = Number(data.OutAmount) < 0 ? '0' : String(data.OutAmount);
     }
 
+    return {
+        consumerName: (data.v_cons_name || '').trim(),
+        consumerNo: data.v_cons_no,
+        lastPaidDetail: data.last_paid_detail || '',
+        outstandingAmount: lastBillAmount !== undefined && lastBillAmount !== null ? String(lastBillAmount) : '',
+        billDate: data.last_bill_date || data.v_bill_dt_assmt || '',
+        amountToPay,
+        circle: data.v_circle,
+        division: data.v_division,
+        subdivision: data.v_subdiv,
+        dueDate: data.v_due_dt_assmt,
+        billingPeriod: data.v_billing_period_assmt,
+        location: data.cons_location
+    };
+}
+
+class ApiProcessor extends ExtractionDriver {
     /**
-     * Initialize all API instances
-     * @returns {Promise<boolean>} Success status
+     * @param {number} [maxInstances] - Pool size
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl] - Site the requests go to
      */
-    async initialize() {
-        if (this.initialized) {
-            console.log('API instances already initialized');
-            return true;
-        }
-        
-        console.log(`Initializing ${this.maxInstances} API instances...`);
-        
-        let successCount = 0;
-        
-        for (const [instanceId, instance] of this.instances.entries()) {
-            const success = await instance.initialize();
-            if (success) {
-                successCount++;
-            }
-        }
-        
-        this.initialized = (successCount > 0);
-        console.log(`Initialized ${successCount}/${this.maxInstances} API instances`);
-        
-        // Start the cleanup interval
-        this.startCleanupInterval();
-        
-        return this.initialized;
+    constructor(maxInstances = 5, { baseUrl } = {}) {
+        super({ name: 'api', maxWorkers: maxInstances, acquireTimeout: 2 * 60 * 1000, baseUrl });
+        this.maxInstances = maxInstances;
     }
-    
-    /**
-     * Get an available API instance
-     * @returns {Promise<string|null>} Instance ID or null if none available
-     */
+
+    // Pre-driver names, kept for callers that still use them
+    get instances() {
+        return this.workers;
+    }
+
     async getAvailableInstance() {
-        if (!this.initialized) {
-            await this.initialize();
-        }
-        
-        console.log(`Available API instances: ${this.availableInstances.length}, Busy instances: ${this.busyInstances.size}`);
-        
-        // Check if there's an available instance
-        if (this.availableInstances.length === 0) {
-            console.log('No available API instances, queuing request');
-            // Return promise that resolves when an instance becomes available
-            return new Promise((resolve) => {
-                const timeoutId = setTimeout(() => {
-                    const queueIndex = this.instanceQueue.indexOf(resolve);
-                    if (queueIndex > -1) {
-                        this.instanceQueue.splice(queueIndex, 1);
-                        resolve(null); // Resolve with null to indicate timeout
-                    }
-                }, 2 * 60 * 1000); // 2 minute timeout
-                
-                // Add resolver function to queue
-                this.instanceQueue.push((instanceId) => {
-                    clearTimeout(timeoutId);
-                    resolve(instanceId);
-                });
-            });
-        }
-        
-        const instanceId = this.availableInstances.shift();
-        this.busyInstances.add(instanceId);
-        
-        const instance = this.instances.get(instanceId);
-        if (instance) {
-            instance.busy = true;
-            return instanceId;
-        }
-        
-        return null;
+        return this.acquire();
     }
-    
+
+    async releaseInstance(instanceId) {
+        return this.release(instanceId);
+    }
+
+    getInstanceStatus() {
+        return this.getStatus().map(({ workerId, ...status }) => ({ instanceId: workerId, ...status }));
+    }
+
+    isCaptchaValid(instanceId, consumerNo) {
+        return this.isAwaitingCaptcha(instanceId, consumerNo);
+    }
+
     /**
-     * Release an API instance for reuse
-     * @param {string} instanceId - ID of the instance to release
+     * Open an MGVCL session for a new worker
+     * @param {string} instanceId - ID of the new worker
+     * @returns {Promise<Object>} Worker properties
      */
-    async releaseInstance(instanceId) {
-        const instance = this.instances.get(instanceId);
-        if (!instance) return;
-        
-        console.log(`Releasing API instance ${instanceId}`);
-        
-        try {
-            // Reset the instance for reuse
-            await instance.reset();
-            
-            // Update status
-            instance.busy = false;
-            instance.currentConsumer = null;
-            instance.captchaRequired = false;
-            
-            // Remove from busy set
-            this.busyInstances.delete(instanceId);
-            
-            // If there are pending requests in queue, process next request immediately
-            if (this.instanceQueue.length > 0) {
-                const nextRequest = this.instanceQueue.shift();
-                instance.busy = true;
-                this.busyInstances.add(instanceId);
-                console.log(`[${instanceId}] Processing next request from queue, queue length: ${this.instanceQueue.length}`);
-                nextRequest(instanceId);
-            } else {
-                // Add back to available list
-                this.availableInstances.push(instanceId);
-            }
-            
-            // Emit event that instance is available
-            this.emit('instance-available', instanceId);
-        } catch (error) {
-            console.error(`Error releasing instance ${instanceId}:`, error);
-            
-            // Still mark as available even if reset fails
-            instance.busy = false;
-            this.busyInstances.delete(instanceId);
-            this.availableInstances.push(instanceId);
+    async createWorker(instanceId) {
+        const session = new ApiInstance(instanceId, this.baseUrl);
+        const success = await session.initialize();
+        if (!success) {
+            throw new NetworkError('Failed to open MGVCL session');
         }
+        return { session, lastResult: null, company: DEFAULT_COMPANY };
     }
-    
+
+    async resetWorker(instance) {
+        instance.lastResult = null;
+        instance.company = DEFAULT_COMPANY;
+        // A worker whose session could not be renewed opens a new one before its next lookup
+        instance.sessionFailed = !(await instance.session.reset());
+        if (instance.sessionFailed) {
+            throw new NetworkError('Failed to reset MGVCL session');
+        }
+    }
+
     /**
-     * Lock an API instance for captcha handling
+     * Start a lookup; the HTTP backend always needs a captcha before it can query the consumer
      * @param {string} instanceId - ID of the API instance
-     * @param {string} consumerNo - Consumer number
+     * @param {string} consumerNo - Formatted consumer number
+     * @param {string} [company] - Company code, e.g. 'DGVCL'
+     * @returns {Promise<Object>} { captchaRequired }
      */
-    lockForCaptcha(instanceId, consumerNo) {
-        const instance = this.instances.get(instanceId);
-        if (!instance) return;
-        
-        instance.captchaRequired = true;
+    async startLookup(instanceId, consumerNo, company = DEFAULT_COMPANY) {
+        const instance = this.getWorker(instanceId);
+        if (instance.sessionFailed) {
+            if (!(await instance.session.initialize())) {
+                throw new NetworkError('Failed to reopen MGVCL session');
+            }
+            instance.sessionFailed = false;
+        }
         instance.currentConsumer = consumerNo;
-        instance.lastCaptchaRefresh = Date.now();
-        
-        // Add to captcha requests map
-        this.captchaRequests.set(instanceId, {
-            instanceId,
-            consumerNo,
-            timestamp: Date.now()
-        });
+        instance.company = company;
+        instance.lastResult = null;
+        return { captchaRequired: true };
     }
-    
-    /**
-     * Unlock an API instance from captcha
-     * @param {string} instanceId - ID of the API instance
-     */
-    unlockFromCaptcha(instanceId) {
-        const instance = this.instances.get(instanceId);
-        if (!instance) return;
-        
-        instance.captchaRequired = false;
-        this.captchaRequests.delete(instanceId);
+
+    async getCaptcha(instanceId) {
+        const instance = this.getWorker(instanceId);
+        const captchaData = await this.getCaptchaImage(instanceId, instance.currentConsumer);
+        return captchaData.captchaImage;
     }
-    
+
+    async getResult(instanceId) {
+        const instance = this.getWorker(instanceId);
+        if (!instance.lastResult) {
+            throw new ExtractionError('No billing data available, captcha was not accepted');
+        }
+        return instance.lastResult;
+    }
+
     /**
      * Get captcha image for a consumer
      * @param {string} instanceId - ID of the API instance
@@ -276,9 +220,9 @@ class ApiProcessor extends EventEmitter {
             const timestamp = Date.now();
             const captchaUrl = `${this.baseUrl}/paytm/securimage/securimage_show.php?${timestamp}`;
             
-            const response = await instance.api.get(captchaUrl, {
+            const response = await instance.session.api.get(captchaUrl, {
                 headers: {
-                    'Cookie': instance.sessionCookie,
+                    'Cookie': instance.session.sessionCookie,
                     'Referer': `${this.baseUrl}/paytm/QuickPay.php`
                 },
                 responseType: 'arraybuffer'
@@ -304,7 +248,7 @@ class ApiProcessor extends EventEmitter {
     /**
      * Refresh captcha for an instance
      * @param {string} instanceId - ID of the API instance
-     * @returns {Promise<Object>} New captcha information
+     * @returns {Promise<string>} New captcha image as a data URL
      */
     async refreshCaptcha(instanceId) {
         const instance = this.instances.get(instanceId);
@@ -316,7 +260,8 @@ class ApiProcessor extends EventEmitter {
         
         try {
             // Simply get a new captcha
-            return await this.getCaptchaImage(instanceId, consumerNo);
+            const captchaData = await this.getCaptchaImage(instanceId, consumerNo);
+            return captchaData.captchaImage;
         } catch (error) {
             console.error(`[${instanceId}] Error refreshing captcha:`, error.message);
             throw error;
@@ -340,17 +285,17 @@ class ApiProcessor extends EventEmitter {
         try {
             console.log(`[${instanceId}] Submitting captcha for consumer ${consumerNo}`);
             
-            const response = await instance.api.post(
+            const response = await instance.session.api.post(
                 `${this.baseUrl}/paytmservices/GetConsStatus.php`, 
                 JSON.stringify({
                     consno: consumerNo,
-                    company: 'mgvcl',
+                    company: (instance.company || DEFAULT_COMPANY).toLowerCase(),
                     cap_cod: captchaText
                 }),
                 {
                     headers: {
                         'Content-Type': 'application/json; charset=UTF-8',
-                        'Cookie': instance.sessionCookie,
+                        'Cookie': instance.session.sessionCookie,
                         'Referer': `${this.baseUrl}/paytm/QuickPay.php`,
                         'Origin': this.baseUrl,
                         'X-Requested-With': 'XMLHttpRequest'
@@ -358,166 +303,40 @@ class ApiProcessor extends EventEmitter {
                 }
             );
             
+            let data;
             try {
-                const data = JSON.parse(response.data);
-                
-                if (data.v_status === 'Y') {
-                    // Successfully got data, unlock from captcha
-                    this.unlockFromCaptcha(instanceId);
-                    
-                    // Format the data to match our application's expected format
-                    return {
-                        consumerNo: data.v_cons_no,
-                        name: data.v_cons_name.trim(),
-                        circle: data.v_circle,
-                        division: data.v_division,
-                        subdivision: data.v_subdiv,
-                        billAmount: parseFloat(data.v_bill_amt_assmt || 0),
-                        billDate: data.v_bill_dt_assmt,
-                        dueDate: data.v_due_dt_assmt,
-                        billingPeriod: data.v_billing_period_assmt,
-                        outstandingAmount: parseFloat(data.OutAmount || 0),
-                        lastPaidAmount: data.last_paid_detail
-                    };
-                } else {
-                    // Handle error cases
-                    throw new Error(data.error_message || 'Invalid consumer number or captcha');
-                }
+                // axios already parses JSON responses, but the site does not always send a JSON content type
+                data = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
             } catch (parseError) {
                 console.error(`[${instanceId}] Error parsing response:`, parseError);
                 console.error('Response body:', response.data);
-                throw new Error('Failed to parse server response');
+                throw new PageLayoutError('Failed to parse server response', parseError);
             }
-        } catch (error) {
-            console.error(`[${instanceId}] Error submitting captcha for consumer ${consumerNo}:`, error.message);
-            throw error;
-        }
-    }
-    
-    /**
-     * Check if an API instance is still valid for captcha handling
-     * @param {string} instanceId - ID of the API instance
-     * @param {string} consumerNo - Consumer number
-     * @returns {boolean} True if valid, false otherwise
-     */
-    isCaptchaValid(instanceId, consumerNo) {
-        const instance = this.instances.get(instanceId);
-        if (!instance) return false;
-        
-        if (!instance.captchaRequired) return false;
-        
-        if (instance.currentConsumer !== consumerNo) return false;
-        
-        // Check if captcha is too old (5 minutes)
-        if (Date.now() - instance.lastCaptchaRefresh > 5 * 60 * 1000) return false;
-        
-        return true;
-    }
-    
-    /**
-     * Get the current status of all API instances
-     * @returns {Array} Array of instance status objects
-     */
-    getInstanceStatus() {
-        const status = [];
-        
-        for (const [instanceId, instance] of this.instances.entries()) {
-            status.push({
-                instanceId,
-                busy: instance.busy,
-                currentConsumer: instance.currentConsumer,
-                captchaRequired: instance.captchaRequired,
-                lastCaptchaRefresh: instance.lastCaptchaRefresh
-            });
-        }
-        
-        return status;
-    }
-    
-    /**
-     * Clean up stale captcha requests
-     * @returns {boolean} True if any requests were cleaned up
-     */
-    checkCaptchaLocks() {
-        const currentTime = Date.now();
-        const staleEntries = [];
-        
-        // Find stale entries
-        for (const [instanceId, lockInfo] of this.captchaRequests.entries()) {
-            const instance = this.instances.get(instanceId);
             
-            // If instance doesn't exist, is not requiring captcha, or has been locked for too long
-            if (!instance || 
-                !instance.captchaRequired || 
-                (currentTime - lockInfo.timestamp > 5 * 60 * 1000)) {
-                
-                staleEntries.push({
-                    instanceId,
-                    consumerNo: lockInfo.consumerNo
-                });
-                
-                console.log(`Removing stale captcha lock for instance ${instanceId}, consumer ${lockInfo.consumerNo}`);
+            if (data.v_status !== 'Y') {
+                const message = data.error_message || 'Invalid consumer number or captcha';
+                // The site uses the same status for both; only a message that names the consumer
+                // alone is taken as an unknown consumer, anything else lets the operator try again
+                if (/consumer/i.test(message) && !/captcha/i.test(message)) {
+                    throw new InvalidConsumerError(message);
+                }
+                throw new InvalidCaptchaError(message);
             }
-        }
-        
-        // Remove stale entries
-        for (const entry of staleEntries) {
-            this.captchaRequests.delete(entry.instanceId);
             
-            const instance = this.instances.get(entry.instanceId);
-            if (instance) {
-                instance.captchaRequired = false;
-            }
+            // Successfully got data, unlock from captcha
+            this.unlockFromCaptcha(instanceId);
             
-            // Emit event so we can notify clients
-            this.emit('captcha-obsolete', {
-                instanceId: entry.instanceId,
-                consumerNo: entry.consumerNo,
-                message: 'Captcha is no longer valid (timed out or instance reassigned)'
-            });
+            instance.lastResult = toResult(data);
+            return instance.lastResult;
+        } catch (error) {
+            console.error(`[${instanceId}] Error submitting captcha for consumer ${consumerNo}:`, error.message);
+            throw error;
         }
-        
-        return staleEntries.length > 0;
     }
     
     /**
-     * Periodically clean up stale captcha requests
-     */
-    startCleanupInterval() {
-        // Clean up requests older than 5 minutes
-        this.cleanupInterval = setInterval(() => {
-            const removed = this.checkCaptchaLocks();
-            if (removed) {
-                console.log('Cleaned up stale API captcha entries');
-            }
-        }, 30000); // Check every 30 seconds
-    }
-      /**
-     * Close all API instances and clean up resources
-     */
-    async closeAll() {
-        console.log('Shutting down all API instances');
-        
-        // Clear the cleanup interval
-        if (this.cleanupInterval) {
-            clearInterval(this.cleanupInterval);
-            this.cleanupInterval = null;
-        }
-        
-        // Clear all maps and arrays
-        this.captchaRequests.clear();
-        this.instances.clear();
-        this.availableInstances = [];
-        this.busyInstances.clear();
-        this.instanceQueue = [];
-        this.initialized = false;
-        
-        console.log('All API instances shut down');
-    }
-
-    /**
-     * Submit captcha for a request ID and get consumer details
-     * This is the main method used by server.js
+     * Submit captcha for a request ID and get consumer details, releasing the instance afterwards
+     * One-shot alternative to the driver contract for callers outside server.js
      * @param {string} requestId - Request ID (same as instance ID) 
      * @param {string} captchaText - Captcha text entered by user
      * @returns {Promise<Object>} Consumer details
@@ -543,8 +362,8 @@ class ApiProcessor extends EventEmitter {
     }
 
     /**
-     * Get a captcha for a consumer
-     * Main method used by server.js
+     * Acquire an instance and get a captcha for a consumer
+     * One-shot alternative to the driver contract for callers outside server.js
      * @param {string} consumerNo - Consumer number
      * @returns {Promise<Object>} Captcha request data including image and requestId
      */
@@ -572,4 +391,6 @@ class ApiProcessor extends EventEmitter {
     }
 }
 
+ApiProcessor.toResult = toResult;
+
 module.exports = ApiProcessor;
@@ -0,0 +1,138 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { COMPANIES } = require('./companies');
+
+/**
+ * Keeps every successful extraction as a dated record per consumer, so bills can be followed
+ * over time after the results workbooks are gone.
+ *
+ * Records are appended to one JSON lines file per consumer (<baseDir>/<company>/<consumerNo>.jsonl):
+ *     { recordedAt, jobId, consumerNo, company, consumerName, billDate, billingPeriod, amountToPay,
+ *       dueDate, outstandingAmount, lastPaidDetail, circle, division, subdivision, location }
+ * jobId is the session the lookup belonged to, or lookup-<n> for a quick lookup. Records are filed
+ * under the consumer number and company that were asked for, not the ones the site answers with,
+ * so they can be found with the number that is looked up.
+ */
+
+const CONSUMER_NO_PATTERN = /^\d{11}$/;
+
+// Result fields kept in a record; the rest (worker, metadata) belongs to the run, not the bill
+const RECORD_FIELDS = [
+    'consumerName',
+    'billDate',
+    'billingPeriod',
+    'amountToPay',
+    'dueDate',
+    'outstandingAmount',
+    'lastPaidDetail',
+    'circle',
+    'division',
+    'subdivision',
+    'location'
+];
+
+class BillHistory {
+    /**
+     * @param {string} [baseDir] - Directory holding the history files
+     */
+    constructor(baseDir = './bill-history') {
+        this.baseDir = baseDir;
+        fs.ensureDirSync(this.baseDir);
+    }
+
+    /**
+     * @param {string} company - Company code
+     * @param {string} consumerNo - Consumer number (11 digits)
+     * @returns {string} Path of the consumer's history file
+     * @throws {Error} If the company or the consumer number is not valid
+     */
+    getPath(company, consumerNo) {
+        if (!COMPANIES.some(c => c.code === company)) {
+            throw new Error(`Unknown company "${company}"`);
+        }
+        if (!CONSUMER_NO_PATTERN.test(consumerNo || '')) {
+            throw new Error(`Not an 11 digit consumer number: "${consumerNo}"`);
+        }
+        return path.join(this.baseDir, company, `${consumerNo}.jsonl`);
+    }
+
+    /**
+     * Store a successful extraction
+     * @param {string} jobId - Session or quick lookup the result came from
+     * @param {Object} consumer - Consumer as it was looked up: { consumerNo (11 digits), company }
+     * @param {Object} result - Result row with the billing fields
+     * @returns {Promise<Object>} Record as stored
+     * @throws {Error} If the consumer number or company is not valid
+     */
+    async record(jobId, consumer, result) {
+        const filePath = this.getPath(consumer.company, consumer.consumerNo);
+        const record = {
+            recordedAt: new Date().toISOString(),
+            jobId,
+            consumerNo: consumer.consumerNo,
+            company: consumer.company
+        };
+        RECORD_FIELDS.forEach((field) => {
+            record[field] = result[field] === undefined || result[field] === null ? '' : result[field];
+        });
+
+        await fs.ensureDir(path.dirname(filePath));
+        await fs.appendFile(filePath, JSON.stringify(record) + '\n');
+        return record;
+    }
+
+    /**
+     * Read the records of a consumer
+     * @param {string} consumerNo - Consumer number (11 digits)
+     * @param {Array<string>} companies - Company codes to look in
+     * @returns {Promise<Array>} Records, oldest first
+     */
+    async getRecords(consumerNo, companies) {
+        const records = [];
+        for (const company of companies) {
+            const filePath = this.getPath(company, consumerNo);
+            if (!(await fs.pathExists(filePath))) continue;
+
+            const content = await fs.readFile(filePath, 'utf8');
+            content.split('\n')
+                .filter(line => line.trim())
+                .forEach(line => records.push(JSON.parse(line)));
+        }
+        return records.sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+    }
+
+    /**
+     * Build the timeline of a consumer
+     * @param {string} consumerNo - Consumer number (11 digits)
+     * @param {Array<string>} companies - Company codes to look in
+     * @returns {Promise<Object|null>} { consumerNo, consumerName, records, bills }, or null without records.
+     *          bills has one entry per company and bill date: the latest record of that bill with
+     *          firstRecordedAt, in the order they were first seen. records keeps every lookup, e.g.
+     *          to follow the outstanding amount and payments
+     */
+    async getTimeline(consumerNo, companies) {
+        const records = await this.getRecords(consumerNo, companies);
+        if (records.length === 0) {
+            return null;
+        }
+
+        // A bill keeps its place in the map when a later lookup replaces its values
+        const bills = new Map();
+        records.forEach((record) => {
+            const key = `${record.company}:${record.billDate}`;
+            const firstRecordedAt = bills.has(key) ? bills.get(key).firstRecordedAt : record.recordedAt;
+            bills.set(key, { ...record, firstRecordedAt });
+        });
+
+        return {
+            consumerNo,
+            consumerName: records[records.length - 1].consumerName,
+            records,
+            bills: [...bills.values()]
+        };
+    }
+}
+
+BillHistory.RECORD_FIELDS = RECORD_FIELDS;
+
+module.exports = BillHistory;
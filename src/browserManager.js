@@ -1,188 +1,125 @@
 const { chromium } = require('playwright');
-const EventEmitter = require('events');
-
-class BrowserManager extends EventEmitter {
-    constructor(maxBrowsers = 5) {
-        super();
+const ExtractionDriver = require('./extractionDriver');
+const { DEFAULT_COMPANY } = require('./companies');
+const {
+    InvalidConsumerError,
+    InvalidCaptchaError,
+    NetworkError,
+    PageLayoutError,
+    ExtractionError
+} = require('./errors');
+
+// How long a QuickPay page loaded when a browser was released can be used for the next lookup
+const PAGE_REUSE_MS = 2 * 60 * 1000;
+
+// Result fields read from the bill details of the lookup page, by element ID
+const BILL_FIELDS = {
+    consumerName: 'ConsumerName',
+    consumerNo: 'CUST_ID',
+    lastPaidDetail: 'lastpaid',
+    outstandingAmount: 'billamt',
+    billDate: 'billdate',
+    amountToPay: 'payamount',
+    location: 'MERC_UNQ_REF'
+};
+
+class BrowserManager extends ExtractionDriver {
+    /**
+     * @param {number} [maxBrowsers] - Pool size
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl] - Site to open QuickPay.php on
+     */
+    constructor(maxBrowsers = 5, { baseUrl } = {}) {
+        super({ name: 'browser', maxWorkers: maxBrowsers, acquireTimeout: 5 * 60 * 1000, baseUrl });
         this.maxBrowsers = maxBrowsers;
-        this.browsers = new Map();
-        this.availableBrowsers = [];
-        this.busyBrowsers = new Set();
-        this.initialized = false;
-        this.captchaLocks = new Map();
-        this.browserQueue = []; // Add queue for pending browser requests
         this.totalConsumers = 0;
         this.completedExtractions = 0;
     }
 
-    async initialize() {
-        if (this.initialized) {
-            console.log('Browsers already initialized');
-            return;
-        }
-
-        // Use static lock to prevent multiple initialization
-        if (BrowserManager._initializing) {
-            console.log('Browser initialization in progress, waiting...');
-            await BrowserManager._initializationPromise;
-            return;
-        }
-
-        BrowserManager._initializing = true;
-        BrowserManager._initializationPromise = (async () => {
-            try {
-                console.log(`Initializing ${this.maxBrowsers} browser instances...`);
-                for (let i = 0; i < this.maxBrowsers; i++) {
-                    const browserId = `browser_${i}`;
-                    if (!this.browsers.has(browserId)) {
-                        const browser = await chromium.launch({
-                            headless: false,
-                            args: ['--no-sandbox', '--disable-setuid-sandbox']
-                        });
-                        
-                        const context = await browser.newContext({
-                            viewport: { width: 1280, height: 720 },
-                            userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-                        });
-                        
-                        const page = await context.newPage();
-                        
-                        this.browsers.set(browserId, {
-                            browser,
-                            context,
-                            page,
-                            busy: false,
-                            currentConsumer: null,
-                            captchaRequired: false,
-                            lastCaptchaRefresh: null
-                        });
-                        
-                        this.availableBrowsers.push(browserId);
-                    }
-                }
-                this.initialized = true;
-            } finally {
-                BrowserManager._initializing = false;
-            }
-        })();
-
-        await BrowserManager._initializationPromise;
+    // Kept for the standalone test scripts, which predate the driver contract
+    get browsers() {
+        return this.workers;
     }
 
-    async getAvailableBrowser() {
-        if (!this.initialized) {
-            await this.initialize();
-        }
+    async createWorker(browserId) {
+        const browser = await chromium.launch({
+            headless: false,
+            args: ['--no-sandbox', '--disable-setuid-sandbox']
+        });
+        
+        const context = await browser.newContext({
+            viewport: { width: 1280, height: 720 },
+            userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+        });
+        
+        const page = await context.newPage();
+        
+        return { browser, context, page };
+    }
 
-        console.log(`getAvailableBrowser: Available browsers: ${this.availableBrowsers.length}, Busy browsers: ${this.busyBrowsers.size}, Queue length: ${this.browserQueue.length}`);
-
-        // Check if there's an available browser
-        if (this.availableBrowsers.length === 0) {
-            console.log(`getAvailableBrowser: No available browsers, adding to queue`);
-            // Return promise that resolves when a browser becomes available
-            return new Promise((resolve) => {
-                const timeoutId = setTimeout(() => {
-                    const queueIndex = this.browserQueue.indexOf(resolve);
-                    if (queueIndex > -1) {
-                        this.browserQueue.splice(queueIndex, 1);
-                        resolve(null); // Resolve with null to indicate timeout
-                    }
-                }, 5 * 60 * 1000); // 5 minute timeout
+    async resetWorker(browserData) {
+        browserData.pageReadyAt = null;
 
-                this.browserQueue.push((browserId) => {
-                    clearTimeout(timeoutId);
-                    resolve(browserId);
-                });
-            });
-        }
+        // Reset the browser page; the next lookup starts from it instead of loading it again
+        await browserData.page.goto(`${this.baseUrl}/paytm/QuickPay.php`, {
+            waitUntil: 'networkidle',
+            timeout: 30000
+        });
+        browserData.pageReadyAt = Date.now();
+    }
 
-        const browserId = this.availableBrowsers.shift();
-        if (!browserId) return null;
+    async destroyWorker(browserData) {
+        await browserData.browser.close();
+    }
 
-        this.busyBrowsers.add(browserId);
-        const browserData = this.browsers.get(browserId);
-        if (browserData) {
-            browserData.busy = true;
-            console.log(`getAvailableBrowser: Assigned ${browserId} to consumer`);
-            return browserId;
-        }
-        return null;
+    async getAvailableBrowser() {
+        return this.acquire();
     }
 
     async releaseBrowser(browserId) {
-        const browserData = this.browsers.get(browserId);
-        if (!browserData) return;
-
-        console.log(`[${browserId}] Releasing browser, current state: busy=${browserData.busy}, consumer=${browserData.currentConsumer}`);
+        return this.release(browserId);
+    }
 
-        try {
-            // Reset the browser page
-            await browserData.page.goto('https://mpay.guvnl.in/paytm/QuickPay.php', {
-                waitUntil: 'networkidle',
-                timeout: 30000
-            });
-            
-            // Clear browser state
-            browserData.busy = false;
-            browserData.currentConsumer = null;
-            browserData.captchaRequired = false;
-            this.busyBrowsers.delete(browserId);
-            this.captchaLocks.delete(browserId);
-
-            // Emit event that browser is now available for next consumer
-            this.emit('browser-available', browserId);
-
-            // If there are pending requests in queue, process next consumer immediately
-            if (this.browserQueue.length > 0) {
-                const nextRequest = this.browserQueue.shift();
-                browserData.busy = true;
-                this.busyBrowsers.add(browserId);
-                console.log(`[${browserId}] Processing next consumer from queue, queue length: ${this.browserQueue.length}`);
-                nextRequest(browserId);
-            } else {
-                this.availableBrowsers.push(browserId);
-                console.log(`[${browserId}] Made available for next consumer, available browsers: ${this.availableBrowsers.length}`);
-            }
-        } catch (error) {
-            console.error(`[${browserId}] Error resetting browser:`, error);
-            // Still release the browser even if reset fails
-            browserData.busy = false;
-            this.busyBrowsers.delete(browserId);
-            this.availableBrowsers.push(browserId);
-        }
+    getBrowserStatus() {
+        return this.getStatus().map(({ workerId, ...status }) => ({ browserId: workerId, ...status }));
     }
 
-    lockForCaptcha(browserId, consumerNo) {
-        const browserData = this.browsers.get(browserId);
-        if (browserData) {
-            browserData.captchaRequired = true;
-            browserData.currentConsumer = consumerNo;
-            this.captchaLocks.set(browserId, {
-                timestamp: Date.now(),
-                consumerNo
-            });
+    /**
+     * Open the QuickPay page, pick the company and fill in the consumer number
+     * @param {string} browserId - ID of the browser
+     * @param {string} consumerNo - Formatted consumer number
+     * @param {string} [company] - Company code, e.g. 'DGVCL'
+     * @returns {Promise<Object>} { captchaRequired }
+     */
+    async startLookup(browserId, consumerNo, company = DEFAULT_COMPANY) {
+        const browserData = this.getWorker(browserId);
+        browserData.currentConsumer = consumerNo;
+        browserData.siteDetails = null;
+
+        // A page loaded by the last reset is reused while its session is surely still alive
+        const pageIsFresh = browserData.pageReadyAt && Date.now() - browserData.pageReadyAt < PAGE_REUSE_MS;
+        browserData.pageReadyAt = null;
+        if (!pageIsFresh) {
+            await this.navigateToMGVCL(browserId);
         }
+        await this.selectCompany(browserId, company);
+        await this.enterConsumerNumber(browserId, consumerNo);
+        if (pageIsFresh) {
+            // The captcha on a reused page is as old as the page; start its validity now
+            await this.reloadCaptchaImage(browserId);
+        }
+
+        return { captchaRequired: await this.isCaptchaRequired(browserId) };
     }
 
-    unlockFromCaptcha(browserId) {
-        const browserData = this.browsers.get(browserId);
-        if (browserData) {
-            browserData.captchaRequired = false;
-            this.captchaLocks.delete(browserId);
-        }
+    async getCaptcha(browserId) {
+        const browserData = this.getWorker(browserId);
+        this.lockForCaptcha(browserId, browserData.currentConsumer);
+        return this.getCaptchaImage(browserId);
     }
 
-    getBrowserStatus() {
-        const status = [];
-        for (const [browserId, browserData] of this.browsers) {
-            status.push({
-                browserId,
-                busy: browserData.busy,
-                currentConsumer: browserData.currentConsumer,
-                captchaRequired: browserData.captchaRequired
-            });
-        }
-        return status;
+    async getResult(browserId) {
+        return this.submitAndGetResults(browserId);
     }
 
     async navigateToMGVCL(browserId) {
@@ -192,7 +129,7 @@ class BrowserManager extends EventEmitter {
         const { page } = browserData;
         
         try {
-            await page.goto('https://mpay.guvnl.in/paytm/QuickPay.php', {
+            await page.goto(`${this.baseUrl}/paytm/QuickPay.php`, {
                 waitUntil: 'networkidle',
                 timeout: 30000
             });
@@ -202,11 +139,11 @@ class BrowserManager extends EventEmitter {
             
         } catch (error) {
             console.error(`Navigation error for ${browserId}:`, error);
-            throw error;
+            throw new NetworkError(`Could not load QuickPay: ${error.message}`, error);
         }
     }
 
-    async selectCompany(browserId, companyName = 'MGVCL') {
+    async selectCompany(browserId, companyName = DEFAULT_COMPANY) {
         const browserData = this.browsers.get(browserId);
         if (!browserData) throw new Error('Browser not found');
 
@@ -216,7 +153,7 @@ class BrowserManager extends EventEmitter {
             // Wait for company dropdown to be available
             await page.waitForSelector('select', { timeout: 10000 });
 
-            // Select MGVCL from the dropdown
+            // Select the company (MGVCL, DGVCL, ...) from the dropdown
             await page.selectOption('select', { label: companyName });
 
             // Wait for the selection to take effect
@@ -224,7 +161,7 @@ class BrowserManager extends EventEmitter {
 
         } catch (error) {
             console.error(`Company selection error for ${browserId}:`, error);
-            throw error;
+            throw new PageLayoutError(`Company selection failed: ${error.message}`, error);
         }
     }
 
@@ -249,7 +186,7 @@ class BrowserManager extends EventEmitter {
 
         } catch (error) {
             console.error(`Consumer number entry error for ${browserId}:`, error);
-            throw error;
+            throw new PageLayoutError(`Consumer number entry failed: ${error.message}`, error);
         }
     }
 
@@ -315,27 +252,42 @@ class BrowserManager extends EventEmitter {
         if (!browserData) throw new Error('Browser not found');
         
         try {
-            await browserData.page.evaluate(() => {
-                const img = document.getElementById('captcha');
-                if (img) {
-                    const timestamp = new Date().getTime();
-                    img.src = './securimage/securimage_show.php?' + timestamp;
-                }
-                const input = document.getElementById('cap_code');
-                if (input) input.value = '';
-            });
-            
-            // Wait for new image to load
-            await browserData.page.waitForTimeout(1000);
+            await this.reloadCaptchaImage(browserId);
             browserData.lastCaptchaRefresh = Date.now();
             
-            return true;
+            return this.getCaptchaImage(browserId);
         } catch (error) {
             console.error(`[${browserId}] Error refreshing captcha:`, error);
             throw error;
         }
     }
 
+    // Load a new captcha image into the page and clear the captcha input
+    async reloadCaptchaImage(browserId) {
+        const browserData = this.getWorker(browserId);
+
+        await browserData.page.evaluate(() => {
+            // Close an error modal left open by the previous answer, as its Close button would
+            ['invalidcaptchmodal', 'invalidconsumerno'].forEach((id) => {
+                const modal = document.getElementById(id);
+                if (modal) {
+                    modal.classList.remove('in');
+                    modal.style.display = 'none';
+                }
+            });
+            const img = document.getElementById('captcha');
+            if (img) {
+                const timestamp = new Date().getTime();
+                img.src = './securimage/securimage_show.php?' + timestamp;
+            }
+            const input = document.getElementById('cap_code');
+            if (input) input.value = '';
+        });
+
+        // Wait for new image to load
+        await browserData.page.waitForTimeout(1000);
+    }
+
     async submitCaptcha(browserId, captchaText) {
         const browserData = this.browsers.get(browserId);
         if (!browserData || !browserData.captchaRequired) {
@@ -354,40 +306,59 @@ class BrowserManager extends EventEmitter {
             // Fill in new captcha text
             await browserData.page.fill('#cap_code', captchaText);
             
+            // The page only shows part of the lookup response; keep all of it for getSiteDetails
+            browserData.siteDetails = null;
+            const statusResponse = browserData.page
+                .waitForResponse(response => response.url().includes('GetConsStatus.php'), { timeout: 15000 })
+                .then(response => response.text())
+                .then((text) => { browserData.siteDetails = JSON.parse(text); })
+                .catch(() => {});
+            
             // Click submit button using direct element query
             await browserData.page.evaluate(() => {
                 const submitBtn = document.querySelector('input[value*="Check Consumer No."]');
                 if (submitBtn) submitBtn.click();
             });
             
-            // Wait for response with longer timeout and check both conditions
+            // Wait until the bill details or one of the error modals show up
             const result = await browserData.page.waitForFunction(() => {
                 const billDetails = document.getElementById('detailconsnumber');
                 const errorModal = document.getElementById('invalidcaptchmodal');
+                const consumerModal = document.getElementById('invalidconsumerno');
                 const consumerName = document.getElementById('ConsumerName');
                 
-                return {
+                const state = {
                     success: billDetails?.style.display !== 'none' && 
                             consumerName?.value !== undefined && 
                             consumerName?.value !== '',
-                    error: errorModal?.classList.contains('in')
+                    error: !!errorModal?.classList.contains('in'),
+                    invalidConsumer: !!consumerModal?.classList.contains('in'),
+                    message: document.getElementById('errmsg')?.textContent || ''
                 };
+                // Returning null keeps waiting
+                return state.success || state.error || state.invalidConsumer ? state : null;
             }, { timeout: 10000 });
 
-            const { success, error } = await result.jsonValue();
+            const { success, error, invalidConsumer, message } = await result.jsonValue();
 
             if (success) {
                 // Bill details shown - captcha was correct
-                browserData.captchaRequired = false;
+                await statusResponse;
+                this.unlockFromCaptcha(browserId);
                 browserData.lastCaptchaRefresh = null;
                 console.log(`[${browserId}] Captcha accepted, bill details visible`);
                 return true;
             }
             
-            if (error) {
+            // The live site shows every lookup error in the consumer modal, with the reason in #errmsg
+            if (invalidConsumer && !/captcha/i.test(message)) {
+                throw new InvalidConsumerError(message.trim() || undefined);
+            }
+
+            if (error || invalidConsumer) {
                 console.log(`[${browserId}] Invalid captcha detected`);
                 await this.refreshCaptcha(browserId);
-                throw new Error('Invalid captcha');
+                throw new InvalidCaptchaError();
             }
 
             return false;
@@ -445,18 +416,19 @@ class BrowserManager extends EventEmitter {
                     });
 
                     if (hasError.invalidConsumer) {
-                        throw new Error('Invalid consumer number');
+                        throw new InvalidConsumerError();
                     }
                     
                     if (hasError.invalidCaptcha) {
-                        throw new Error('Invalid captcha');
+                        throw new InvalidCaptchaError();
                     }
                 }
 
                 // Check if bill details are visible and populated
                 if (pageState.detailsVisible && pageState.consumerNameValue) {
                     console.log(`[${browserId}] Bill details visible, extracting data...`);
-                    return await this.extractBillingData(page);
+                    const billingData = await this.extractBillingData(page);
+                    return { ...this.getSiteDetails(browserData), ...billingData };
                 }
 
                 // Additional check: if we're transitioning from input to details page
@@ -486,7 +458,7 @@ class BrowserManager extends EventEmitter {
             });
 
             console.error(`[${browserId}] Final page state:`, finalState);
-            throw new Error(`Bill details not visible after ${maxRetries} retries. Details: ${JSON.stringify(finalState)}`);
+            throw new PageLayoutError(`Bill details not visible after ${maxRetries} retries. Details: ${JSON.stringify(finalState)}`);
 
         } catch (error) {
             console.error(`[${browserId}] Submit and results error:`, error);
@@ -494,6 +466,24 @@ class BrowserManager extends EventEmitter {
         }
     }
 
+    /**
+     * Fields of the lookup response that the page does not display
+     * @param {Object} browserData - Worker whose last lookup response was captured
+     * @returns {Object} { circle, division, subdivision, dueDate, billingPeriod }, empty if no response was captured
+     */
+    getSiteDetails(browserData) {
+        const data = browserData.siteDetails;
+        if (!data || data.v_status !== 'Y') return {};
+
+        return {
+            circle: data.v_circle,
+            division: data.v_division,
+            subdivision: data.v_subdiv,
+            dueDate: data.v_due_dt_assmt,
+            billingPeriod: data.v_billing_period_assmt
+        };
+    }
+
     async extractBillingData(page) {
         try {
             console.log(`[${page.browserId || 'unknown'}] Starting data extraction...`);
@@ -507,30 +497,25 @@ class BrowserManager extends EventEmitter {
                 page.waitForSelector('#billamt', { visible: true, timeout: 10000 }),
                 page.waitForSelector('#billdate', { visible: true, timeout: 10000 })
             ]).catch(() => {
-                throw new Error('Timeout waiting for bill details elements');
+                throw new PageLayoutError('Timeout waiting for bill details elements');
             });
 
             // Extra wait to ensure data is populated
             await page.waitForTimeout(2000);
 
             // Extract data using direct element evaluation
-            const data = await page.evaluate(() => {
+            const data = await page.evaluate((fields) => {
                 const getValue = (id) => document.getElementById(id)?.value?.trim() || '';
-                
-                return {
-                    consumerName: getValue('ConsumerName'),
-                    consumerNo: getValue('CUST_ID'),
-                    lastPaidDetail: getValue('lastpaid'),
-                    outstandingAmount: getValue('billamt'),
-                    billDate: getValue('billdate'),
-                    amountToPay: getValue('payamount'),
-                    location: getValue('MERC_UNQ_REF')
-                };
-            });
+                const values = {};
+                Object.entries(fields).forEach(([field, id]) => {
+                    values[field] = getValue(id);
+                });
+                return values;
+            }, BILL_FIELDS);
 
             // Validate extracted data
             if (!data.consumerName || !data.consumerNo) {
-                throw new Error('Required billing data missing');
+                throw new ExtractionError('Required billing data missing');
             }
 
             console.log(`[${page.browserId || 'unknown'}] Data extraction completed:`, data);
@@ -546,30 +531,8 @@ class BrowserManager extends EventEmitter {
         this.totalConsumers = total;
         this.completedExtractions = 0;
     }
-
-    async closeAll() {
-        console.log('Closing all browsers...');
-        
-        for (const [browserId, browserData] of this.browsers) {
-            try {
-                await browserData.browser.close();
-            } catch (error) {
-                console.error(`Error closing browser ${browserId}:`, error);
-            }
-        }
-        
-        this.browsers.clear();
-        this.availableBrowsers = [];
-        this.busyBrowsers.clear();
-        this.initialized = false;
-        
-        console.log('All browsers closed');
-    }
 }
 
-
-// Add static properties
-BrowserManager._initializing = false;
-BrowserManager._initializationPromise = null;
+BrowserManager.BILL_FIELDS = BILL_FIELDS;
 
 module.exports = BrowserManager;
@@ -0,0 +1,462 @@
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const ExtractionDriver = require('./extractionDriver');
+const { CaptchaTimeoutError, CancelledError, OperatorUnavailableError, classifyError } = require('./errors');
+
+/**
+ * Tracks every captcha a lookup is waiting on, whichever backend it runs on, and hands
+ * each one to exactly one connected operator.
+ *
+ * A lookup calls request() and awaits the returned promise. Each request gets its own ID,
+ * so any number of workers - across sessions and backends - can wait at the same time.
+ * Answers and reloads from the operators are routed to the right worker by that ID:
+ * - an answer for a worker that is no longer on this captcha rejects the waiting lookup
+ * - an accepted answer resolves the waiting lookup
+ * - a rejected answer ('Invalid captcha') keeps the request open for another try
+ * - any other submit failure rejects the waiting lookup
+ * - a request that gets no accepted answer within the captcha validity expires and rejects
+ *
+ * A request can name an automatic solver (see captchaSolver.js). Its answer is submitted before
+ * any operator is involved; when it is not confident, fails, or the site rejects the answer,
+ * the captcha (reloaded after a rejection) goes to the operators as usual.
+ *
+ * Operators work on one captcha at a time. Waiting requests go, oldest first, to operators
+ * that have none; only the assigned operator can answer or reload it. A request moves on to
+ * another free operator when its operator disconnects or does not answer within the
+ * assignment timeout. With nobody else free it stays with the operator it has.
+ *
+ * A request can instead be pinned to one operator, e.g. the page that asked for a quick lookup.
+ * It goes to that operator ahead of the other waiting captchas, never moves on, and is cancelled
+ * when that operator leaves.
+ *
+ * Events: 'captcha-required' (request view, when a request is opened),
+ *         'captcha-assigned' ({ operatorId, request }, also sent again after a reload),
+ *         'captcha-revoked' ({ operatorId, requestId, reason }),
+ *         'captcha-resolved' (request view),
+ *         'captcha-cancelled' ({ ...request view, reason }),
+ *         'captcha-answered' ({ captchaImage, text, accepted, source, backend, company }) for every
+ *                            answer the site accepted or rejected, from an operator or a solver,
+ *         'queue-changed' (getStats())
+ */
+class CaptchaBroker extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.validityMs] - How long an image can be answered; a reload starts a new period
+     * @param {number} [options.assignmentTimeoutMs] - How long an operator has before the captcha moves on
+     */
+    constructor({ validityMs = ExtractionDriver.CAPTCHA_VALIDITY_MS, assignmentTimeoutMs = 60 * 1000 } = {}) {
+        super();
+        this.validityMs = validityMs;
+        this.assignmentTimeoutMs = assignmentTimeoutMs;
+        this.requests = new Map(); // Insertion order is the order captchas are handed out
+        this.operators = new Map(); // Operator ID -> ID of the request they are working on, or null
+        this.solving = 0; // Captchas with an automatic solver, not yet in requests
+    }
+
+    /**
+     * Open a captcha request and wait for an accepted answer
+     * @param {Object} request
+     * @param {string} request.sessionId - Session the lookup belongs to
+     * @param {ExtractionDriver} request.driver - Driver the worker belongs to
+     * @param {string} request.workerId - Worker showing the captcha
+     * @param {string} request.consumerNo - Consumer being looked up
+     * @param {string} request.company - Discom of the consumer
+     * @param {string} request.captchaImage - Captcha image as a data URL
+     * @param {CaptchaSolver} [request.solver] - Automatic solver to try before the operators
+     * @param {string} [request.pinnedTo] - Only this operator gets the captcha
+     * @returns {Promise<void>} Resolves when the site accepts an answer
+     */
+    async request({ sessionId, driver, workerId, consumerNo, company, captchaImage, solver, pinnedTo = null }) {
+        if (solver) {
+            this.solving++;
+            this.emitQueueChanged();
+            let outcome;
+            try {
+                outcome = await this.trySolver(solver, { driver, workerId, consumerNo, company, captchaImage });
+            } finally {
+                this.solving--;
+                this.emitQueueChanged();
+            }
+            if (outcome === 'accepted') return;
+            if (outcome === 'rejected') {
+                // The rejected image cannot be answered again
+                captchaImage = await driver.refreshCaptcha(workerId);
+            }
+        }
+
+        return this.waitForOperator({ sessionId, driver, workerId, consumerNo, company, captchaImage, pinnedTo });
+    }
+
+    /**
+     * Let an automatic solver answer a captcha
+     * @returns {Promise<string>} 'accepted', 'rejected' (by the site) or 'skipped' (no confident answer)
+     */
+    async trySolver(solver, { driver, workerId, consumerNo, company, captchaImage }) {
+        const solution = await solver.solve(captchaImage);
+        if (!solution) return 'skipped';
+
+        const answered = { captchaImage, text: solution.text, source: solver.name, backend: driver.name, company };
+        try {
+            await driver.submitCaptcha(workerId, solution.text);
+        } catch (error) {
+            // Anything but a wrong answer ends this lookup attempt
+            if (classifyError(error).code !== 'INVALID_CAPTCHA') throw error;
+
+            solver.recordOutcome(false);
+            this.emit('captcha-answered', { ...answered, accepted: false });
+            console.log(`[captcha] ${solver.name} answer for ${consumerNo} was rejected, asking an operator`);
+            return 'rejected';
+        }
+
+        solver.recordOutcome(true);
+        this.emit('captcha-answered', { ...answered, accepted: true });
+        console.log(`[captcha] ${solver.name} solved the captcha for ${consumerNo} (confidence ${solution.confidence})`);
+        return 'accepted';
+    }
+
+    // Queue a captcha for the operators and wait until one of them gets it accepted
+    waitForOperator({ sessionId, driver, workerId, consumerNo, company, captchaImage, pinnedTo }) {
+        return new Promise((resolve, reject) => {
+            if (pinnedTo && !this.operators.has(pinnedTo)) {
+                reject(new OperatorUnavailableError());
+                return;
+            }
+            const request = {
+                id: uuidv4(),
+                sessionId,
+                driver,
+                workerId,
+                consumerNo,
+                company,
+                captchaImage,
+                createdAt: Date.now(),
+                expiresAt: null,
+                expiryTimer: null,
+                operatorId: null,
+                pinnedTo,
+                assignmentTimer: null,
+                submitting: false,
+                resolve,
+                reject
+            };
+            this.requests.set(request.id, request);
+            this.startExpiry(request);
+
+            console.log(`[captcha] Request ${request.id} opened for ${consumerNo} on ${workerId}`);
+            this.emit('captcha-required', this.toView(request));
+            this.assignPending();
+            this.emitQueueChanged();
+        });
+    }
+
+    /**
+     * Submit an operator's answer for a request
+     * @param {string} requestId - Captcha request ID
+     * @param {string} captchaText - Answer typed by the operator
+     * @param {string} operatorId - Operator submitting the answer
+     * @returns {Promise<Object>} View of the request that was answered
+     * @throws {Error} If the request is unknown, not assigned to this operator, already
+     *                 being answered or the answer was rejected
+     */
+    async answer(requestId, captchaText, operatorId) {
+        const request = this.getAssignedRequest(requestId, operatorId);
+        if (request.submitting) {
+            throw new Error('An answer for this captcha is already being checked');
+        }
+        if (!request.driver.isAwaitingCaptcha(request.workerId, request.consumerNo)) {
+            const error = new CancelledError('Worker is no longer waiting for this captcha');
+            this.settle(request, error);
+            throw error;
+        }
+
+        const answered = {
+            captchaImage: request.captchaImage,
+            text: captchaText,
+            source: 'operator',
+            backend: request.driver.name,
+            company: request.company
+        };
+
+        request.submitting = true;
+        try {
+            await request.driver.submitCaptcha(request.workerId, captchaText);
+        } catch (error) {
+            // A wrong answer keeps the request open so the operator can reload and try again;
+            // any other failure ends this lookup attempt
+            if (classifyError(error).code !== 'INVALID_CAPTCHA') {
+                this.settle(request, error);
+            } else {
+                this.emit('captcha-answered', { ...answered, accepted: false });
+                if (this.requests.has(requestId)) {
+                    this.startAssignmentTimer(request);
+                }
+            }
+            throw error;
+        } finally {
+            request.submitting = false;
+        }
+
+        this.emit('captcha-answered', { ...answered, accepted: true });
+
+        console.log(`[captcha] Request ${requestId} answered for ${request.consumerNo} by ${operatorId}`);
+        const view = this.toView(request);
+        this.settle(request);
+        this.emit('captcha-resolved', view);
+        return view;
+    }
+
+    /**
+     * Load a new captcha image for a request and restart its validity period
+     * @param {string} requestId - Captcha request ID
+     * @param {string} operatorId - Operator asking for the reload
+     * @returns {Promise<Object>} View of the request with the new image
+     */
+    async refresh(requestId, operatorId) {
+        const request = this.getAssignedRequest(requestId, operatorId);
+
+        request.captchaImage = await request.driver.refreshCaptcha(request.workerId);
+        // The request may have expired, been answered or moved on while the image was loading
+        if (!this.requests.has(requestId) || !request.operatorId) {
+            throw new CancelledError('Captcha request is no longer pending');
+        }
+
+        this.startExpiry(request);
+        this.startAssignmentTimer(request);
+        console.log(`[captcha] Request ${requestId} refreshed for ${request.consumerNo}`);
+        const view = this.toView(request);
+        this.emit('captcha-assigned', { operatorId: request.operatorId, request: view });
+        return view;
+    }
+
+    /**
+     * Reject a pending request, e.g. because its session was stopped
+     * @param {string} requestId - Captcha request ID
+     * @param {string} reason - Error message for the waiting lookup
+     */
+    cancel(requestId, reason) {
+        const request = this.requests.get(requestId);
+        if (!request) return;
+
+        console.log(`[captcha] Request ${requestId} cancelled: ${reason}`);
+        this.settle(request, new CancelledError(reason));
+    }
+
+    /**
+     * Reject all pending requests of a session
+     * @param {string} sessionId - Session ID
+     * @param {string} reason - Error message for the waiting lookups
+     * @returns {number} Number of cancelled requests
+     */
+    cancelSession(sessionId, reason) {
+        const requestIds = [...this.requests.values()]
+            .filter(request => request.sessionId === sessionId)
+            .map(request => request.id);
+
+        requestIds.forEach(requestId => this.cancel(requestId, reason));
+        return requestIds.length;
+    }
+
+    /**
+     * Register a connected operator; they get a waiting captcha right away if there is one
+     * @param {string} operatorId - Operator ID (the Socket.IO socket ID)
+     */
+    addOperator(operatorId) {
+        if (this.operators.has(operatorId)) return;
+
+        this.operators.set(operatorId, null);
+        console.log(`[captcha] Operator ${operatorId} joined (${this.operators.size} online)`);
+        this.assignPending();
+        this.emitQueueChanged();
+    }
+
+    /**
+     * Remove a disconnected operator and hand their captcha to someone else
+     * @param {string} operatorId - Operator ID
+     */
+    removeOperator(operatorId) {
+        if (!this.operators.has(operatorId)) return;
+
+        const requestId = this.operators.get(operatorId);
+        this.operators.delete(operatorId);
+        console.log(`[captcha] Operator ${operatorId} left (${this.operators.size} online)`);
+
+        const request = requestId && this.requests.get(requestId);
+        if (request && !request.pinnedTo) {
+            this.unassign(request);
+        }
+        // Nobody else may answer the captchas pinned to this operator
+        [...this.requests.values()]
+            .filter(pinned => pinned.pinnedTo === operatorId)
+            .forEach(pinned => this.settle(pinned, new OperatorUnavailableError('The operator this captcha was meant for left')));
+        this.assignPending();
+        this.emitQueueChanged();
+    }
+
+    /**
+     * Get the pending requests, oldest first
+     * @param {string} [sessionId] - Only return the requests of this session
+     * @returns {Array} Request views
+     */
+    getPending(sessionId) {
+        return [...this.requests.values()]
+            .filter(request => !sessionId || request.sessionId === sessionId)
+            .map(request => this.toView(request));
+    }
+
+    /**
+     * Get the size of the captcha backlog
+     * @returns {Object} { pending, unassigned, solving, operators }
+     */
+    getStats() {
+        const pending = this.requests.size;
+        const unassigned = [...this.requests.values()].filter(request => !request.operatorId).length;
+        return { pending, unassigned, solving: this.solving, operators: this.operators.size };
+    }
+
+    /**
+     * Get the captcha an operator is working on
+     * @param {string} operatorId - Operator ID
+     * @returns {Object|null} Request view, or null if the operator has no captcha
+     */
+    getAssigned(operatorId) {
+        const requestId = this.operators.get(operatorId);
+        const request = requestId && this.requests.get(requestId);
+        return request ? this.toView(request) : null;
+    }
+
+    getRequest(requestId) {
+        const request = this.requests.get(requestId);
+        if (!request) {
+            throw new CancelledError('Captcha request is no longer pending');
+        }
+        return request;
+    }
+
+    getAssignedRequest(requestId, operatorId) {
+        const request = this.getRequest(requestId);
+        if (request.operatorId !== operatorId) {
+            throw new Error('Captcha is assigned to another operator');
+        }
+        return request;
+    }
+
+    // Hand waiting requests, oldest first, to operators without a captcha; pinned requests
+    // go first, and only to their own operator
+    assignPending() {
+        const waiting = [...this.requests.values()].filter(request => !request.operatorId);
+        waiting.filter(request => request.pinnedTo).forEach((request) => {
+            if (this.operators.get(request.pinnedTo) === null) {
+                this.assign(request, request.pinnedTo);
+            }
+        });
+
+        for (const request of waiting) {
+            if (request.operatorId || request.pinnedTo) continue;
+
+            const operatorId = this.findFreeOperator();
+            if (!operatorId) break;
+
+            this.assign(request, operatorId);
+        }
+    }
+
+    findFreeOperator(exceptOperatorId) {
+        for (const [operatorId, requestId] of this.operators) {
+            if (!requestId && operatorId !== exceptOperatorId) {
+                return operatorId;
+            }
+        }
+        return null;
+    }
+
+    assign(request, operatorId) {
+        request.operatorId = operatorId;
+        this.operators.set(operatorId, request.id);
+        this.startAssignmentTimer(request);
+
+        console.log(`[captcha] Request ${request.id} for ${request.consumerNo} assigned to ${operatorId}`);
+        this.emit('captcha-assigned', { operatorId, request: this.toView(request) });
+        this.emitQueueChanged();
+    }
+
+    unassign(request, reason) {
+        const { operatorId } = request;
+        clearTimeout(request.assignmentTimer);
+        request.operatorId = null;
+
+        if (this.operators.get(operatorId) === request.id) {
+            this.operators.set(operatorId, null);
+            if (reason) {
+                this.emit('captcha-revoked', { operatorId, requestId: request.id, reason });
+            }
+        }
+    }
+
+    startAssignmentTimer(request) {
+        clearTimeout(request.assignmentTimer);
+        if (request.pinnedTo) return;
+        request.assignmentTimer = setTimeout(() => {
+            // Leave a captcha that is being checked, or that nobody else could take, where it is
+            if (request.submitting || !this.findFreeOperator(request.operatorId)) {
+                this.startAssignmentTimer(request);
+                return;
+            }
+
+            const previousOperatorId = request.operatorId;
+            console.log(`[captcha] Request ${request.id} not answered by ${previousOperatorId} in time, reassigning`);
+            this.unassign(request, 'Not answered in time, passed to another operator');
+            this.assign(request, this.findFreeOperator(previousOperatorId));
+            // The previous operator is free again
+            this.assignPending();
+        }, this.assignmentTimeoutMs);
+    }
+
+    startExpiry(request) {
+        clearTimeout(request.expiryTimer);
+        request.expiresAt = Date.now() + this.validityMs;
+        request.expiryTimer = setTimeout(() => {
+            console.log(`[captcha] Request ${request.id} expired for ${request.consumerNo}`);
+            this.settle(request, new CaptchaTimeoutError());
+        }, this.validityMs);
+    }
+
+    // Remove a request, free its operator and resolve (no error) or reject its waiting lookup
+    settle(request, error) {
+        if (!this.requests.delete(request.id)) return;
+        clearTimeout(request.expiryTimer);
+        if (request.operatorId) {
+            this.unassign(request);
+        }
+
+        if (error) {
+            this.emit('captcha-cancelled', { ...this.toView(request), reason: error.message });
+            request.reject(error);
+        } else {
+            request.resolve();
+        }
+
+        this.assignPending();
+        this.emitQueueChanged();
+    }
+
+    emitQueueChanged() {
+        this.emit('queue-changed', this.getStats());
+    }
+
+    // What operators see of a request
+    toView(request) {
+        return {
+            requestId: request.id,
+            sessionId: request.sessionId,
+            browserId: request.workerId,
+            backend: request.driver.name,
+            consumerNo: request.consumerNo,
+            company: request.company,
+            captchaImage: request.captchaImage,
+            expiresAt: request.expiresAt,
+            pinned: Boolean(request.pinnedTo)
+        };
+    }
+}
+
+module.exports = CaptchaBroker;
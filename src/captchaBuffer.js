@@ -0,0 +1,140 @@
+const ExtractionDriver = require('./extractionDriver');
+
+/**
+ * Decides how many lookups may be staged up to their captcha ahead of the operators.
+ *
+ * A lookup reserves a slot before it takes a worker and gives it back once its captcha is
+ * on screen (or it turned out not to need one). The captchas being staged plus the ones
+ * waiting in the broker make up the buffer; a reservation waits while the buffer is full.
+ *
+ * The target size follows the measured throughput: one captcha per online operator, plus
+ * enough to cover the captchas answered while the next one is being staged. It is capped so
+ * that, at the current answer rate, a captcha waits at most half of its 5-minute validity.
+ */
+class CaptchaBuffer {
+    /**
+     * @param {Object} options
+     * @param {CaptchaBroker} options.broker - Broker whose pending captchas count towards the buffer
+     * @param {number} [options.minSize] - Smallest target size
+     * @param {number} [options.windowMs] - Period the answer rate is measured over
+     * @param {number} [options.validityMs] - Captcha validity
+     */
+    constructor({ broker, minSize = 1, windowMs = 5 * 60 * 1000, validityMs = ExtractionDriver.CAPTCHA_VALIDITY_MS }) {
+        this.broker = broker;
+        this.minSize = minSize;
+        this.windowMs = windowMs;
+        this.validityMs = validityMs;
+        this.staging = 0;
+        this.waiting = []; // Resolvers of pending reserve() calls
+        this.answerTimes = [];
+        this.startedAt = null;
+        this.stageTimeMs = 15000; // Running average of reserve() -> captcha on screen, refined as lookups go
+
+        broker.on('captcha-answered', ({ accepted }) => {
+            if (accepted) {
+                this.answerTimes.push(Date.now());
+            }
+        });
+        // A captcha leaving the broker (or a new operator) makes room for the next one
+        broker.on('queue-changed', () => this.drain());
+    }
+
+    /**
+     * Wait for room in the buffer
+     * @returns {Promise<Object>} Slot with release(), to be called when the captcha is on screen
+     *                            or the lookup ended; calling it again does nothing
+     */
+    reserve() {
+        if (!this.startedAt) {
+            this.startedAt = Date.now();
+        }
+
+        return new Promise((resolve) => {
+            this.waiting.push(resolve);
+            this.drain();
+        });
+    }
+
+    drain() {
+        while (this.waiting.length > 0 && this.getFilled() < this.getTargetSize()) {
+            this.staging++;
+            this.waiting.shift()(this.createSlot());
+        }
+    }
+
+    createSlot() {
+        const reservedAt = Date.now();
+        let released = false;
+
+        return {
+            release: ({ staged = false } = {}) => {
+                if (released) return;
+                released = true;
+                this.staging--;
+
+                if (staged) {
+                    // The captcha moves on to the broker, which drains once it has taken it
+                    this.stageTimeMs = Math.round(this.stageTimeMs * 0.8 + (Date.now() - reservedAt) * 0.2);
+                    return;
+                }
+                this.drain();
+            }
+        };
+    }
+
+    // Captchas being staged plus captchas with a solver or waiting for an operator
+    getFilled() {
+        const { pending, solving } = this.broker.getStats();
+        return this.staging + pending + solving;
+    }
+
+    /**
+     * Accepted answers per millisecond over the measuring window
+     * @returns {number} Answer rate, 0 before the first answer
+     */
+    getAnswerRate() {
+        const now = Date.now();
+        this.answerTimes = this.answerTimes.filter(time => now - time <= this.windowMs);
+        if (this.answerTimes.length === 0) return 0;
+
+        // Measure over at least a minute so the first few answers do not look like a burst
+        const measuredFor = Math.min(this.windowMs, now - this.startedAt);
+        return this.answerTimes.length / Math.max(measuredFor, 60 * 1000);
+    }
+
+    /**
+     * How many captchas should be staged or waiting right now
+     * @returns {number} Target buffer size
+     */
+    getTargetSize() {
+        const { operators } = this.broker.getStats();
+        const rate = this.getAnswerRate();
+
+        // Answers expected while one more lookup is being staged
+        const lead = Math.max(1, Math.ceil(rate * this.stageTimeMs));
+        if (rate === 0) {
+            return Math.max(this.minSize, operators + lead);
+        }
+
+        // More than this would wait longer than half the captcha validity
+        const byValidity = Math.floor(rate * this.validityMs / 2);
+        return Math.max(this.minSize, Math.min(operators + lead, byValidity));
+    }
+
+    /**
+     * Get the buffer state
+     * @returns {Object} { targetSize, staging, pending, waitingLookups, answersPerMinute, stageTimeMs }
+     */
+    getStatus() {
+        return {
+            targetSize: this.getTargetSize(),
+            staging: this.staging,
+            pending: this.broker.getStats().pending,
+            waitingLookups: this.waiting.length,
+            answersPerMinute: Math.round(this.getAnswerRate() * 60000 * 10) / 10,
+            stageTimeMs: this.stageTimeMs
+        };
+    }
+}
+
+module.exports = CaptchaBuffer;
@@ -0,0 +1,120 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Labeled captcha samples collected from answered captchas, for training or evaluating
+ * an offline solver.
+ *
+ * Layout of the dataset directory:
+ * - images/<id>.png   - the captcha image as it was answered
+ * - manifest.jsonl    - one JSON line per sample:
+ *                       { id, file, text, accepted, source, backend, company, createdAt }
+ *
+ * accepted is false for answers the site rejected; their text is a wrong label.
+ * source is 'operator' or the name of the automatic solver that gave the answer.
+ */
+class CaptchaDataset {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.baseDir] - Dataset directory
+     */
+    constructor({ baseDir = './captcha-dataset' } = {}) {
+        this.baseDir = baseDir;
+        this.imagesDir = path.join(baseDir, 'images');
+        this.manifestPath = path.join(baseDir, 'manifest.jsonl');
+        fs.ensureDirSync(this.imagesDir);
+    }
+
+    /**
+     * Save one answered captcha
+     * @param {Object} sample
+     * @param {string} sample.captchaImage - Captcha image as a data URL
+     * @param {string} sample.text - Answer that was submitted
+     * @param {boolean} sample.accepted - True if the site accepted the answer
+     * @param {string} sample.source - 'operator' or the solver name
+     * @param {string} [sample.backend] - Backend that showed the captcha
+     * @param {string} [sample.company] - Discom of the lookup
+     * @returns {Promise<Object>} Manifest entry
+     */
+    async record({ captchaImage, text, accepted, source, backend, company }) {
+        const id = uuidv4();
+        const file = `images/${id}.png`;
+        const imageBuffer = Buffer.from(captchaImage.split(',')[1] || '', 'base64');
+
+        const entry = {
+            id,
+            file,
+            text,
+            accepted,
+            source,
+            backend,
+            company,
+            createdAt: new Date().toISOString()
+        };
+
+        await fs.writeFile(path.join(this.baseDir, file), imageBuffer);
+        await fs.appendFile(this.manifestPath, JSON.stringify(entry) + '\n');
+        return entry;
+    }
+
+    /**
+     * Read the manifest
+     * @returns {Promise<Array>} Manifest entries, oldest first
+     */
+    async getManifest() {
+        if (!(await fs.pathExists(this.manifestPath))) {
+            return [];
+        }
+
+        const content = await fs.readFile(this.manifestPath, 'utf8');
+        return content.split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+    }
+
+    /**
+     * Count the samples
+     * @returns {Promise<Object>} { total, accepted, rejected, bySource }
+     */
+    async getStatistics() {
+        const manifest = await this.getManifest();
+        const bySource = {};
+        manifest.forEach(entry => {
+            bySource[entry.source] = (bySource[entry.source] || 0) + 1;
+        });
+
+        return {
+            total: manifest.length,
+            accepted: manifest.filter(entry => entry.accepted).length,
+            rejected: manifest.filter(entry => !entry.accepted).length,
+            bySource
+        };
+    }
+
+    /**
+     * Build a self-contained export with the images inlined as base64
+     * @param {Object} [filter]
+     * @param {boolean} [filter.acceptedOnly] - Leave out rejected answers
+     * @returns {Promise<Object>} { exportedAt, samples: [manifest entry + image] }
+     */
+    async exportSamples({ acceptedOnly = false } = {}) {
+        const manifest = await this.getManifest();
+        const samples = [];
+
+        for (const entry of manifest) {
+            if (acceptedOnly && !entry.accepted) continue;
+
+            try {
+                const image = await fs.readFile(path.join(this.baseDir, entry.file));
+                samples.push({ ...entry, image: image.toString('base64') });
+            } catch (error) {
+                console.error(`[dataset] Skipping sample ${entry.id}, image missing:`, error.message);
+            }
+        }
+
+        return { exportedAt: new Date().toISOString(), samples };
+    }
+}
+
+module.exports = CaptchaDataset;
@@ -0,0 +1,183 @@
+const { spawn } = require('child_process');
+
+/**
+ * Automatic captcha solvers. A solver gets the captcha image before any operator sees it;
+ * the captcha broker submits its answer when the solver is confident enough and falls back
+ * to the operators when it is not, when it fails, or when the site rejects the answer.
+ *
+ * Subclasses implement recognize(imageBuffer) -> { text, confidence } with confidence 0-100.
+ */
+class CaptchaSolver {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Solver name, as chosen per job
+     * @param {string} options.description - Shown in the upload form
+     * @param {number} [options.minConfidence] - Answers below this confidence go to the operators
+     * @param {number} [options.timeoutMs] - How long one recognition may take
+     */
+    constructor({ name, description, minConfidence = 60, timeoutMs = 10000 }) {
+        this.name = name;
+        this.description = description;
+        this.minConfidence = minConfidence;
+        this.timeoutMs = timeoutMs;
+        this.stats = { attempts: 0, lowConfidence: 0, failed: 0, accepted: 0, rejected: 0 };
+    }
+
+    /**
+     * Read a captcha image
+     * @param {string} captchaImage - Captcha image as a data URL
+     * @returns {Promise<Object|null>} { text, confidence } if the answer is worth submitting, otherwise null
+     */
+    async solve(captchaImage) {
+        this.stats.attempts++;
+
+        try {
+            const imageBuffer = Buffer.from(captchaImage.split(',')[1] || '', 'base64');
+            const { text, confidence } = await this.recognize(imageBuffer);
+            const answer = (text || '').replace(/\s+/g, '');
+
+            if (!answer || confidence < this.minConfidence) {
+                this.stats.lowConfidence++;
+                console.log(`[solver:${this.name}] Low confidence answer "${answer}" (${confidence})`);
+                return null;
+            }
+            return { text: answer, confidence };
+        } catch (error) {
+            this.stats.failed++;
+            console.error(`[solver:${this.name}] Recognition failed:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Record what the site said about a submitted answer
+     * @param {boolean} accepted - True if the site accepted the answer
+     */
+    recordOutcome(accepted) {
+        this.stats[accepted ? 'accepted' : 'rejected']++;
+    }
+
+    async recognize(imageBuffer) {
+        throw new Error(`${this.constructor.name} does not implement recognize`);
+    }
+
+    /**
+     * Run a local command with the image on stdin
+     * @param {string} command - Executable
+     * @param {Array} args - Arguments
+     * @param {Buffer} input - Data written to stdin
+     * @returns {Promise<string>} stdout
+     */
+    runCommand(command, args, input) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+            let stdout = '';
+            let stderr = '';
+
+            const timer = setTimeout(() => {
+                child.kill();
+                reject(new Error(`${command} timed out after ${this.timeoutMs}ms`));
+            }, this.timeoutMs);
+
+            child.stdout.on('data', chunk => { stdout += chunk; });
+            child.stderr.on('data', chunk => { stderr += chunk; });
+            child.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+            child.on('close', (code) => {
+                clearTimeout(timer);
+                if (code === 0) {
+                    resolve(stdout);
+                } else {
+                    reject(new Error(`${command} exited with code ${code}: ${stderr.trim()}`));
+                }
+            });
+
+            child.stdin.on('error', () => {}); // The command may exit before reading all input
+            child.stdin.end(input);
+        });
+    }
+}
+
+/**
+ * Offline OCR with the Tesseract command line tool, which has to be installed on the server
+ */
+class TesseractSolver extends CaptchaSolver {
+    constructor(options = {}) {
+        super({
+            name: 'tesseract',
+            description: 'Offline OCR (Tesseract)',
+            ...options
+        });
+        this.command = options.command || 'tesseract';
+    }
+
+    async recognize(imageBuffer) {
+        // A single line of text; TSV output carries a confidence per word
+        const output = await this.runCommand(this.command, ['stdin', 'stdout', '--psm', '7', 'tsv'], imageBuffer);
+
+        const words = output.split('\n')
+            .slice(1)
+            .map(line => line.split('\t'))
+            .filter(columns => columns.length >= 12 && columns[11].trim() && Number(columns[10]) >= 0);
+
+        if (words.length === 0) {
+            return { text: '', confidence: 0 };
+        }
+
+        return {
+            text: words.map(columns => columns[11]).join(''),
+            confidence: Math.min(...words.map(columns => Number(columns[10])))
+        };
+    }
+}
+
+/**
+ * A user-supplied local script. It gets the PNG image on stdin and prints either
+ * JSON ({ "text": "...", "confidence": 0-100 }) or just the answer, which counts as fully confident.
+ */
+class ScriptSolver extends CaptchaSolver {
+    constructor(options) {
+        super({
+            name: 'script',
+            description: `Local script (${options.command})`,
+            ...options
+        });
+        this.command = options.command;
+    }
+
+    async recognize(imageBuffer) {
+        const output = (await this.runCommand(this.command, [], imageBuffer)).trim();
+
+        if (output.startsWith('{')) {
+            const { text, confidence } = JSON.parse(output);
+            return { text, confidence: Number(confidence) || 0 };
+        }
+        return { text: output, confidence: 100 };
+    }
+}
+
+/**
+ * Create the solvers that can be picked per job
+ * @param {Object} options
+ * @param {string} [options.scriptCommand] - Script for the 'script' solver; the solver is left out without one
+ * @param {number} [options.minConfidence] - Confidence needed to submit an answer automatically
+ * @returns {Object} Solvers by name
+ */
+function createCaptchaSolvers({ scriptCommand, minConfidence } = {}) {
+    const solvers = {
+        tesseract: new TesseractSolver({ minConfidence })
+    };
+    if (scriptCommand) {
+        solvers.script = new ScriptSolver({ command: scriptCommand, minConfidence });
+    }
+    return solvers;
+}
+
+module.exports = {
+    CaptchaSolver,
+    TesseractSolver,
+    ScriptSolver,
+    createCaptchaSolvers
+};
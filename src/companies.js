@@ -0,0 +1,33 @@
+/**
+ * GUVNL distribution companies served by the QuickPay site.
+ * The code is what the site's company dropdown shows and (lower-cased) what GetConsStatus.php expects.
+ */
+const COMPANIES = [
+    { code: 'DGVCL', name: 'Dakshin Gujarat Vij Company Limited' },
+    { code: 'MGVCL', name: 'Madhya Gujarat Vij Company Limited' },
+    { code: 'PGVCL', name: 'Paschim Gujarat Vij Company Limited' },
+    { code: 'UGVCL', name: 'Uttar Gujarat Vij Company Limited' }
+];
+
+const DEFAULT_COMPANY = 'MGVCL';
+
+/**
+ * Resolve a company code from user input ("mgvcl", " MGVCL ", "Madhya Gujarat Vij Company Limited")
+ * @param {string} value - Company as typed in the input sheet or upload form
+ * @returns {string|null} Company code, or null if it is not a known discom
+ */
+function normalizeCompany(value) {
+    if (value === undefined || value === null) return null;
+
+    const text = value.toString().trim().toUpperCase();
+    if (!text) return null;
+
+    const company = COMPANIES.find(c => c.code === text || c.name.toUpperCase() === text);
+    return company ? company.code : null;
+}
+
+module.exports = {
+    COMPANIES,
+    DEFAULT_COMPANY,
+    normalizeCompany
+};
@@ -0,0 +1,181 @@
+/**
+ * Error taxonomy for consumer lookups. Every failed lookup ends up as one of these types;
+ * the code is recorded in the result row and decides how processConsumer retries.
+ */
+class LookupError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} message - Error message
+     * @param {Error} [cause] - Original error
+     */
+    constructor(code, message, cause) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        if (cause) {
+            this.cause = cause;
+        }
+    }
+}
+
+// The site does not know the consumer number (or it belongs to another discom)
+class InvalidConsumerError extends LookupError {
+    constructor(message = 'Invalid consumer number', cause) {
+        super('INVALID_CONSUMER', message, cause);
+    }
+}
+
+// The input names a discom we do not support
+class UnknownCompanyError extends LookupError {
+    constructor(message, cause) {
+        super('UNKNOWN_COMPANY', message, cause);
+    }
+}
+
+// The site rejected the captcha answer
+class InvalidCaptchaError extends LookupError {
+    constructor(message = 'Invalid captcha', cause) {
+        super('INVALID_CAPTCHA', message, cause);
+    }
+}
+
+// Nobody (and no solver) answered the captcha while it was valid
+class CaptchaTimeoutError extends LookupError {
+    constructor(message = 'Captcha timeout', cause) {
+        super('CAPTCHA_TIMEOUT', message, cause);
+    }
+}
+
+// The site could not be reached or a page did not load
+class NetworkError extends LookupError {
+    constructor(message, cause) {
+        super('NETWORK', message, cause);
+    }
+}
+
+// An element or response field we rely on is missing, the site probably changed
+class PageLayoutError extends LookupError {
+    constructor(message, cause) {
+        super('PAGE_LAYOUT', message, cause);
+    }
+}
+
+// The lookup went through but the billing data could not be read
+class ExtractionError extends LookupError {
+    constructor(message, cause) {
+        super('EXTRACTION', message, cause);
+    }
+}
+
+// The lookup was stopped before it could finish: its job was cancelled or finished, or the
+// captcha it was waiting on was withdrawn. Nothing is wrong with the consumer
+class CancelledError extends LookupError {
+    constructor(message = 'Lookup was cancelled', cause) {
+        super('CANCELLED', message, cause);
+    }
+}
+
+// The operator a captcha is pinned to (e.g. the page asking for a quick lookup) is not online,
+// and nobody else may answer it
+class OperatorUnavailableError extends LookupError {
+    constructor(message = 'The operator this captcha is meant for is not online', cause) {
+        super('OPERATOR_UNAVAILABLE', message, cause);
+    }
+}
+
+// No worker of the backend became free within WORKER_WAIT_TIMEOUT. Nothing is wrong with the consumer
+class WorkerUnavailableError extends LookupError {
+    constructor(message = 'No worker became available', cause) {
+        super('WORKER_UNAVAILABLE', message, cause);
+    }
+}
+
+/**
+ * How often each error type is tried before the consumer is given up on.
+ * maxAttempts counts attempts that failed with that type; delayMs is the wait before the
+ * next attempt, multiplied by backoff for every further failure of the same type.
+ */
+const RETRY_POLICIES = {
+    INVALID_CONSUMER: { maxAttempts: 1 },
+    UNKNOWN_COMPANY: { maxAttempts: 1 },
+    INVALID_CAPTCHA: { maxAttempts: 5, delayMs: 0 }, // A new captcha is all it takes
+    CAPTCHA_TIMEOUT: { maxAttempts: 2, delayMs: 0 },
+    NETWORK: { maxAttempts: 4, delayMs: 5000, backoff: 2 },
+    PAGE_LAYOUT: { maxAttempts: 2, delayMs: 5000 },
+    EXTRACTION: { maxAttempts: 3, delayMs: 5000 },
+    CANCELLED: { maxAttempts: 1 }, // Nobody is waiting for another attempt
+    OPERATOR_UNAVAILABLE: { maxAttempts: 1 },
+    WORKER_UNAVAILABLE: { maxAttempts: 1 } // The wait for a worker already took its time
+};
+
+// Upper bound on attempts of one consumer, whatever mix of errors it runs into
+const MAX_TOTAL_ATTEMPTS = 6;
+
+// Result rows of consumers a force-completed session never got to
+const NOT_PROCESSED = 'NOT_PROCESSED';
+
+const ERROR_CODES = [...Object.keys(RETRY_POLICIES), NOT_PROCESSED];
+
+const NETWORK_ERROR_CODES = ['ENOTFOUND', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNABORTED', 'EPIPE'];
+
+/**
+ * Turn any error thrown during a lookup into a LookupError
+ * @param {Error} error - Error as thrown by a driver, the broker or Playwright
+ * @returns {LookupError} The error itself if it is already typed, otherwise a typed wrapper
+ */
+function classifyError(error) {
+    if (error instanceof LookupError) return error;
+
+    const message = (error && error.message) || String(error);
+
+    if (/invalid consumer/i.test(message)) {
+        return new InvalidConsumerError(message, error);
+    }
+    if (/(invalid|wrong|incorrect) captcha/i.test(message)) {
+        return new InvalidCaptchaError(message, error);
+    }
+    if (/captcha timeout/i.test(message)) {
+        return new CaptchaTimeoutError(message, error);
+    }
+    if ((error && (NETWORK_ERROR_CODES.includes(error.code) || error.isAxiosError)) || /net::ERR_|navigation/i.test(message)) {
+        return new NetworkError(message, error);
+    }
+    if (error && error.name === 'TimeoutError') {
+        // Playwright gave up waiting for an element
+        return new PageLayoutError(message, error);
+    }
+    return new ExtractionError(message, error);
+}
+
+/**
+ * Check whether trying a failed consumer again (e.g. when resuming a session) can help
+ * @param {string} code - Error code of the result row
+ * @returns {boolean} False for errors that fail the same way every time
+ */
+function isRetryable(code) {
+    // A cancelled lookup, or one that never got a worker, did not fail, so a resume tries it again
+    if (code === 'CANCELLED' || code === 'WORKER_UNAVAILABLE') return true;
+
+    const policy = RETRY_POLICIES[code];
+    return !policy || policy.maxAttempts > 1;
+}
+
+module.exports = {
+    LookupError,
+    InvalidConsumerError,
+    UnknownCompanyError,
+    InvalidCaptchaError,
+    CaptchaTimeoutError,
+    NetworkError,
+    PageLayoutError,
+    ExtractionError,
+    CancelledError,
+    OperatorUnavailableError,
+    WorkerUnavailableError,
+    RETRY_POLICIES,
+    MAX_TOTAL_ATTEMPTS,
+    NOT_PROCESSED,
+    ERROR_CODES,
+    classifyError,
+    isRetryable
+};
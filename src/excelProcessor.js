@@ -1,6 +1,31 @@
 const XLSX = require('xlsx');
+const ExcelJS = require('exceljs');
 const path = require('path');
 const fs = require('fs-extra');
+const { DEFAULT_COMPANY, normalizeCompany } = require('./companies');
+const { DEFAULT_PROFILE, normalizeProfile, getColumnValue, getMetadataLabels, expandColumns, sortResults } = require('./outputProfiles');
+
+// Uploads the reader accepts; the text formats are read without type guessing
+const SUPPORTED_EXTENSIONS = ['.xlsx', '.xls', '.ods', '.csv', '.tsv'];
+const TEXT_EXTENSIONS = ['.csv', '.tsv'];
+
+// Headers that name the consumer number column, e.g. "Consumer No", "Cons. Number", "ગ્રાહક નંબર"
+const CONSUMER_HEADER_PATTERN = /cons(umer)?\.?\s*(no|num|#|id)|service\s*no|ગ્રાહક\s*નં/i;
+// Rows looked at when guessing the consumer number column
+const DETECTION_SAMPLE_ROWS = 200;
+const PREVIEW_ROWS = 10;
+
+function cellText(cell) {
+    return cell === undefined || cell === null ? '' : cell.toString().trim();
+}
+
+// Compare column scores of detectLayout element by element
+function compareScores(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
 
 class ExcelProcessor {
     constructor() {
@@ -14,38 +39,59 @@ class ExcelProcessor {
      * @returns {Array} Array of consumer numbers
      */
     async readConsumerNumbers(filePath) {
+        const consumers = await this.readConsumers(filePath);
+        return consumers.map(consumer => consumer.consumerNo);
+    }
+
+    /**
+     * Read an uploaded spreadsheet. CSV and TSV cells are kept as text, so consumer
+     * numbers keep their leading zeros
+     * @param {string} filePath - Path to an .xlsx, .xls, .ods, .csv or .tsv file
+     * @param {Object} [options] - Extra options for XLSX.readFile
+     * @returns {Object} Workbook
+     */
+    readWorkbook(filePath, options = {}) {
+        const isText = TEXT_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+        return XLSX.readFile(filePath, { ...options, raw: isText });
+    }
+
+    /**
+     * Read consumers and the discom each one belongs to from uploaded Excel file.
+     * Without a layout, the sheet, consumer number column and header row are detected
+     * (see detectLayout); a column whose header mentions "Company" or "Discom" picks the
+     * company per row.
+     * @param {string} filePath - Path to the uploaded file (any of SUPPORTED_EXTENSIONS)
+     * @param {string} defaultCompany - Company code for rows without a company
+     * @param {Object} [layout] - Where the consumer numbers are, as returned by readLayout;
+     *                            missing parts are detected
+     * @param {Array} [rejected] - Collects the rows whose consumer number is not valid (see extractConsumers)
+     * @returns {Array} Array of { consumerNo, company, row, metadata } objects; row is the 0-based sheet row,
+     *                  metadata holds the row's other cells by header (see getRowMetadata),
+     *                  company is null (and companyInput holds the raw value) when a row names an unknown discom
+     */
+    async readConsumers(filePath, defaultCompany = DEFAULT_COMPANY, layout = {}, rejected = []) {
         try {
             // Read the Excel file
-            const workbook = XLSX.readFile(filePath);
-            
-            // Get the first worksheet
-            const sheetName = workbook.SheetNames[0];
+            const workbook = this.readWorkbook(filePath);
+            const { sheetName, column, hasHeader, companyColumn } = this.resolveLayout(workbook, layout);
             const worksheet = workbook.Sheets[sheetName];
             
-            // Convert to JSON
-            const data = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-            
-            // Extract consumer numbers
-            const consumerNumbers = [];
+            // Convert to JSON; with blank rows kept, data[i] is sheet row firstRow + i
+            const data = XLSX.utils.sheet_to_json(worksheet, { header: 1, blankrows: true });
+            const firstRow = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']).s.r : 0;
             
-            // Skip header row and extract consumer numbers
-            for (let i = 1; i < data.length; i++) {
-                const row = data[i];
-                if (row && row.length > 0) {
-                    // Get the first column value (assuming consumer numbers are in first column)
-                    const consumerNo = row[0];
-                    if (consumerNo && consumerNo.toString().trim()) {
-                        // Clean and validate consumer number
-                        const cleanConsumerNo = consumerNo.toString().trim();
-                        if (this.isValidConsumerNumber(cleanConsumerNo)) {
-                            consumerNumbers.push(cleanConsumerNo);
-                        }
-                    }
-                }
-            }
+            const consumers = this.extractConsumers(data, {
+                startIndex: hasHeader ? 1 : 0,
+                firstRow,
+                column,
+                companyColumn,
+                headerRow: hasHeader ? data[0] : null,
+                defaultCompany,
+                rejected
+            });
             
-            console.log(`Extracted ${consumerNumbers.length} consumer numbers from Excel file`);
-            return consumerNumbers;
+            console.log(`Extracted ${consumers.length} consumer numbers from sheet "${sheetName}", column ${XLSX.utils.encode_col(column)}${companyColumn >= 0 ? ' (with company column)' : ''}`);
+            return consumers;
             
         } catch (error) {
             console.error('Error reading Excel file:', error);
@@ -53,17 +99,451 @@ class ExcelProcessor {
         }
     }
 
+    /**
+     * Work out where the consumer numbers of an uploaded file are
+     * @param {string} filePath - Path to the uploaded file
+     * @param {Object} [requested] - Choices of the user; missing parts are detected
+     * @param {string} [requested.sheetName] - Sheet name
+     * @param {string} [requested.column] - Column letter, e.g. "B"
+     * @param {boolean} [requested.hasHeader] - Whether the first row is a header
+     * @returns {Object} { sheetName, column, hasHeader, companyColumn } with 0-based columns,
+     *                   companyColumn is -1 without a company column
+     * @throws {Error} If the sheet does not exist or the column is not a column letter
+     */
+    readLayout(filePath, { sheetName, column, hasHeader } = {}) {
+        const workbook = this.readWorkbook(filePath);
+        const layout = { sheetName, hasHeader };
+        if (column !== undefined && column !== null && column !== '') {
+            if (!/^[A-Z]{1,3}$/i.test(String(column))) {
+                throw new Error(`"${column}" is not a column letter`);
+            }
+            layout.column = XLSX.utils.decode_col(String(column).toUpperCase());
+        }
+        return this.resolveLayout(workbook, layout);
+    }
+
+    /**
+     * Fill in the parts of a layout that are not given
+     * @param {Object} workbook - Workbook
+     * @param {Object} layout - { sheetName, column, hasHeader, companyColumn }, any of them missing
+     * @returns {Object} Complete layout
+     * @throws {Error} If the sheet does not exist
+     */
+    resolveLayout(workbook, { sheetName, column, hasHeader, companyColumn } = {}) {
+        if (sheetName && !workbook.Sheets[sheetName]) {
+            throw new Error(`The file has no sheet named "${sheetName}"`);
+        }
+        const detected = this.detectLayout(workbook, sheetName);
+        const data = this.getSheetRows(workbook.Sheets[detected.sheetName]);
+        const resolvedColumn = Number.isInteger(column) ? column : detected.column;
+        const resolvedHasHeader = typeof hasHeader === 'boolean'
+            ? hasHeader
+            : this.looksLikeHeader(data[0], resolvedColumn);
+        
+        return {
+            sheetName: detected.sheetName,
+            column: resolvedColumn,
+            hasHeader: resolvedHasHeader,
+            companyColumn: Number.isInteger(companyColumn)
+                ? companyColumn
+                : (resolvedHasHeader ? this.findCompanyColumn(data[0]) : -1)
+        };
+    }
+
+    /**
+     * Guess the sheet and column holding the consumer numbers. A column whose header names
+     * the consumer number wins; otherwise the column with the most 11-digit numbers, then the
+     * most values that pass isValidConsumerNumber. Sheets are compared the same way.
+     * @param {Object} workbook - Workbook
+     * @param {string} [sheetName] - Only look at this sheet
+     * @returns {Object} { sheetName, column } with a 0-based column; the first sheet and column
+     *                   when nothing looks like a consumer number
+     */
+    detectLayout(workbook, sheetName) {
+        const sheetNames = sheetName ? [sheetName] : workbook.SheetNames;
+        let best = { sheetName: sheetNames[0], column: 0, score: [0, 0, 0] };
+        
+        sheetNames.forEach(name => {
+            const data = this.getSheetRows(workbook.Sheets[name]);
+            this.scoreColumns(data).forEach((score, column) => {
+                if (compareScores(score, best.score) > 0) {
+                    best = { sheetName: name, column, score };
+                }
+            });
+        });
+        return { sheetName: best.sheetName, column: best.column };
+    }
+
+    /**
+     * Score each column of a sheet as the consumer number column
+     * @param {Array} data - Sheet rows
+     * @returns {Array} Per column [header names a consumer number (0/1), 11-digit values, valid values]
+     */
+    scoreColumns(data) {
+        const columnCount = data.reduce((max, row) => Math.max(max, row ? row.length : 0), 0);
+        const sample = data.slice(0, DETECTION_SAMPLE_ROWS);
+        const scores = [];
+        
+        for (let column = 0; column < columnCount; column++) {
+            let elevenDigit = 0;
+            let valid = 0;
+            sample.forEach(row => {
+                const text = cellText(row && row[column]);
+                if (!text) return;
+                if (/^\d{11}$/.test(text)) elevenDigit++;
+                if (this.isValidConsumerNumber(text)) valid++;
+            });
+            // A matching header only counts if there are numbers below it
+            const namedHeader = valid > 0 && CONSUMER_HEADER_PATTERN.test(cellText(data[0] && data[0][column])) ? 1 : 0;
+            scores.push([namedHeader, elevenDigit, valid]);
+        }
+        return scores;
+    }
+
+    /**
+     * Build the preview shown before processing: the first rows of every sheet, what was
+     * detected, and how many consumer numbers each column holds
+     * @param {string} filePath - Path to the uploaded file
+     * @returns {Object} { layout, sheets: [{ name, columns, rows, consumerCounts, totalRows }] };
+     *                   layout uses column letters like the upload form
+     */
+    previewFile(filePath) {
+        const workbook = this.readWorkbook(filePath);
+        const layout = this.resolveLayout(workbook);
+        
+        const sheets = workbook.SheetNames.map(name => {
+            const worksheet = workbook.Sheets[name];
+            const data = this.getSheetRows(worksheet);
+            const columnCount = data.reduce((max, row) => Math.max(max, row ? row.length : 0), 0);
+            const columns = Array.from({ length: columnCount }, (unused, column) => XLSX.utils.encode_col(column));
+            
+            return {
+                name,
+                columns,
+                rows: XLSX.utils.sheet_to_json(worksheet, { header: 1, blankrows: true, defval: '', raw: false })
+                    .slice(0, PREVIEW_ROWS),
+                consumerCounts: columns.map((letter, column) => this.extractConsumers(data, {
+                    startIndex: 0, firstRow: 0, column, companyColumn: -1, defaultCompany: DEFAULT_COMPANY
+                }).length),
+                totalRows: data.length
+            };
+        });
+        
+        return {
+            layout: {
+                sheetName: layout.sheetName,
+                column: XLSX.utils.encode_col(layout.column),
+                hasHeader: layout.hasHeader,
+                companyColumn: layout.companyColumn >= 0 ? XLSX.utils.encode_col(layout.companyColumn) : null
+            },
+            sheets
+        };
+    }
+
+    /**
+     * Rows of a sheet, blank rows included
+     * @param {Object} worksheet - Worksheet
+     * @returns {Array} Rows as arrays of cells
+     */
+    getSheetRows(worksheet) {
+        return worksheet ? XLSX.utils.sheet_to_json(worksheet, { header: 1, blankrows: true }) : [];
+    }
+
+    /**
+     * Check whether the first row is a header rather than the first consumer
+     * @param {Array} row - First row
+     * @param {number} column - Consumer number column
+     * @returns {boolean} True unless the row holds a consumer number in that column
+     */
+    looksLikeHeader(row, column) {
+        const text = cellText(row && row[column]);
+        return !(text && this.isValidConsumerNumber(text));
+    }
+
+    /**
+     * Find the company column in a header row
+     * @param {Array} headerRow - Header row
+     * @returns {number} Column index, -1 if there is none
+     */
+    findCompanyColumn(headerRow) {
+        return (headerRow || []).findIndex(cell => cell && /company|discom/i.test(cell.toString()));
+    }
+
+    /**
+     * Read consumers from a pasted list: one consumer number per line, optionally followed by
+     * the company after a tab, comma, semicolon or space (a space only before a company code). A first line that is not a consumer
+     * number is taken as a header, like the header row of a file.
+     * @param {string} text - Pasted text
+     * @param {string} defaultCompany - Company code for lines without a company
+     * @param {Array} [rejected] - Collects the lines whose consumer number is not valid
+     * @returns {Array} Consumers as returned by readConsumers; row is the 0-based line
+     */
+    readConsumerList(text, defaultCompany = DEFAULT_COMPANY, rejected = []) {
+        // Lines with a tab, comma or semicolon are split on those, so headers may contain spaces.
+        // Otherwise only a last word naming a company (or the company column of a header) is split
+        // off, so "1234 5678 901" and "not a number" stay whole and are checked as one number
+        const data = String(text || '').split(/\r?\n/).map(line => {
+            const trimmed = line.trim();
+            if (!trimmed) return [];
+            if (/[\t,;]/.test(trimmed)) return trimmed.split(/\s*[\t,;]\s*/);
+            
+            const words = trimmed.split(/\s+/);
+            const last = words[words.length - 1];
+            if (words.length > 1 && (normalizeCompany(last) || this.findCompanyColumn([last]) === 0)) {
+                return [words.slice(0, -1).join(' '), last];
+            }
+            return [trimmed];
+        });
+        const headerRow = data[0] || [];
+        const hasHeader = headerRow.length > 0 && this.looksLikeHeader(headerRow, 0);
+        const companyColumn = hasHeader ? this.findCompanyColumn(headerRow) : 1;
+        
+        const consumers = this.extractConsumers(data, {
+            startIndex: hasHeader ? 1 : 0,
+            firstRow: 0,
+            companyColumn,
+            headerRow: hasHeader ? headerRow : null,
+            defaultCompany,
+            rejected
+        });
+        console.log(`Extracted ${consumers.length} consumer numbers from pasted list`);
+        return consumers;
+    }
+
+    /**
+     * Read consumers from a JSON list, as sent to the JSON API. Entries are consumer numbers or
+     * { consumerNo, company, metadata } objects; metadata values are carried to the results.
+     * @param {Array} list - Consumer entries
+     * @param {string} defaultCompany - Company code for entries without a company
+     * @param {Array} [rejected] - Collects the entries whose consumer number is not valid
+     * @returns {Array} Consumers as returned by readConsumers; row is the 0-based list index
+     */
+    readConsumerObjects(list, defaultCompany = DEFAULT_COMPANY, rejected = []) {
+        const entries = list.map(entry => (entry && typeof entry === 'object' ? entry : { consumerNo: entry }));
+        const labels = [...new Set(entries.flatMap(entry => Object.keys(entry.metadata || {})))];
+        const data = entries.map(({ consumerNo, company, metadata = {} }) => [
+            cellText(consumerNo),
+            cellText(company),
+            ...labels.map(label => metadata[label])
+        ]);
+        
+        const consumers = this.extractConsumers(data, {
+            startIndex: 0,
+            firstRow: 0,
+            companyColumn: 1,
+            headerRow: ['consumerNo', 'company', ...labels],
+            defaultCompany,
+            rejected
+        });
+        console.log(`Extracted ${consumers.length} consumer numbers from JSON list`);
+        return consumers;
+    }
+
+    /**
+     * Turn sheet rows into consumers
+     * @param {Array} data - Rows as arrays of cells
+     * @param {Object} options
+     * @param {number} options.startIndex - First row below the header
+     * @param {number} options.firstRow - Sheet row of data[0]
+     * @param {number} [options.column] - Column with the consumer numbers, the first by default
+     * @param {number} options.companyColumn - Column with the company, -1 if there is none
+     * @param {Array} [options.headerRow] - Header row, which names the metadata of each consumer
+     * @param {string} options.defaultCompany - Company code for rows without a company
+     * @param {Array} [options.rejected] - Collects { row, value, issue, company, companyInput } for
+     *                                     rows whose consumer number is not valid; issue as in getConsumerNumberIssue
+     * @returns {Array} Consumers as returned by readConsumers
+     */
+    extractConsumers(data, { startIndex, firstRow, column = 0, companyColumn, headerRow = null, defaultCompany, rejected = [] }) {
+        const consumers = [];
+        
+        for (let i = startIndex; i < data.length; i++) {
+            const row = data[i];
+            if (row && row.length > 0) {
+                const consumerNo = row[column];
+                if (consumerNo && consumerNo.toString().trim()) {
+                    // Clean and validate consumer number
+                    const cleanConsumerNo = consumerNo.toString().trim();
+                    const companyCell = companyColumn >= 0 ? row[companyColumn] : null;
+                    const hasCompany = companyCell !== undefined && companyCell !== null && companyCell.toString().trim() !== '';
+                    const company = hasCompany ? normalizeCompany(companyCell) : defaultCompany;
+                    const consumer = { consumerNo: cleanConsumerNo, company, row: firstRow + i, metadata: this.getRowMetadata(row, headerRow, [column, companyColumn]) };
+                    if (!company) {
+                        consumer.companyInput = companyCell.toString().trim();
+                    }
+                    
+                    const issue = this.getConsumerNumberIssue(cleanConsumerNo);
+                    if (issue) {
+                        // Kept with its company, so a fixed number can still be looked up
+                        rejected.push({ row: consumer.row, value: cleanConsumerNo, issue, company, companyInput: consumer.companyInput, metadata: consumer.metadata });
+                    } else {
+                        if (!company) {
+                            console.warn(`Unknown company "${companyCell}" for consumer ${cleanConsumerNo} in row ${i + 1}`);
+                        }
+                        consumers.push(this.normalizeConsumerNumber(consumer));
+                    }
+                }
+            }
+        }
+        return consumers;
+    }
+
+    /**
+     * The other cells of a consumer's row, by header ("Column C" without a header row)
+     * @param {Array} row - Sheet row
+     * @param {Array|null} headerRow - Header row
+     * @param {Array} skipColumns - Consumer number and company columns
+     * @returns {Object} Label -> value, empty cells left out
+     */
+    getRowMetadata(row, headerRow, skipColumns) {
+        const metadata = {};
+        row.forEach((value, column) => {
+            if (skipColumns.includes(column) || cellText(value) === '') return;
+            const label = cellText(headerRow && headerRow[column]) || `Column ${XLSX.utils.encode_col(column)}`;
+            metadata[label] = value;
+        });
+        return metadata;
+    }
+
     /**
      * Validate consumer number format
      * @param {string} consumerNo - Consumer number to validate
      * @returns {boolean} True if valid
      */
     isValidConsumerNumber(consumerNo) {
-        // Remove any non-numeric characters
-        const numericOnly = consumerNo.replace(/\D/g, '');
+        return this.getConsumerNumberIssue(consumerNo) === null;
+    }
+
+    /**
+     * Find what is wrong with a consumer number. Digits with spaces or dashes between them are
+     * fine; consumer numbers typically have 11 digits, shorter ones are zero-padded
+     * @param {string} consumerNo - Consumer number as written in the input
+     * @returns {string|null} 'nonNumeric', 'tooShort' (under 6 digits), 'tooLong' (over 15 digits) or null
+     */
+    getConsumerNumberIssue(consumerNo) {
+        const text = String(consumerNo).trim();
+        if (!/^[\d\s-]+$/.test(text)) return 'nonNumeric';
+        
+        const numericOnly = text.replace(/\D/g, '');
+        if (numericOnly.length < 6) return 'tooShort';
+        if (numericOnly.length > 15) return 'tooLong';
+        return null;
+    }
+
+    /**
+     * Build the pre-flight report of an upload: what will be looked up and what needs a decision
+     * @param {Array} consumers - Consumers to look up, as returned by readConsumers
+     * @param {Array} rejected - Rows that were left out, as collected by readConsumers
+     * @returns {Object} { total, valid, duplicates, tooShort, tooLong, nonNumeric, padded, needsConfirmation };
+     *                   rows are 1-based, as in the spreadsheet. duplicates lists each repeated
+     *                   number once with all its rows; padded rows are looked up with leading zeros
+     */
+    buildValidationReport(consumers, rejected) {
+        const byKey = new Map();
+        consumers.forEach(consumer => {
+            const key = this.getDuplicateKey(consumer);
+            if (!byKey.has(key)) byKey.set(key, []);
+            byKey.get(key).push(consumer);
+        });
+        
+        const duplicates = [...byKey.values()]
+            .filter(group => group.length > 1)
+            .map(group => ({
+                consumerNo: group[0].consumerNo,
+                company: group[0].company || group[0].companyInput,
+                rows: group.map(consumer => consumer.row + 1)
+            }));
+        const rejectedWith = (issue) => rejected
+            .filter(entry => entry.issue === issue)
+            .map(entry => ({ row: entry.row + 1, value: entry.value }));
+        const padded = consumers
+            .filter(consumer => (consumer.input || consumer.consumerNo).replace(/\D/g, '').length < 11)
+            .map(consumer => ({ row: consumer.row + 1, value: consumer.input || consumer.consumerNo, paddedValue: consumer.consumerNo }));
         
-        // Check if it's a valid number and has reasonable length (typically 8-12 digits)
-        return numericOnly.length >= 6 && numericOnly.length <= 15;
+        return {
+            total: consumers.length + rejected.length,
+            valid: consumers.length,
+            duplicates,
+            tooShort: rejectedWith('tooShort'),
+            tooLong: rejectedWith('tooLong'),
+            nonNumeric: rejectedWith('nonNumeric'),
+            padded,
+            // Zero-padding is only reported; duplicates and left-out rows wait for the user
+            needsConfirmation: duplicates.length > 0 || rejected.length > 0
+        };
+    }
+
+    /**
+     * Apply what the user chose in the validation report
+     * @param {Array} consumers - Consumers to look up
+     * @param {Array} rejected - Rows that were left out
+     * @param {Object} choices
+     * @param {boolean} [choices.dedupe] - Look each repeated number up only once, at its first row
+     * @param {Object} [choices.fixes] - Corrected consumer numbers by 1-based row, for left-out rows
+     * @returns {Object} { consumers, rejected } in sheet order; rows that stay invalid remain rejected
+     * @throws {Error} If a fix names a row that was not left out or is still not a valid number
+     */
+    applyValidationChoices(consumers, rejected, { dedupe = false, fixes = {} } = {}) {
+        const remaining = [];
+        const fixed = [];
+        const fixedRows = new Set();
+        
+        rejected.forEach(entry => {
+            const fix = fixes[entry.row + 1];
+            if (fix === undefined || String(fix).trim() === '') {
+                remaining.push(entry);
+                return;
+            }
+            const consumerNo = String(fix).trim();
+            if (!this.isValidConsumerNumber(consumerNo)) {
+                throw new Error(`Row ${entry.row + 1}: "${consumerNo}" is not a valid consumer number`);
+            }
+            const consumer = { consumerNo, company: entry.company, row: entry.row, metadata: entry.metadata || {} };
+            if (!entry.company) consumer.companyInput = entry.companyInput;
+            this.normalizeConsumerNumber(consumer);
+            fixed.push(consumer);
+            fixedRows.add(entry.row + 1);
+        });
+        
+        const unknownRow = Object.keys(fixes).find(row => String(fixes[row]).trim() !== '' && !fixedRows.has(Number(row)));
+        if (unknownRow) {
+            throw new Error(`Row ${unknownRow} was not left out, only left-out rows can be fixed`);
+        }
+        
+        let result = [...consumers, ...fixed].sort((a, b) => a.row - b.row);
+        if (dedupe) {
+            const seen = new Set();
+            result = result.filter(consumer => {
+                const key = this.getDuplicateKey(consumer);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        }
+        return { consumers: result, rejected: remaining };
+    }
+
+    /**
+     * Consumers with the same key are the same lookup: same discom, same zero-padded number
+     * @param {Object} consumer - Consumer
+     * @returns {string} Key
+     */
+    getDuplicateKey(consumer) {
+        return `${consumer.company || consumer.companyInput}:${this.formatConsumerNumber(consumer.consumerNo)}`;
+    }
+
+    /**
+     * Replace a valid consumer number as written by the digits that are looked up, keeping what
+     * was written as input when it differs (for the validation report)
+     * @param {Object} consumer - Consumer whose consumerNo passed getConsumerNumberIssue
+     * @returns {Object} The consumer
+     */
+    normalizeConsumerNumber(consumer) {
+        const formatted = this.formatConsumerNumber(consumer.consumerNo);
+        if (formatted !== consumer.consumerNo) {
+            consumer.input = consumer.consumerNo;
+            consumer.consumerNo = formatted;
+        }
+        return consumer;
     }
 
     /**
@@ -78,76 +558,43 @@ class ExcelProcessor {
     }
 
     /**
-     * Write results to Excel file
-     * @param {Array} results - Array of billing data results
+     * Write results to Excel file, sorted by the profile's sortBy
+     * @param {Array} results - Array of billing data results, with the metadata of their consumer
      * @param {string} sessionId - Session ID for filename
+     * @param {Object} [profile] - Output profile (see outputProfiles.js) with the columns to write
      * @returns {string} Path to the created Excel file
      */
-    async writeResults(results, sessionId) {
+    async writeResults(results, sessionId, profile = DEFAULT_PROFILE) {
         try {
-            // Prepare data for Excel
-            const excelData = [];
-            
-            // Add header row
-            excelData.push([
-                'Consumer Name',
-                'Consumer No.',
-                'Last Paid Detail',
-                'Outstanding Amount (Tentative)',
-                'Bill Date',
-                'Amount to Pay',
-                'Status',
-                'Error Message'
-            ]);
+            const normalized = normalizeProfile(profile);
+            const columns = expandColumns(normalized.columns, getMetadataLabels(results));
             
-            // Add data rows
-            results.forEach(result => {
-                if (result.error) {
-                    // Error case
-                    excelData.push([
-                        '',
-                        result.consumerNo || '',
-                        '',
-                        '',
-                        '',
-                        '',
-                        'Error',
-                        result.error
-                    ]);
-                } else {
-                    // Success case
-                    excelData.push([
-                        result.consumerName || '',
-                        result.consumerNo || '',
-                        result.lastPaidDetail || '',
-                        result.outstandingAmount || '',
-                        result.billDate || '',
-                        result.amountToPay || '',
-                        'Success',
-                        ''
-                    ]);
-                }
+            // Header row, then one row per result
+            const excelData = [columns.map(column => column.header)];
+            sortResults(results, columns, normalized.sortBy).forEach((result, index) => {
+                excelData.push(columns.map(column => getColumnValue(result, column, index + 1)));
             });
             
             // Create workbook and worksheet
             const workbook = XLSX.utils.book_new();
             const worksheet = XLSX.utils.aoa_to_sheet(excelData);
             
+            // Number formats apply to the numeric cells of a column
+            columns.forEach((column, columnIndex) => {
+                if (!column.format) return;
+                for (let row = 1; row < excelData.length; row++) {
+                    const cell = worksheet[XLSX.utils.encode_cell({ r: row, c: columnIndex })];
+                    if (cell && cell.t === 'n') {
+                        cell.z = column.format;
+                    }
+                }
+            });
+            
             // Set column widths
-            const columnWidths = [
-                { wch: 25 }, // Consumer Name
-                { wch: 15 }, // Consumer No.
-                { wch: 20 }, // Last Paid Detail
-                { wch: 20 }, // Outstanding Amount
-                { wch: 15 }, // Bill Date
-                { wch: 15 }, // Amount to Pay
-                { wch: 10 }, // Status
-                { wch: 30 }  // Error Message
-            ];
-            worksheet['!cols'] = columnWidths;
+            worksheet['!cols'] = columns.map(column => ({ wch: column.width, hidden: Boolean(column.hidden) }));
             
             // Add worksheet to workbook
-            XLSX.utils.book_append_sheet(workbook, worksheet, 'MGVCL Billing Data');
+            XLSX.utils.book_append_sheet(workbook, worksheet, 'Billing Data');
             
             // Generate filename with timestamp
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
@@ -166,6 +613,122 @@ class ExcelProcessor {
         }
     }
 
+    /**
+     * Write results into a copy of the uploaded workbook: the profile's columns are added to the
+     * right of the used range of the consumer sheet, on the row each consumer came from.
+     * Other sheets, the row order, column widths, merges and number formats are kept. An .xlsx
+     * upload also keeps its fonts, fills and borders, and the added headers take the style of the
+     * header next to them; the other formats are written by the xlsx library, which drops those
+     * styles. The profile's sortBy does not apply.
+     * @param {Array} results - Results with the index of their consumer
+     * @param {string} sessionId - Session ID for filename
+     * @param {Object} source
+     * @param {string} source.filePath - Uploaded workbook
+     * @param {Array} source.consumers - Consumers as returned by readConsumers, with their row
+     * @param {string} [source.sheetName] - Sheet the consumers were read from, the first one by default
+     * @param {boolean} [source.hasHeader] - Whether the sheet has a header row; without one the
+     *                                       headers go in the row above the data, if there is one
+     * @param {Object} [profile] - Output profile with the columns to add
+     * @returns {string} Path to the created Excel file
+     */
+    async writeResultsIntoWorkbook(results, sessionId, { filePath, consumers, sheetName, hasHeader = true }, profile = DEFAULT_PROFILE) {
+        try {
+            // The sheet already has its own columns, so { metadata: '*' } adds none
+            const columns = expandColumns(normalizeProfile(profile).columns, []);
+            // Positions as the consumers were read, so the rows line up whichever library writes
+            const workbook = this.readWorkbook(filePath, { cellStyles: true, cellNF: true });
+            sheetName = sheetName || workbook.SheetNames[0];
+            const worksheet = workbook.Sheets[sheetName];
+            const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
+            const layout = {
+                firstColumn: range.e.c + 1,
+                headerRow: hasHeader ? range.s.r : range.s.r - 1,
+                rows: results
+                    .filter(result => consumers[result.index] && consumers[result.index].row !== undefined)
+                    .map(result => ({
+                        row: consumers[result.index].row,
+                        values: columns.map(column => getColumnValue(result, column, result.index + 1))
+                    }))
+            };
+            
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const outputPath = path.join(this.resultsDir, `MGVCL_Results_${sessionId}_${timestamp}.xlsx`);
+            if (path.extname(filePath).toLowerCase() === '.xlsx') {
+                await this.addColumnsWithStyles(filePath, sheetName, columns, layout, outputPath);
+            } else {
+                this.addColumns(workbook, worksheet, columns, layout);
+                XLSX.writeFile(workbook, outputPath, { bookType: 'xlsx', cellStyles: true });
+            }
+            
+            console.log(`Results written into a copy of ${path.basename(filePath)}: ${outputPath}`);
+            return outputPath;
+            
+        } catch (error) {
+            console.error('Error writing results into the uploaded workbook:', error);
+            throw new Error(`Failed to write Excel file: ${error.message}`);
+        }
+    }
+
+    // Add the result columns to a sheet read by the xlsx library (rows and columns count from 0)
+    addColumns(workbook, worksheet, columns, { firstColumn, headerRow, rows }) {
+        if (headerRow >= 0) {
+            XLSX.utils.sheet_add_aoa(worksheet, [columns.map(column => column.header)], { origin: { r: headerRow, c: firstColumn } });
+        }
+        
+        rows.forEach(({ row, values }) => {
+            XLSX.utils.sheet_add_aoa(worksheet, [values], { origin: { r: row, c: firstColumn } });
+            
+            columns.forEach((column, columnIndex) => {
+                const cell = worksheet[XLSX.utils.encode_cell({ r: row, c: firstColumn + columnIndex })];
+                if (column.format && cell && cell.t === 'n') {
+                    cell.z = column.format;
+                }
+            });
+        });
+        
+        worksheet['!cols'] = worksheet['!cols'] || [];
+        columns.forEach((column, columnIndex) => {
+            worksheet['!cols'][firstColumn + columnIndex] = { wch: column.width, hidden: Boolean(column.hidden) };
+        });
+    }
+
+    // Add the result columns to an .xlsx file through exceljs, which keeps the styles of the
+    // workbook; exceljs counts rows and columns from 1
+    async addColumnsWithStyles(filePath, sheetName, columns, { firstColumn, headerRow, rows }, outputPath) {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.readFile(filePath);
+        const worksheet = workbook.getWorksheet(sheetName);
+        
+        if (headerRow >= 0) {
+            const header = worksheet.getRow(headerRow + 1);
+            const { font, fill, border, alignment } = header.getCell(firstColumn).style;
+            columns.forEach((column, columnIndex) => {
+                const cell = header.getCell(firstColumn + columnIndex + 1);
+                cell.value = column.header;
+                cell.style = { font, fill, border, alignment };
+            });
+        }
+        
+        rows.forEach(({ row, values }) => {
+            const sheetRow = worksheet.getRow(row + 1);
+            values.forEach((value, columnIndex) => {
+                const cell = sheetRow.getCell(firstColumn + columnIndex + 1);
+                cell.value = value === '' || value === undefined ? null : value;
+                if (columns[columnIndex].format && typeof value === 'number') {
+                    cell.numFmt = columns[columnIndex].format;
+                }
+            });
+        });
+        
+        columns.forEach((column, columnIndex) => {
+            const sheetColumn = worksheet.getColumn(firstColumn + columnIndex + 1);
+            sheetColumn.width = column.width;
+            sheetColumn.hidden = Boolean(column.hidden);
+        });
+        
+        await workbook.xlsx.writeFile(outputPath);
+    }
+
     /**
      * Create sample Excel template for consumer numbers
      * @returns {string} Path to the created template file
@@ -173,17 +736,17 @@ class ExcelProcessor {
     async createSampleTemplate() {
         try {
             const templateData = [
-                ['Consumer Number'],
-                ['12345678901'],
-                ['98765432109'],
-                ['11223344556']
+                ['Consumer Number', 'Company'],
+                ['12345678901', 'MGVCL'],
+                ['98765432109', 'DGVCL'],
+                ['11223344556', 'UGVCL']
             ];
             
             const workbook = XLSX.utils.book_new();
             const worksheet = XLSX.utils.aoa_to_sheet(templateData);
             
-            // Set column width
-            worksheet['!cols'] = [{ wch: 20 }];
+            // Set column widths
+            worksheet['!cols'] = [{ wch: 20 }, { wch: 12 }];
             
             XLSX.utils.book_append_sheet(workbook, worksheet, 'Consumer Numbers');
             
@@ -201,14 +764,16 @@ class ExcelProcessor {
     /**
      * Get statistics from results
      * @param {Array} results - Array of results
-     * @returns {Object} Statistics object
+     * @returns {Object} Statistics object; byDivision maps "company / division" to
+     *                   { company, division, count, amount } of the successful lookups
      */
     getStatistics(results) {
         const stats = {
             total: results.length,
             successful: 0,
             failed: 0,
-            totalAmount: 0
+            totalAmount: 0,
+            byDivision: {}
         };
         
         results.forEach(result => {
@@ -217,11 +782,18 @@ class ExcelProcessor {
             } else {
                 stats.successful++;
                 
+                const company = result.company || '';
+                const division = result.division || 'Unknown';
+                const key = `${company} / ${division}`;
+                const group = stats.byDivision[key] || (stats.byDivision[key] = { company, division, count: 0, amount: 0 });
+                group.count++;
+                
                 // Try to extract numeric amount from amountToPay
                 if (result.amountToPay) {
-                    const amount = parseFloat(result.amountToPay.replace(/[^\d.]/g, ''));
+                    const amount = parseFloat(String(result.amountToPay).replace(/[^\d.]/g, ''));
                     if (!isNaN(amount)) {
                         stats.totalAmount += amount;
+                        group.amount += amount;
                     }
                 }
             }
@@ -244,6 +816,9 @@ class ExcelProcessor {
                 const filePath = path.join(this.resultsDir, file);
                 const stats = await fs.stat(filePath);
                 
+                // Leave directories alone, results/sessions holds the persisted sessions
+                if (stats.isDirectory()) continue;
+                
                 if (now - stats.mtime.getTime() > maxAge) {
                     await fs.remove(filePath);
                     console.log(`Cleaned up old file: ${file}`);
@@ -256,4 +831,6 @@ class ExcelProcessor {
     }
 }
 
+ExcelProcessor.SUPPORTED_EXTENSIONS = SUPPORTED_EXTENSIONS;
+
 module.exports = ExcelProcessor;
@@ -0,0 +1,374 @@
+const EventEmitter = require('events');
+
+// Captchas on the QuickPay site expire after 5 minutes
+const CAPTCHA_VALIDITY_MS = 5 * 60 * 1000;
+
+// The GUVNL payment site; MGVCL_BASE_URL points the drivers elsewhere, e.g. at the mock in mockQuickPay.js
+const DEFAULT_BASE_URL = 'https://mpay.guvnl.in';
+
+/**
+ * Base class for extraction backends (BrowserManager, ApiProcessor).
+ *
+ * It owns the worker pool - acquiring, queueing and releasing workers - and the
+ * captcha locks. Subclasses only implement the backend specific steps of a lookup.
+ *
+ * Driver contract used by server.js:
+ * - acquire()                                 -> worker ID, or null when the wait timed out
+ * - startLookup(workerId, consumerNo, company) -> { captchaRequired }
+ * - getCaptcha(workerId)                      -> captcha image as a data URL
+ * - refreshCaptcha(workerId)                  -> new captcha image as a data URL
+ * - submitCaptcha(workerId, captchaText)      -> resolves when accepted, throws 'Invalid captcha' when rejected
+ * - getResult(workerId)                       -> billing data
+ * - release(workerId)
+ * - getStatus()                               -> array of worker status objects
+ *
+ * Events: 'worker-available' (workerId), 'captcha-obsolete' ({ workerId, consumerNo, message })
+ */
+class ExtractionDriver extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Backend name, also used as the worker ID prefix
+     * @param {number} options.maxWorkers - Pool size
+     * @param {number} [options.acquireTimeout] - How long acquire() waits for a free worker
+     * @param {string} [options.baseUrl] - Site the lookups run against, without a trailing slash
+     */
+    constructor({ name, maxWorkers, acquireTimeout = 2 * 60 * 1000, baseUrl = DEFAULT_BASE_URL }) {
+        super();
+        this.name = name;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.maxWorkers = maxWorkers;
+        this.acquireTimeout = acquireTimeout;
+        this.workers = new Map();
+        this.availableWorkers = [];
+        this.busyWorkers = new Set();
+        this.waitQueue = []; // Pending acquire() calls
+        this.captchaLocks = new Map();
+        this.initialized = false;
+        this.initializationPromise = null;
+        this.cleanupInterval = null;
+    }
+
+    /**
+     * Create all workers of the pool
+     * @returns {Promise<boolean>} True if at least one worker could be created
+     */
+    async initialize() {
+        if (this.initialized) {
+            return true;
+        }
+
+        // Concurrent callers share the same initialization run
+        if (this.initializationPromise) {
+            return this.initializationPromise;
+        }
+
+        this.initializationPromise = (async () => {
+            console.log(`Initializing ${this.maxWorkers} ${this.name} workers...`);
+
+            for (let i = 0; i < this.maxWorkers; i++) {
+                const workerId = `${this.name}_${i}`;
+                if (this.workers.has(workerId)) continue;
+
+                try {
+                    const worker = await this.createWorker(workerId);
+                    this.workers.set(workerId, {
+                        id: workerId,
+                        busy: false,
+                        currentConsumer: null,
+                        captchaRequired: false,
+                        lastCaptchaRefresh: null,
+                        ...worker
+                    });
+                    this.availableWorkers.push(workerId);
+                } catch (error) {
+                    console.error(`[${workerId}] Failed to create worker:`, error.message);
+                }
+            }
+
+            this.initialized = this.workers.size > 0;
+            console.log(`Initialized ${this.workers.size}/${this.maxWorkers} ${this.name} workers`);
+
+            if (this.initialized) {
+                this.startCleanupInterval();
+            }
+            return this.initialized;
+        })();
+
+        try {
+            return await this.initializationPromise;
+        } finally {
+            this.initializationPromise = null;
+        }
+    }
+
+    /**
+     * Get a free worker, waiting in the queue if all are busy
+     * @returns {Promise<string|null>} Worker ID or null if the wait timed out
+     */
+    async acquire() {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        console.log(`[${this.name}] acquire: Available: ${this.availableWorkers.length}, Busy: ${this.busyWorkers.size}, Queue length: ${this.waitQueue.length}`);
+
+        if (this.availableWorkers.length === 0) {
+            return new Promise((resolve) => {
+                const waiter = {
+                    resolve: (workerId) => {
+                        clearTimeout(waiter.timeoutId);
+                        resolve(workerId);
+                    },
+                    timeoutId: setTimeout(() => {
+                        const queueIndex = this.waitQueue.indexOf(waiter);
+                        if (queueIndex > -1) {
+                            this.waitQueue.splice(queueIndex, 1);
+                            resolve(null); // Resolve with null to indicate timeout
+                        }
+                    }, this.acquireTimeout)
+                };
+                this.waitQueue.push(waiter);
+            });
+        }
+
+        const workerId = this.availableWorkers.shift();
+        this.markBusy(workerId);
+        return workerId;
+    }
+
+    /**
+     * Reset a worker and hand it to the next waiter, or put it back in the pool
+     * @param {string} workerId - ID of the worker to release
+     */
+    async release(workerId) {
+        const worker = this.workers.get(workerId);
+        if (!worker) return;
+
+        console.log(`[${workerId}] Releasing worker, current consumer: ${worker.currentConsumer}`);
+
+        try {
+            await this.resetWorker(worker);
+        } catch (error) {
+            // Still release the worker even if reset fails
+            console.error(`[${workerId}] Error resetting worker:`, error.message);
+        }
+
+        worker.busy = false;
+        worker.currentConsumer = null;
+        worker.captchaRequired = false;
+        worker.lastCaptchaRefresh = null;
+        this.busyWorkers.delete(workerId);
+        this.captchaLocks.delete(workerId);
+
+        // The worker may have been removed by closeAll() while it was resetting
+        if (!this.workers.has(workerId)) return;
+
+        if (this.waitQueue.length > 0) {
+            const waiter = this.waitQueue.shift();
+            this.markBusy(workerId);
+            console.log(`[${workerId}] Handing worker to next request in queue, queue length: ${this.waitQueue.length}`);
+            waiter.resolve(workerId);
+        } else {
+            this.availableWorkers.push(workerId);
+        }
+
+        this.emit('worker-available', workerId);
+    }
+
+    markBusy(workerId) {
+        const worker = this.workers.get(workerId);
+        worker.busy = true;
+        this.busyWorkers.add(workerId);
+    }
+
+    /**
+     * Mark a worker as waiting for a captcha answer
+     * @param {string} workerId - ID of the worker
+     * @param {string} consumerNo - Consumer number being looked up
+     */
+    lockForCaptcha(workerId, consumerNo) {
+        const worker = this.workers.get(workerId);
+        if (!worker) return;
+
+        worker.captchaRequired = true;
+        worker.currentConsumer = consumerNo;
+        worker.lastCaptchaRefresh = Date.now();
+        this.captchaLocks.set(workerId, {
+            timestamp: Date.now(),
+            consumerNo
+        });
+    }
+
+    /**
+     * Clear the captcha lock of a worker
+     * @param {string} workerId - ID of the worker
+     */
+    unlockFromCaptcha(workerId) {
+        const worker = this.workers.get(workerId);
+        if (!worker) return;
+
+        worker.captchaRequired = false;
+        this.captchaLocks.delete(workerId);
+    }
+
+    /**
+     * Check if a worker is still waiting for the captcha of this consumer
+     * @param {string} workerId - ID of the worker
+     * @param {string} consumerNo - Consumer number
+     * @returns {boolean} True if a captcha answer can be submitted
+     */
+    isAwaitingCaptcha(workerId, consumerNo) {
+        const worker = this.workers.get(workerId);
+        if (!worker || !worker.captchaRequired) return false;
+        if (worker.currentConsumer !== consumerNo) return false;
+
+        return Date.now() - worker.lastCaptchaRefresh <= CAPTCHA_VALIDITY_MS;
+    }
+
+    /**
+     * Get the current status of all workers
+     * @returns {Array} Array of worker status objects
+     */
+    getStatus() {
+        const status = [];
+        for (const [workerId, worker] of this.workers) {
+            status.push({
+                workerId,
+                backend: this.name,
+                busy: worker.busy,
+                currentConsumer: worker.currentConsumer,
+                captchaRequired: worker.captchaRequired,
+                lastCaptchaRefresh: worker.lastCaptchaRefresh
+            });
+        }
+        return status;
+    }
+
+    /**
+     * Clean up captcha locks that are older than the captcha validity
+     * @returns {boolean} True if any locks were cleaned up
+     */
+    checkCaptchaLocks() {
+        const currentTime = Date.now();
+        const staleEntries = [];
+
+        for (const [workerId, lockInfo] of this.captchaLocks) {
+            const worker = this.workers.get(workerId);
+            if (!worker || !worker.captchaRequired || currentTime - lockInfo.timestamp > CAPTCHA_VALIDITY_MS) {
+                staleEntries.push({ workerId, consumerNo: lockInfo.consumerNo });
+            }
+        }
+
+        for (const entry of staleEntries) {
+            console.log(`Removing stale captcha lock for ${entry.workerId}, consumer ${entry.consumerNo}`);
+            this.unlockFromCaptcha(entry.workerId);
+
+            // Emit event so we can notify clients
+            this.emit('captcha-obsolete', {
+                workerId: entry.workerId,
+                consumerNo: entry.consumerNo,
+                message: 'Captcha is no longer valid (timed out or worker reassigned)'
+            });
+        }
+
+        return staleEntries.length > 0;
+    }
+
+    startCleanupInterval() {
+        if (this.cleanupInterval) return;
+
+        this.cleanupInterval = setInterval(() => {
+            this.checkCaptchaLocks();
+        }, 30000); // Check every 30 seconds
+    }
+
+    /**
+     * Close all workers and clean up resources
+     */
+    async closeAll() {
+        console.log(`Closing all ${this.name} workers...`);
+
+        if (this.cleanupInterval) {
+            clearInterval(this.cleanupInterval);
+            this.cleanupInterval = null;
+        }
+
+        for (const [workerId, worker] of this.workers) {
+            try {
+                await this.destroyWorker(worker);
+            } catch (error) {
+                console.error(`Error closing worker ${workerId}:`, error.message);
+            }
+        }
+
+        for (const waiter of this.waitQueue) {
+            clearTimeout(waiter.timeoutId);
+            waiter.resolve(null);
+        }
+
+        this.workers.clear();
+        this.availableWorkers = [];
+        this.busyWorkers.clear();
+        this.captchaLocks.clear();
+        this.waitQueue = [];
+        this.initialized = false;
+
+        console.log(`All ${this.name} workers closed`);
+    }
+
+    getWorker(workerId) {
+        const worker = this.workers.get(workerId);
+        if (!worker) {
+            throw new Error(`Worker ${workerId} not found`);
+        }
+        return worker;
+    }
+
+    // Backend specific steps, implemented by subclasses
+
+    /**
+     * Create the backend resources of one worker
+     * @param {string} workerId - ID of the new worker
+     * @returns {Promise<Object>} Properties merged into the worker record
+     */
+    async createWorker(workerId) {
+        throw new Error(`${this.constructor.name} does not implement createWorker`);
+    }
+
+    /**
+     * Bring a worker back to a clean state before it is reused
+     * @param {Object} worker - Worker record
+     */
+    async resetWorker(worker) {}
+
+    /**
+     * Free the backend resources of a worker
+     * @param {Object} worker - Worker record
+     */
+    async destroyWorker(worker) {}
+
+    async startLookup(workerId, consumerNo, company) {
+        throw new Error(`${this.constructor.name} does not implement startLookup`);
+    }
+
+    async getCaptcha(workerId) {
+        throw new Error(`${this.constructor.name} does not implement getCaptcha`);
+    }
+
+    async refreshCaptcha(workerId) {
+        throw new Error(`${this.constructor.name} does not implement refreshCaptcha`);
+    }
+
+    async submitCaptcha(workerId, captchaText) {
+        throw new Error(`${this.constructor.name} does not implement submitCaptcha`);
+    }
+
+    async getResult(workerId) {
+        throw new Error(`${this.constructor.name} does not implement getResult`);
+    }
+}
+
+ExtractionDriver.CAPTCHA_VALIDITY_MS = CAPTCHA_VALIDITY_MS;
+ExtractionDriver.DEFAULT_BASE_URL = DEFAULT_BASE_URL;
+
+module.exports = ExtractionDriver;
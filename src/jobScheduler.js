@@ -0,0 +1,247 @@
+const EventEmitter = require('events');
+
+const POLICIES = ['round-robin', 'priority'];
+
+/**
+ * Shares the workers of each extraction backend between concurrently running jobs (upload sessions).
+ *
+ * Every job keeps its own queue and its own in-progress list, and a consumer is only ever
+ * dispatched on behalf of the job it belongs to. Each backend runs at most as many consumers
+ * as its driver has workers; whenever a slot frees up the next job is picked by the policy:
+ * - 'round-robin': jobs take turns, one consumer each
+ * - 'priority': jobs with the highest priority go first, taking turns among themselves
+ *
+ * Events: 'consumer-started' ({ jobId, index, consumer }),
+ *         'consumer-finished' ({ jobId, index, consumer, result, cancelled }),
+ *         'job-finished' (jobId)
+ */
+class JobScheduler extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.drivers - Extraction drivers by backend name
+     * @param {Function} options.runConsumer - async (jobId, consumer) => result row
+     * @param {string} [options.policy] - 'round-robin' or 'priority'
+     */
+    constructor({ drivers, runConsumer, policy = 'round-robin' }) {
+        super();
+        if (!POLICIES.includes(policy)) {
+            throw new Error(`Unknown scheduling policy: ${policy}`);
+        }
+
+        this.drivers = drivers;
+        this.runConsumer = runConsumer;
+        this.policy = policy;
+        this.jobs = new Map(); // Insertion order is the round-robin order
+        this.running = new Map(); // Backend -> consumers in flight
+        this.lastServed = new Map(); // Backend -> ID of the job that got the last slot
+    }
+
+    /**
+     * Queue a job's consumers and start dispatching them
+     * @param {Object} job
+     * @param {string} job.id - Job (session) ID
+     * @param {string} job.backend - Backend name, a key of drivers
+     * @param {Array} job.consumers - Consumers to process, in order
+     * @param {Array} [job.indexes] - Index reported in events for each consumer; defaults to its
+     *                                position, callers re-queueing part of a list pass the original positions
+     * @param {number} [job.priority] - Higher runs first under the 'priority' policy
+     */
+    addJob({ id, backend, consumers, indexes, priority = 0 }) {
+        if (this.jobs.has(id)) {
+            throw new Error(`Job ${id} is already scheduled`);
+        }
+        if (!this.drivers[backend]) {
+            throw new Error(`Unknown backend: ${backend}`);
+        }
+
+        const job = {
+            id,
+            backend,
+            priority,
+            pending: consumers.map((consumer, position) => ({
+                index: indexes ? indexes[position] : position,
+                consumer
+            })),
+            inProgress: new Map(),
+            completed: 0,
+            cancelled: false,
+            onDone: []
+        };
+        this.jobs.set(id, job);
+
+        console.log(`[scheduler] Job ${id} added: ${job.pending.length} consumers on ${backend}, priority ${priority}`);
+
+        if (job.pending.length === 0) {
+            this.finishJob(job);
+            return;
+        }
+
+        this.dispatch(backend);
+    }
+
+    /**
+     * Drop the consumers a job has not started yet; consumers in flight still finish
+     * @param {string} id - Job ID
+     * @returns {number} Number of consumers that were dropped
+     */
+    cancelJob(id) {
+        const job = this.jobs.get(id);
+        if (!job) return 0;
+
+        const dropped = job.pending.length;
+        job.cancelled = true;
+        job.pending = [];
+
+        console.log(`[scheduler] Job ${id} cancelled, dropped ${dropped} pending consumers, ${job.inProgress.size} still in flight`);
+
+        if (job.inProgress.size === 0) {
+            this.finishJob(job);
+        }
+        return dropped;
+    }
+
+    /**
+     * Wait until a job is no longer scheduled; a cancelled job stays scheduled until the
+     * consumers it had in flight return
+     * @param {string} id - Job ID
+     * @returns {Promise<void>} Resolves at once if the job is not scheduled
+     */
+    whenJobDone(id) {
+        const job = this.jobs.get(id);
+        if (!job) return Promise.resolve();
+
+        return new Promise(resolve => job.onDone.push(resolve));
+    }
+
+    /**
+     * Get the queue state of one job
+     * @param {string} id - Job ID
+     * @returns {Object|null} Job status, or null if the job is not scheduled
+     */
+    getJobStatus(id) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+
+        return {
+            backend: job.backend,
+            priority: job.priority,
+            pending: job.pending.length,
+            inProgress: [...job.inProgress.values()].map(consumer => consumer.consumerNo),
+            completed: job.completed,
+            cancelled: job.cancelled
+        };
+    }
+
+    /**
+     * Get the state of all backends and jobs
+     * @returns {Object} Scheduler status
+     */
+    getStatus() {
+        const backends = {};
+        for (const [backend, driver] of Object.entries(this.drivers)) {
+            backends[backend] = {
+                running: this.running.get(backend) || 0,
+                capacity: driver.maxWorkers
+            };
+        }
+
+        return {
+            policy: this.policy,
+            backends,
+            jobs: [...this.jobs.keys()].map(id => ({ id, ...this.getJobStatus(id) }))
+        };
+    }
+
+    /**
+     * Fill the free slots of a backend with consumers from the waiting jobs
+     * @param {string} backend - Backend name
+     */
+    dispatch(backend) {
+        const capacity = this.drivers[backend].maxWorkers;
+
+        while ((this.running.get(backend) || 0) < capacity) {
+            const job = this.pickJob(backend);
+            if (!job) break;
+
+            this.startConsumer(job, job.pending.shift());
+        }
+    }
+
+    /**
+     * Choose the job that gets the next free slot of a backend
+     * @param {string} backend - Backend name
+     * @returns {Object|null} Job, or null if no job is waiting
+     */
+    pickJob(backend) {
+        let candidates = [...this.jobs.values()].filter(job => job.backend === backend && job.pending.length > 0);
+        if (candidates.length === 0) return null;
+
+        if (this.policy === 'priority') {
+            const topPriority = Math.max(...candidates.map(job => job.priority));
+            candidates = candidates.filter(job => job.priority === topPriority);
+        }
+
+        // Take turns: the first candidate after the job that was served last
+        const order = [...this.jobs.keys()];
+        const lastPosition = order.indexOf(this.lastServed.get(backend));
+        const next = candidates.find(job => order.indexOf(job.id) > lastPosition) || candidates[0];
+
+        this.lastServed.set(backend, next.id);
+        return next;
+    }
+
+    startConsumer(job, item) {
+        this.running.set(job.backend, (this.running.get(job.backend) || 0) + 1);
+        job.inProgress.set(item.index, item.consumer);
+        this.safeEmit('consumer-started', { jobId: job.id, ...item });
+
+        Promise.resolve()
+            .then(() => this.runConsumer(job.id, item.consumer))
+            .catch(error => ({
+                consumerNo: item.consumer.consumerNo,
+                company: item.consumer.company,
+                error: error.message,
+                errorCode: error.code
+            }))
+            .then(result => {
+                this.running.set(job.backend, this.running.get(job.backend) - 1);
+                job.inProgress.delete(item.index);
+                job.completed++;
+
+                this.safeEmit('consumer-finished', {
+                    jobId: job.id,
+                    ...item,
+                    result,
+                    cancelled: job.cancelled
+                });
+
+                if (job.pending.length === 0 && job.inProgress.size === 0) {
+                    this.finishJob(job);
+                }
+                this.dispatch(job.backend);
+            });
+    }
+
+    finishJob(job) {
+        this.jobs.delete(job.id);
+        console.log(`[scheduler] Job ${job.id} finished (${job.completed} consumers processed${job.cancelled ? ', cancelled' : ''})`);
+
+        if (!job.cancelled) {
+            this.safeEmit('job-finished', job.id);
+        }
+        job.onDone.forEach(resolve => resolve());
+    }
+
+    // A failing listener must not stall the dispatch loop
+    safeEmit(event, payload) {
+        try {
+            this.emit(event, payload);
+        } catch (error) {
+            console.error(`[scheduler] Error in ${event} listener:`, error);
+        }
+    }
+}
+
+JobScheduler.POLICIES = POLICIES;
+
+module.exports = JobScheduler;
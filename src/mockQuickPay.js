@@ -0,0 +1,419 @@
+const express = require('express');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const fs = require('fs-extra');
+
+/**
+ * Stand-in for the GUVNL QuickPay site, for developing and testing without network.
+ *
+ * It serves the three pages the extraction drivers use, at the same paths as the real site:
+ * - GET  /paytm/QuickPay.php                     - the lookup page (element IDs as on the real page),
+ *                                                  sets the PHPSESSID cookie
+ * - GET  /paytm/securimage/securimage_show.php   - a new captcha PNG for the session
+ * - POST /paytmservices/GetConsStatus.php        - consumer lookup, { consno, company, cap_cod }
+ *
+ * Every captcha can be checked once, like securimage does. A wrong answer gets v_status '2'
+ * ("Invalid Captcha") and the page shows #invalidcaptchmodal; an unknown consumer gets v_status 'N'
+ * and the page shows #invalidconsumerno.
+ *
+ * Point a driver at it with MGVCL_BASE_URL=http://localhost:<port>.
+ */
+
+// Securimage style character set, without the easily confused I, O, 0 and 1
+const CAPTCHA_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CAPTCHA_LENGTH = 6;
+
+// Consumers known to the mock when none are configured; the numbers are the ones in sample_mgvcl_consumers.xlsx
+const DEFAULT_CONSUMERS = [
+    { consumerNo: '14102000674', name: 'RAMESHBHAI K PATEL', outstandingAmount: 1245, lastBillAmount: 1245 },
+    { consumerNo: '14102000704', name: 'SHANTABEN M SHAH', outstandingAmount: 0, lastBillAmount: 860 },
+    { consumerNo: '14103000228', name: 'MAHESH J DESAI', outstandingAmount: 3120.5, lastBillAmount: 1580 },
+    { consumerNo: '14106144530', name: 'KIRAN P PARMAR', outstandingAmount: 512, lastBillAmount: 512 },
+    { consumerNo: '14106144549', name: 'NILESH R JOSHI', outstandingAmount: -150, lastBillAmount: 430 },
+    { consumerNo: '14106144557', name: 'HETAL V TRIVEDI', outstandingAmount: 2290, lastBillAmount: 1145 },
+    { consumerNo: '14106144638', name: 'ARVIND S MAKWANA', outstandingAmount: 675, lastBillAmount: 675 }
+];
+
+// 5x7 bitmap font for the captcha characters
+const FONT = {
+    A: ['01110', '10001', '10001', '11111', '10001', '10001', '10001'],
+    B: ['11110', '10001', '10001', '11110', '10001', '10001', '11110'],
+    C: ['01110', '10001', '10000', '10000', '10000', '10001', '01110'],
+    D: ['11110', '10001', '10001', '10001', '10001', '10001', '11110'],
+    E: ['11111', '10000', '10000', '11110', '10000', '10000', '11111'],
+    F: ['11111', '10000', '10000', '11110', '10000', '10000', '10000'],
+    G: ['01110', '10001', '10000', '10111', '10001', '10001', '01111'],
+    H: ['10001', '10001', '10001', '11111', '10001', '10001', '10001'],
+    J: ['00111', '00010', '00010', '00010', '00010', '10010', '01100'],
+    K: ['10001', '10010', '10100', '11000', '10100', '10010', '10001'],
+    L: ['10000', '10000', '10000', '10000', '10000', '10000', '11111'],
+    M: ['10001', '11011', '10101', '10101', '10001', '10001', '10001'],
+    N: ['10001', '10001', '11001', '10101', '10011', '10001', '10001'],
+    P: ['11110', '10001', '10001', '11110', '10000', '10000', '10000'],
+    Q: ['01110', '10001', '10001', '10001', '10101', '10010', '01101'],
+    R: ['11110', '10001', '10001', '11110', '10100', '10010', '10001'],
+    S: ['01111', '10000', '10000', '01110', '00001', '00001', '11110'],
+    T: ['11111', '00100', '00100', '00100', '00100', '00100', '00100'],
+    U: ['10001', '10001', '10001', '10001', '10001', '10001', '01110'],
+    V: ['10001', '10001', '10001', '10001', '10001', '01010', '00100'],
+    W: ['10001', '10001', '10001', '10101', '10101', '10101', '01010'],
+    X: ['10001', '10001', '01010', '00100', '01010', '10001', '10001'],
+    Y: ['10001', '10001', '01010', '00100', '00100', '00100', '00100'],
+    Z: ['11111', '00001', '00010', '00100', '01000', '10000', '11111'],
+    2: ['01110', '10001', '00001', '00010', '00100', '01000', '11111'],
+    3: ['11111', '00010', '00100', '00010', '00001', '10001', '01110'],
+    4: ['00010', '00110', '01010', '10010', '11111', '00010', '00010'],
+    5: ['11111', '10000', '11110', '00001', '00001', '10001', '01110'],
+    6: ['00110', '01000', '10000', '11110', '10001', '10001', '01110'],
+    7: ['11111', '00001', '00010', '00100', '01000', '01000', '01000'],
+    8: ['01110', '10001', '10001', '01110', '10001', '10001', '01110'],
+    9: ['01110', '10001', '10001', '01111', '00001', '00010', '01100']
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (value, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Draw a captcha as a grayscale PNG: dark glyphs, each shifted a little, on a speckled background
+ * @param {string} text - Captcha text
+ * @returns {Buffer} PNG image
+ */
+function renderCaptcha(text) {
+    const scale = 4;
+    const glyphWidth = 5 * scale;
+    const gap = 8;
+    const margin = 10;
+    const width = margin * 2 + text.length * (glyphWidth + gap) - gap;
+    const height = 7 * scale + margin * 2;
+    const pixels = Buffer.alloc(width * height, 235);
+
+    for (let i = 0; i < pixels.length; i++) {
+        if (crypto.randomInt(100) < 6) {
+            pixels[i] = 150 + crypto.randomInt(60);
+        }
+    }
+
+    [...text].forEach((char, position) => {
+        const left = margin + position * (glyphWidth + gap);
+        const top = margin + crypto.randomInt(-4, 5);
+        FONT[char].forEach((row, y) => {
+            [...row].forEach((bit, x) => {
+                if (bit !== '1') return;
+                for (let dy = 0; dy < scale; dy++) {
+                    for (let dx = 0; dx < scale; dx++) {
+                        pixels[(top + y * scale + dy) * width + left + x * scale + dx] = 40;
+                    }
+                }
+            });
+        });
+    });
+
+    // Each scanline starts with filter type 0
+    const scanlines = Buffer.alloc((width + 1) * height);
+    for (let y = 0; y < height; y++) {
+        pixels.copy(scanlines, y * (width + 1) + 1, y * width, (y + 1) * width);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 0; // Grayscale
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(scanlines)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+class MockQuickPay {
+    /**
+     * @param {Object} [options]
+     * @param {Array} [options.consumers] - Known consumers: { consumerNo, company, name, outstandingAmount,
+     *        lastBillAmount, lastBillDate, lastPaidDetail, location, circle, division, subdivision,
+     *        dueDate, billingPeriod, delayMs, reportedConsumerNo }; only consumerNo is required, company
+     *        defaults to MGVCL. reportedConsumerNo is the number the response shows, when it differs
+     * @param {string} [options.captchaText] - Use this text for every captcha instead of a random one
+     * @param {number} [options.delayMs] - Delay added to every response
+     * @param {number} [options.lookupDelayMs] - Extra delay for consumer lookups
+     */
+    constructor({ consumers = DEFAULT_CONSUMERS, captchaText = null, delayMs = 0, lookupDelayMs = 0 } = {}) {
+        this.consumers = new Map();
+        consumers.forEach(consumer => this.addConsumer(consumer));
+        this.captchaText = captchaText;
+        this.delayMs = delayMs;
+        this.lookupDelayMs = lookupDelayMs;
+        this.sessions = new Map(); // PHPSESSID -> { captcha }
+        this.stats = { pages: 0, captchas: 0, lookups: 0, invalidCaptchas: 0, invalidConsumers: 0 };
+        this.server = null;
+        this.app = this.createApp();
+    }
+
+    /**
+     * Add or replace a consumer
+     * @param {Object} consumer - See the consumers option of the constructor
+     */
+    addConsumer(consumer) {
+        const consumerNo = String(consumer.consumerNo).padStart(11, '0');
+        this.consumers.set(consumerNo, { company: 'MGVCL', ...consumer, consumerNo });
+    }
+
+    createApp() {
+        const app = express();
+        app.use(express.text({ type: '*/*' }));
+        app.use((req, res, next) => {
+            setTimeout(next, this.delayMs);
+        });
+
+        app.get('/paytm/QuickPay.php', (req, res) => {
+            this.stats.pages++;
+            this.getSession(req, res);
+            res.type('html').send(this.renderPage(String(req.query.company || '').toUpperCase()));
+        });
+
+        app.get('/paytm/securimage/securimage_show.php', (req, res) => {
+            this.stats.captchas++;
+            const session = this.getSession(req, res);
+            session.captcha = this.captchaText || Array.from({ length: CAPTCHA_LENGTH },
+                () => CAPTCHA_CHARS[crypto.randomInt(CAPTCHA_CHARS.length)]).join('');
+            res.set('Cache-Control', 'no-store');
+            res.type('png').send(renderCaptcha(session.captcha.toUpperCase()));
+        });
+
+        app.post('/paytmservices/GetConsStatus.php', async (req, res) => {
+            this.stats.lookups++;
+            const response = await this.lookup(this.getSession(req, res), req.body);
+            // The real site answers with JSON in a text/html response
+            res.type('html').send(JSON.stringify(response));
+        });
+
+        return app;
+    }
+
+    // Session of the request's PHPSESSID cookie; a request without one gets a new cookie
+    getSession(req, res) {
+        const match = /PHPSESSID=([^;]+)/.exec(req.headers.cookie || '');
+        let sessionId = match && match[1];
+
+        if (!sessionId || !this.sessions.has(sessionId)) {
+            sessionId = sessionId || crypto.randomBytes(13).toString('hex');
+            this.sessions.set(sessionId, { captcha: null });
+            res.cookie('PHPSESSID', sessionId, { path: '/' });
+        }
+        return this.sessions.get(sessionId);
+    }
+
+    /**
+     * Answer a GetConsStatus.php request
+     * @param {Object} session - Session of the request
+     * @param {string} body - JSON request body
+     * @returns {Promise<Object>} Response as the real site sends it
+     */
+    async lookup(session, body) {
+        let request;
+        try {
+            request = JSON.parse(body || '{}');
+        } catch (error) {
+            request = {};
+        }
+
+        // A captcha is good for one check, right or wrong
+        const expected = session.captcha;
+        session.captcha = null;
+        if (!expected || String(request.cap_cod || '').trim().toUpperCase() !== expected.toUpperCase()) {
+            this.stats.invalidCaptchas++;
+            return { v_status: '2', error_message: 'Invalid Captcha' };
+        }
+
+        const consumer = this.consumers.get(String(request.consno || '').padStart(11, '0'));
+        if (!consumer || consumer.company.toLowerCase() !== String(request.company || '').toLowerCase()) {
+            this.stats.invalidConsumers++;
+            return { v_status: 'N', error_message: 'Invalid Consumer No. Please Enter Your Valid Consumer No.' };
+        }
+
+        const delay = this.lookupDelayMs + (consumer.delayMs || 0);
+        if (delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        const lastBillAmount = consumer.lastBillAmount !== undefined ? consumer.lastBillAmount : consumer.outstandingAmount || 0;
+        const billDate = consumer.lastBillDate || '05-10-2026';
+        return {
+            v_status: 'Y',
+            v_cons_name: consumer.name || `CONSUMER ${consumer.consumerNo}`,
+            v_cons_no: consumer.reportedConsumerNo || consumer.consumerNo,
+            last_paid_detail: consumer.lastPaidDetail || `Rs. ${lastBillAmount} paid on 12-09-2026`,
+            last_bill_amount: lastBillAmount,
+            last_bill_date: billDate,
+            OutAmount: consumer.outstandingAmount || 0,
+            v_bill_amt_assmt: lastBillAmount,
+            v_bill_dt_assmt: billDate,
+            v_due_dt_assmt: consumer.dueDate || '25-10-2026',
+            v_billing_period_assmt: consumer.billingPeriod || 'AUG-2026 - SEP-2026',
+            v_circle: consumer.circle || 'VADODARA CITY',
+            v_division: consumer.division || 'ALKAPURI',
+            v_subdiv: consumer.subdivision || 'RACE COURSE',
+            cons_location: consumer.location || 'VADODARA'
+        };
+    }
+
+    // The QuickPay page, reduced to the elements and behaviour the browser driver relies on
+    renderPage(company) {
+        const options = ['DGVCL', 'MGVCL', 'PGVCL', 'UGVCL']
+            .map(name => `<option value="${name}"${name === company ? ' selected' : ''}>${name}</option>`)
+            .join('');
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<title>Quick Pay (mock)</title>
+<style>
+.modal { display: none; position: fixed; top: 20%; left: 30%; width: 40%; background: #fff; border: 1px solid #888; padding: 1em; }
+.modal.in { display: block; }
+</style>
+</head>
+<body>
+<div id="selectbox" style="text-align:center">
+    <select class="form-control" id="companyname" onchange="selectcompany()">
+        <option value="noname"${company ? '' : ' selected'}>--Select the Company--</option>${options}
+    </select>
+</div>
+<div id="inputconsnumber" style="text-align: center; display: ${company ? 'block' : 'none'};">
+    <input type="number" id="consnumber" class="form-control" maxlength="11" placeholder="Enter 11 or 5 digit no.">
+    <img id="captcha" src="./securimage/securimage_show.php" alt="CAPTCHA Image" width="160">
+    <a href="#" id="diff_image" onclick="reloadcaptcha(); return false">reload</a>
+    <input type="text" class="form-control" name="captcha_code" maxlength="6" id="cap_code" autocomplete="off">
+    <input value="Check Consumer No. (ગ્રાહક નંબર તપાસો.)" class="btn btn-success" type="submit" onclick="checkcosnumerno()">
+</div>
+<div class="jumbotron" id="detailconsnumber" style="display: none;">
+    <input type="text" id="ConsumerName" readonly>
+    <input id="company" readonly>
+    <input id="CUST_ID" readonly>
+    <input id="lastpaid" readonly>
+    <input id="billamt" readonly>
+    <input id="billdate" readonly>
+    <input id="MERC_UNQ_REF" readonly>
+    <input id="payamount" type="text">
+</div>
+<div id="invalidconsumerno" class="modal" role="dialog">
+    <p id="errmsg">Invalid Consumer No. Please Enter Your Valid Consumer No.</p>
+    <button type="button" onclick="closemodal('invalidconsumerno')">Close</button>
+</div>
+<div id="invalidcaptchmodal" class="modal" role="dialog">
+    <p>Invalid Captcha</p>
+    <button type="button" onclick="closemodal('invalidcaptchmodal')">Close</button>
+</div>
+<script>
+function $(id) { return document.getElementById(id); }
+function selectcompany() {
+    $('inputconsnumber').style.display = $('companyname').value === 'noname' ? 'none' : 'block';
+}
+function reloadcaptcha() {
+    $('captcha').src = './securimage/securimage_show.php?' + Math.random();
+    $('cap_code').value = '';
+}
+function showmodal(id) { $(id).classList.add('in'); }
+function closemodal(id) { $(id).classList.remove('in'); reloadcaptcha(); }
+function checkcosnumerno() {
+    var company = $('companyname').value.toLowerCase();
+    fetch('/paytmservices/GetConsStatus.php', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+        body: JSON.stringify({ consno: $('consnumber').value, company: company, cap_cod: $('cap_code').value })
+    }).then(function (response) { return response.text(); }).then(function (text) {
+        var obj = JSON.parse(text);
+        if (obj.v_status == 'Y') {
+            $('ConsumerName').value = obj.v_cons_name;
+            $('CUST_ID').value = obj.v_cons_no;
+            $('company').value = company.toUpperCase();
+            $('lastpaid').value = obj.last_paid_detail;
+            $('billamt').value = obj.last_bill_amount;
+            $('billdate').value = obj.last_bill_date;
+            $('payamount').value = obj.OutAmount < 0 ? 0 : obj.OutAmount;
+            $('MERC_UNQ_REF').value = obj.cons_location;
+            $('inputconsnumber').style.display = 'none';
+            $('detailconsnumber').style.display = 'block';
+        } else if (obj.v_status == '2') {
+            showmodal('invalidcaptchmodal');
+        } else {
+            $('errmsg').textContent = obj.error_message;
+            showmodal('invalidconsumerno');
+        }
+    });
+}
+</script>
+</body>
+</html>`;
+    }
+
+    /**
+     * Start listening
+     * @param {number} [port] - Port, 0 for any free port
+     * @returns {Promise<string>} Base URL to give the drivers
+     */
+    start(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(port, () => {
+                resolve(`http://localhost:${this.server.address().port}`);
+            });
+            this.server.on('error', reject);
+        });
+    }
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise((resolve) => {
+            if (!this.server) return resolve();
+            this.server.closeAllConnections();
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+}
+
+MockQuickPay.DEFAULT_CONSUMERS = DEFAULT_CONSUMERS;
+MockQuickPay.renderCaptcha = renderCaptcha;
+
+module.exports = MockQuickPay;
+
+// npm run mock
+if (require.main === module) {
+    const mock = new MockQuickPay({
+        consumers: process.env.MOCK_CONSUMERS ? fs.readJsonSync(process.env.MOCK_CONSUMERS) : DEFAULT_CONSUMERS,
+        captchaText: process.env.MOCK_CAPTCHA_TEXT || null,
+        delayMs: Number.parseInt(process.env.MOCK_DELAY_MS, 10) || 0,
+        lookupDelayMs: Number.parseInt(process.env.MOCK_LOOKUP_DELAY_MS, 10) || 0
+    });
+
+    mock.start(Number.parseInt(process.env.MOCK_PORT, 10) || 3100).then((baseUrl) => {
+        console.log(`Mock QuickPay running at ${baseUrl}/paytm/QuickPay.php with ${mock.consumers.size} consumers`);
+        console.log(`Start the extractor with MGVCL_BASE_URL=${baseUrl}`);
+    });
+}
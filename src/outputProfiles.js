@@ -0,0 +1,361 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+/**
+ * Output profiles decide the layout of the results workbook: which fields appear, in which
+ * order, with which headers, widths and number formats.
+ *
+ * A profile is a JSON file in the profiles directory (output-profiles/<name>.json):
+ *
+ *   {
+ *     "name": "division-gu",
+ *     "description": "Shown in the upload form",
+ *     "columns": [
+ *       { "field": "consumerNo", "header": "ગ્રાહક નંબર", "width": 15 },
+ *       { "field": "amountToPay", "format": "#,##0.00" },
+ *       { "template": "{division} / {subdivision}", "header": "Office" },
+ *       { "metadata": "Tenant" },
+ *       { "field": "error", "hidden": true }
+ *     ],
+ *     "sortBy": ["Office", "Tenant"]
+ *   }
+ *
+ * A column names a field of FIELDS, a template whose {placeholders} are fields, or a metadata
+ * label: a column of the uploaded sheet other than the consumer number and company, by its
+ * header. { "metadata": "*" } stands for all metadata labels in sheet order.
+ * header and width default to the field's own; format is an Excel number format and turns
+ * numeric text into numbers; hidden keeps the column in the sheet but hides it.
+ * sortBy lists column headers to sort the rows by; headers not in the sheet are skipped.
+ * The built-in 'default' profile is the layout the workbook had before profiles existed, with
+ * the metadata columns after the company.
+ */
+
+/**
+ * Parse a dd-mm-yyyy date as the site writes it
+ * @param {string} value - Date text
+ * @returns {Date|null} Date at midnight UTC, or null if it is not a date
+ */
+function parseSiteDate(value) {
+    const match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/.exec(String(value || '').trim());
+    if (!match) return null;
+    return new Date(Date.UTC(Number(match[3]), Number(match[2]) - 1, Number(match[1])));
+}
+
+// Fields a column can show. identifying fields are also filled on error rows; numeric fields
+// are written as numbers; get computes a field that is not a property of the result row.
+const FIELDS = {
+    consumerName: { header: 'Consumer Name', width: 25 },
+    consumerNo: { header: 'Consumer No.', width: 15, identifying: true },
+    company: { header: 'Company', width: 10, identifying: true },
+    lastPaidDetail: { header: 'Last Paid Detail', width: 20 },
+    outstandingAmount: { header: 'Outstanding Amount (Tentative)', width: 20, numeric: true },
+    billDate: { header: 'Bill Date', width: 15 },
+    amountToPay: { header: 'Amount to Pay', width: 15, numeric: true },
+    dueDate: { header: 'Due Date', width: 12 },
+    billingPeriod: { header: 'Billing Period', width: 22 },
+    circle: { header: 'Circle', width: 18 },
+    division: { header: 'Division', width: 18 },
+    subdivision: { header: 'Subdivision', width: 18 },
+    location: { header: 'Location', width: 18 },
+    status: {
+        header: 'Status',
+        width: 24,
+        identifying: true,
+        // The status names the error type, e.g. 'Error: INVALID_CONSUMER'
+        get: (result) => {
+            if (!result.error) return 'Success';
+            return result.errorCode ? `Error: ${result.errorCode}` : 'Error';
+        }
+    },
+    errorCode: { header: 'Error Code', width: 18, identifying: true },
+    error: { header: 'Error Message', width: 30, identifying: true },
+    rowNumber: { header: 'Sr. No.', width: 8, identifying: true, numeric: true, get: (result, rowNumber) => rowNumber },
+    daysUntilDue: {
+        header: 'Days Until Due',
+        width: 14,
+        numeric: true,
+        get: (result) => {
+            const dueDate = parseSiteDate(result.dueDate);
+            if (!dueDate) return '';
+            const today = new Date();
+            const todayUtc = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+            return Math.round((dueDate.getTime() - todayUtc) / (24 * 60 * 60 * 1000));
+        }
+    }
+};
+
+// Stands for every metadata label of the results
+const ALL_METADATA = '*';
+
+const DEFAULT_PROFILE = {
+    name: 'default',
+    description: 'All fields and your own columns, English headers',
+    columns: [
+        ...['consumerName', 'consumerNo', 'company'].map(field => ({ field })),
+        { metadata: ALL_METADATA },
+        ...[
+            'lastPaidDetail', 'outstandingAmount', 'billDate', 'amountToPay', 'dueDate', 'billingPeriod',
+            'circle', 'division', 'subdivision', 'location', 'status', 'error'
+        ].map(field => ({ field }))
+    ]
+};
+
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+const TEMPLATE_PLACEHOLDER = /\{(\w+)\}/g;
+
+/**
+ * Check a profile and fill in the column defaults
+ * @param {Object} profile - Profile as stored or submitted
+ * @returns {Object} Profile with header and width set on every column
+ * @throws {Error} If the profile is malformed
+ */
+function normalizeProfile(profile) {
+    if (!profile || typeof profile !== 'object') {
+        throw new Error('Profile must be an object');
+    }
+    if (!PROFILE_NAME_PATTERN.test(profile.name || '')) {
+        throw new Error('Profile name may only contain letters, digits, "-" and "_"');
+    }
+    if (!Array.isArray(profile.columns) || profile.columns.length === 0) {
+        throw new Error('Profile needs at least one column');
+    }
+
+    const columns = profile.columns.map((column, index) => {
+        const label = `Column ${index + 1}`;
+        if (!column || typeof column !== 'object') {
+            throw new Error(`${label} must be an object`);
+        }
+        if ([column.field, column.template, column.metadata].filter(Boolean).length !== 1) {
+            throw new Error(`${label} needs one of a field, a template or a metadata label`);
+        }
+        if (column.field && !FIELDS[column.field]) {
+            throw new Error(`${label}: unknown field "${column.field}"`);
+        }
+        if (column.template) {
+            const unknown = [...String(column.template).matchAll(TEMPLATE_PLACEHOLDER)]
+                .map(match => match[1])
+                .filter(field => !FIELDS[field]);
+            if (unknown.length > 0) {
+                throw new Error(`${label}: unknown field "${unknown[0]}" in template`);
+            }
+        }
+        if (column.width !== undefined && !(Number(column.width) > 0)) {
+            throw new Error(`${label}: width must be a positive number`);
+        }
+
+        const field = column.field ? FIELDS[column.field] : null;
+        return {
+            ...column,
+            header: String(column.header || (field ? field.header : (column.template || column.metadata))),
+            width: Number(column.width) || (field ? field.width : 20)
+        };
+    });
+
+    if (profile.sortBy !== undefined && (!Array.isArray(profile.sortBy) || profile.sortBy.some(header => typeof header !== 'string'))) {
+        throw new Error('sortBy must be a list of column headers');
+    }
+
+    return {
+        name: profile.name,
+        description: profile.description || '',
+        columns,
+        sortBy: profile.sortBy || []
+    };
+}
+
+/**
+ * Metadata labels of a set of results, in the order they first appear
+ * @param {Array} results - Result rows
+ * @returns {Array} Labels
+ */
+function getMetadataLabels(results) {
+    const labels = new Set();
+    results.forEach(result => Object.keys(result.metadata || {}).forEach(label => labels.add(label)));
+    return [...labels];
+}
+
+/**
+ * Replace the { metadata: '*' } column of a profile with one column per label
+ * @param {Array} columns - Normalized profile columns
+ * @param {Array} labels - Metadata labels, e.g. from getMetadataLabels; none when the sheet's own
+ *                        columns are already in the output
+ * @returns {Array} Columns to write
+ */
+function expandColumns(columns, labels) {
+    return columns.flatMap(column => (column.metadata === ALL_METADATA
+        ? labels.map(label => ({ ...column, metadata: label, header: label }))
+        : [column]));
+}
+
+/**
+ * Sort results by the values they show in some columns
+ * @param {Array} results - Result rows
+ * @param {Array} columns - Columns to write
+ * @param {Array} sortBy - Column headers, most significant first
+ * @returns {Array} Sorted copy; numbers compare as numbers, empty values go last
+ */
+function sortResults(results, columns, sortBy) {
+    const keyColumns = sortBy
+        .map(header => columns.find(column => column.header === header))
+        .filter(Boolean);
+    if (keyColumns.length === 0) return results;
+
+    const keyed = results.map(result => ({ result, keys: keyColumns.map(column => getColumnValue(result, column, 0)) }));
+    keyed.sort((a, b) => {
+        for (let i = 0; i < keyColumns.length; i++) {
+            const left = a.keys[i];
+            const right = b.keys[i];
+            if (left === right) continue;
+            if (left === '') return 1;
+            if (right === '') return -1;
+            const order = String(left).localeCompare(String(right), undefined, { numeric: true });
+            if (order !== 0) return order;
+        }
+        return 0;
+    });
+    return keyed.map(entry => entry.result);
+}
+
+/**
+ * Value of a field for one result row
+ * @param {Object} result - Result row
+ * @param {string} fieldName - Key of FIELDS
+ * @param {number} rowNumber - Position of the row in the sheet, starting at 1
+ * @returns {*} Cell value; '' for fields an error row does not have
+ */
+function getFieldValue(result, fieldName, rowNumber) {
+    const field = FIELDS[fieldName];
+    if (result.error && !field.identifying) {
+        return '';
+    }
+    const value = field.get ? field.get(result, rowNumber) : result[fieldName];
+    return value === undefined || value === null ? '' : value;
+}
+
+/**
+ * Value of one cell
+ * @param {Object} result - Result row
+ * @param {Object} column - Normalized profile column
+ * @param {number} rowNumber - Position of the row in the sheet, starting at 1
+ * @returns {*} Cell value; a number for numeric fields and formatted columns that hold a number
+ */
+function getColumnValue(result, column, rowNumber) {
+    if (column.metadata) {
+        // The row's own columns, also kept on error rows
+        const value = (result.metadata || {})[column.metadata];
+        return value === undefined || value === null ? '' : value;
+    }
+    if (column.template) {
+        let filled = false;
+        const text = column.template.replace(TEMPLATE_PLACEHOLDER, (placeholder, field) => {
+            const value = String(getFieldValue(result, field, rowNumber));
+            filled = filled || value !== '';
+            return value;
+        });
+        // No separators without values, e.g. on error rows
+        return filled ? text.trim() : '';
+    }
+
+    const value = getFieldValue(result, column.field, rowNumber);
+    if ((FIELDS[column.field].numeric || column.format) && value !== '' && typeof value !== 'number') {
+        const number = Number(String(value).replace(/[,\s₹]/g, ''));
+        return Number.isFinite(number) ? number : value;
+    }
+    return value;
+}
+
+/**
+ * Saved output profiles, one JSON file per profile
+ */
+class OutputProfileStore {
+    /**
+     * @param {string} [baseDir] - Directory holding the profile files
+     */
+    constructor(baseDir = './output-profiles') {
+        this.baseDir = baseDir;
+        fs.ensureDirSync(this.baseDir);
+    }
+
+    getPath(name) {
+        return path.join(this.baseDir, `${name}.json`);
+    }
+
+    /**
+     * List the profiles, the built-in default first
+     * @returns {Promise<Array>} Normalized profiles; files that fail to parse are skipped
+     */
+    async list() {
+        const profiles = [normalizeProfile(DEFAULT_PROFILE)];
+        const files = (await fs.readdir(this.baseDir)).filter(file => file.endsWith('.json')).sort();
+
+        for (const file of files) {
+            try {
+                const profile = normalizeProfile(await fs.readJson(path.join(this.baseDir, file)));
+                if (profile.name !== DEFAULT_PROFILE.name) {
+                    profiles.push(profile);
+                }
+            } catch (error) {
+                console.error(`[profiles] Skipping ${file}:`, error.message);
+            }
+        }
+        return profiles;
+    }
+
+    /**
+     * Get a profile by name
+     * @param {string} [name] - Profile name; the default profile when empty
+     * @returns {Promise<Object|null>} Normalized profile, or null if there is none by that name
+     */
+    async get(name) {
+        if (!name || name === DEFAULT_PROFILE.name) {
+            return normalizeProfile(DEFAULT_PROFILE);
+        }
+        if (!PROFILE_NAME_PATTERN.test(name) || !(await fs.pathExists(this.getPath(name)))) {
+            return null;
+        }
+        return normalizeProfile(await fs.readJson(this.getPath(name)));
+    }
+
+    /**
+     * Create or replace a profile
+     * @param {Object} profile - Profile; see the top of this file
+     * @returns {Promise<Object>} Normalized profile as saved
+     * @throws {Error} If the profile is malformed or would replace the default profile
+     */
+    async save(profile) {
+        const normalized = normalizeProfile(profile);
+        if (normalized.name === DEFAULT_PROFILE.name) {
+            throw new Error('The default profile cannot be changed');
+        }
+        await fs.writeJson(this.getPath(normalized.name), normalized, { spaces: 2 });
+        return normalized;
+    }
+
+    /**
+     * Delete a profile
+     * @param {string} name - Profile name
+     * @returns {Promise<boolean>} False if there was no such profile
+     */
+    async remove(name) {
+        if (!PROFILE_NAME_PATTERN.test(name || '') || name === DEFAULT_PROFILE.name) {
+            return false;
+        }
+        if (!(await fs.pathExists(this.getPath(name)))) {
+            return false;
+        }
+        await fs.remove(this.getPath(name));
+        return true;
+    }
+}
+
+module.exports = {
+    FIELDS,
+    ALL_METADATA,
+    DEFAULT_PROFILE,
+    OutputProfileStore,
+    normalizeProfile,
+    getColumnValue,
+    getMetadataLabels,
+    expandColumns,
+    sortResults
+};
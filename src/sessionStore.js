@@ -0,0 +1,142 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+// Session fields that survive a restart; timers, captcha outcomes and other runtime state are rebuilt
+const PERSISTED_FIELDS = [
+    'consumers',
+    'defaultCompany',
+    'priority',
+    'backend',
+    'solver',
+    'outputProfile',
+    'outputMode',
+    'sourceFile',
+    'sourceLayout',
+    'source',
+    'rejected',
+    'validation',
+    'status',
+    'currentIndex',
+    'results',
+    'finishedIndexes',
+    'resultsPath',
+    'cancelledAt',
+    'createdAt',
+    'updatedAt'
+];
+
+/**
+ * Keeps upload sessions on disk as one JSON file per session (results/sessions/<sessionId>.json)
+ * so a server restart does not lose the consumers that were already looked up.
+ *
+ * Saves are written to a temporary file and renamed into place, so a crash mid-write leaves
+ * the previous version intact. Saves of the same session are serialized and coalesced:
+ * while one write is running, further saves only mark the session dirty and the latest
+ * state is written once the running write is done.
+ */
+class SessionStore {
+    /**
+     * @param {string} [baseDir] - Directory holding the session files
+     */
+    constructor(baseDir = './results/sessions') {
+        this.baseDir = baseDir;
+        this.writes = new Map(); // Session ID -> { session, promise, dirty }
+        fs.ensureDirSync(this.baseDir);
+    }
+
+    /**
+     * Queue a session to be written to disk
+     * @param {string} sessionId - Session ID
+     * @param {Object} session - Live session object
+     * @returns {Promise<void>} Resolves once the latest state of the session is on disk
+     */
+    save(sessionId, session) {
+        const pending = this.writes.get(sessionId);
+        if (pending) {
+            pending.session = session;
+            pending.dirty = true;
+            return pending.promise;
+        }
+
+        const entry = { session, dirty: true, promise: null };
+        entry.promise = (async () => {
+            try {
+                while (entry.dirty) {
+                    entry.dirty = false;
+                    await this.write(sessionId, entry.session);
+                }
+            } catch (error) {
+                console.error(`[sessionStore] Failed to save session ${sessionId}:`, error.message);
+            } finally {
+                this.writes.delete(sessionId);
+            }
+        })();
+        this.writes.set(sessionId, entry);
+        return entry.promise;
+    }
+
+    async write(sessionId, session) {
+        const filePath = this.getPath(sessionId);
+        const tempPath = `${filePath}.tmp`;
+
+        await fs.writeJson(tempPath, this.serialize(session));
+        await fs.move(tempPath, filePath, { overwrite: true });
+    }
+
+    /**
+     * Wait for all queued saves, e.g. before the process exits
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        await Promise.all([...this.writes.values()].map(entry => entry.promise));
+    }
+
+    /**
+     * Load every stored session
+     * @returns {Array} Array of { sessionId, session } with Sets restored; unreadable files are skipped
+     */
+    loadAll() {
+        const sessions = [];
+
+        for (const file of fs.readdirSync(this.baseDir)) {
+            if (!file.endsWith('.json')) continue;
+
+            const sessionId = path.basename(file, '.json');
+            try {
+                const data = fs.readJsonSync(path.join(this.baseDir, file));
+                sessions.push({ sessionId, session: this.deserialize(data) });
+            } catch (error) {
+                console.error(`[sessionStore] Skipping unreadable session file ${file}:`, error.message);
+            }
+        }
+
+        console.log(`[sessionStore] Loaded ${sessions.length} stored sessions`);
+        return sessions;
+    }
+
+    getPath(sessionId) {
+        return path.join(this.baseDir, `${sessionId}.json`);
+    }
+
+    serialize(session) {
+        const data = {};
+        for (const field of PERSISTED_FIELDS) {
+            if (session[field] !== undefined) {
+                data[field] = session[field];
+            }
+        }
+        data.finishedIndexes = [...(session.finishedIndexes || [])];
+        data.updatedAt = Date.now();
+        return data;
+    }
+
+    deserialize(data) {
+        return {
+            ...data,
+            results: data.results || [],
+            finishedIndexes: new Set(data.finishedIndexes || [])
+        };
+    }
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,231 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Outgoing webhooks for job lifecycle events, so other systems can follow jobs without a
+ * Socket.IO connection.
+ *
+ * A webhook is { name, url, secret, events }. events lists the events it receives (all of
+ * WEBHOOK_EVENTS when empty); secret signs every delivery. Webhooks are kept as one JSON file
+ * per webhook, like the output profiles.
+ *
+ * Each delivery is a POST with the JSON body { id, event, createdAt, data } and the headers
+ * X-Webhook-Event, X-Webhook-Delivery (the id, the same on every retry) and, with a secret,
+ * X-Webhook-Signature: sha256=<hex HMAC-SHA256 of the body>. A delivery that fails (network
+ * error, timeout or a status other than 2xx) is retried with a doubling delay. Every attempt
+ * is appended to deliveries.jsonl:
+ *     { id, webhook, event, attempt, delivered, status, error, at }
+ * Retries are not kept across a restart.
+ */
+
+const WEBHOOK_EVENTS = ['job-started', 'consumer-finished', 'captcha-pending', 'job-finished'];
+const WEBHOOK_NAME_PATTERN = /^[\w-]{1,40}$/;
+const DELIVERY_LOG = 'deliveries.jsonl';
+
+/**
+ * Check a webhook and fill in its defaults
+ * @param {Object} webhook - Webhook as given by the user
+ * @returns {Object} { name, url, secret, events }
+ * @throws {Error} If the name, URL or an event is not valid
+ */
+function normalizeWebhook(webhook) {
+    const { name, url, secret = '', events = [] } = webhook || {};
+    if (!WEBHOOK_NAME_PATTERN.test(name || '')) {
+        throw new Error('Webhook names may only contain letters, digits, "-" and "_"');
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new Error(`Webhook URL "${url}" is not valid`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error('Webhook URLs must use http or https');
+    }
+
+    if (typeof secret !== 'string') {
+        throw new Error('Webhook secret must be text');
+    }
+    if (!Array.isArray(events)) {
+        throw new Error('Webhook events must be a list');
+    }
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown webhook events: ${unknown.join(', ')}. Use ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+
+    return { name, url: parsed.toString(), secret, events: [...new Set(events)] };
+}
+
+/**
+ * Sign a delivery body
+ * @param {string} body - JSON body as sent
+ * @param {string} secret - Webhook secret
+ * @returns {string} Value of the X-Webhook-Signature header
+ */
+function signPayload(body, secret) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+class WebhookNotifier {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.baseDir] - Directory holding the webhook files and the delivery log
+     * @param {number} [options.maxAttempts] - Attempts per delivery, the first one included
+     * @param {number} [options.retryDelayMs] - Delay before the first retry; doubles after each one
+     * @param {number} [options.timeoutMs] - How long a receiver has to answer
+     */
+    constructor({ baseDir = './webhooks', maxAttempts = 5, retryDelayMs = 5000, timeoutMs = 10000 } = {}) {
+        this.baseDir = baseDir;
+        this.maxAttempts = maxAttempts;
+        this.retryDelayMs = retryDelayMs;
+        this.timeoutMs = timeoutMs;
+        this.logPath = path.join(baseDir, DELIVERY_LOG);
+        fs.ensureDirSync(this.baseDir);
+    }
+
+    getPath(name) {
+        return path.join(this.baseDir, `${name}.json`);
+    }
+
+    /**
+     * List the webhooks by name
+     * @returns {Promise<Array>} Normalized webhooks; files that fail to parse are skipped
+     */
+    async list() {
+        const files = (await fs.readdir(this.baseDir)).filter(file => file.endsWith('.json')).sort();
+        const webhooks = [];
+
+        for (const file of files) {
+            try {
+                webhooks.push(normalizeWebhook(await fs.readJson(path.join(this.baseDir, file))));
+            } catch (error) {
+                console.error(`[webhooks] Skipping ${file}:`, error.message);
+            }
+        }
+        return webhooks;
+    }
+
+    /**
+     * Create or replace a webhook
+     * @param {Object} webhook - Webhook; see the top of this file
+     * @returns {Promise<Object>} Normalized webhook as saved
+     * @throws {Error} If the webhook is malformed
+     */
+    async save(webhook) {
+        const normalized = normalizeWebhook(webhook);
+        await fs.writeJson(this.getPath(normalized.name), normalized, { spaces: 2 });
+        return normalized;
+    }
+
+    /**
+     * Delete a webhook; its delivery log entries are kept
+     * @param {string} name - Webhook name
+     * @returns {Promise<boolean>} False if there was no such webhook
+     */
+    async remove(name) {
+        if (!WEBHOOK_NAME_PATTERN.test(name || '') || !(await fs.pathExists(this.getPath(name)))) {
+            return false;
+        }
+        await fs.remove(this.getPath(name));
+        return true;
+    }
+
+    /**
+     * Send an event to every webhook that receives it. Deliveries run in the background
+     * @param {string} event - One of WEBHOOK_EVENTS
+     * @param {Object} data - Event data
+     * @returns {Promise<number>} Number of webhooks the event was sent to
+     */
+    async notify(event, data) {
+        const webhooks = (await this.list())
+            .filter(webhook => webhook.events.length === 0 || webhook.events.includes(event));
+
+        webhooks.forEach((webhook) => {
+            const delivery = { id: uuidv4(), event, createdAt: new Date().toISOString(), data };
+            this.deliver(webhook, delivery, 1);
+        });
+        return webhooks.length;
+    }
+
+    // Post a delivery and schedule the next attempt if it fails
+    async deliver(webhook, delivery, attempt) {
+        const body = JSON.stringify(delivery);
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': delivery.id
+        };
+        if (webhook.secret) {
+            headers['X-Webhook-Signature'] = signPayload(body, webhook.secret);
+        }
+
+        let status = null;
+        let error = null;
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers,
+                body,
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+            status = response.status;
+            if (!response.ok) {
+                error = `Receiver answered ${response.status}`;
+            }
+        } catch (caughtError) {
+            error = caughtError.message;
+        }
+
+        const delivered = !error;
+        await this.logAttempt({ id: delivery.id, webhook: webhook.name, event: delivery.event, attempt, delivered, status, error });
+        if (delivered) return;
+
+        if (attempt >= this.maxAttempts) {
+            console.error(`[webhooks] Giving up on ${delivery.event} delivery ${delivery.id} to ${webhook.name} after ${attempt} attempts: ${error}`);
+            return;
+        }
+        const delay = this.retryDelayMs * Math.pow(2, attempt - 1);
+        console.log(`[webhooks] ${delivery.event} delivery to ${webhook.name} failed (${error}), retrying in ${delay / 1000}s`);
+        setTimeout(() => this.deliver(webhook, delivery, attempt + 1), delay).unref();
+    }
+
+    async logAttempt(entry) {
+        try {
+            await fs.appendFile(this.logPath, JSON.stringify({ ...entry, at: new Date().toISOString() }) + '\n');
+        } catch (error) {
+            console.error('[webhooks] Could not write the delivery log:', error.message);
+        }
+    }
+
+    /**
+     * Read the delivery log
+     * @param {Object} [filter]
+     * @param {string} [filter.webhook] - Only the attempts for this webhook
+     * @param {number} [filter.limit] - Most recent attempts to return
+     * @returns {Promise<Array>} Attempts, newest first
+     */
+    async getDeliveries({ webhook, limit = 100 } = {}) {
+        if (!(await fs.pathExists(this.logPath))) {
+            return [];
+        }
+
+        const content = await fs.readFile(this.logPath, 'utf8');
+        return content.split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line))
+            .filter(entry => !webhook || entry.webhook === webhook)
+            .reverse()
+            .slice(0, limit);
+    }
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    WebhookNotifier,
+    normalizeWebhook,
+    signPayload
+};
@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const MockQuickPay = require('../src/mockQuickPay');
+const ApiProcessor = require('../src/apiProcessor');
+const BrowserManager = require('../src/browserManager');
+
+/**
+ * The browser and HTTP backends must give the same result row for the same lookup. The browser
+ * reads the inputs the QuickPay page fills from the GetConsStatus.php response, so the page's own
+ * script is run here on the mock's response and compared with ApiProcessor.toResult.
+ */
+
+const CAPTCHA = 'ABC234';
+
+// Response of the mock site for a consumer, as the page and the HTTP backend receive it
+async function lookUp(mock, consumerNo) {
+    const session = { captcha: CAPTCHA };
+    return mock.lookup(session, JSON.stringify({ consno: consumerNo, company: 'mgvcl', cap_cod: CAPTCHA }));
+}
+
+// Run the success branch of the page's checkcosnumerno() and read the inputs like extractBillingData
+function fillPage(mock, response) {
+    const script = /if \(obj\.v_status == 'Y'\) \{([\s\S]*?)\n {8}\} else/.exec(mock.renderPage('MGVCL'));
+    assert.ok(script, 'the mock page fills the bill details in checkcosnumerno()');
+
+    const elements = new Map();
+    const $ = (id) => {
+        if (!elements.has(id)) {
+            // Inputs keep their value as text, like the DOM
+            let value = '';
+            elements.set(id, {
+                style: {},
+                get value() { return value; },
+                set value(text) { value = String(text); }
+            });
+        }
+        return elements.get(id);
+    };
+    vm.runInNewContext(script[1], { $, obj: response, company: 'mgvcl' });
+
+    const values = {};
+    Object.entries(BrowserManager.BILL_FIELDS).forEach(([field, id]) => {
+        values[field] = $(id).value.trim();
+    });
+    return values;
+}
+
+describe('result rows of the two backends', () => {
+    const mock = new MockQuickPay({
+        consumers: [
+            { consumerNo: '14102000674', name: 'RAMESHBHAI K PATEL', outstandingAmount: 1245, lastBillAmount: 1245 },
+            { consumerNo: '14103000228', name: 'MAHESH J DESAI', outstandingAmount: 3120.5, lastBillAmount: 1580, lastBillDate: '07-10-2026' },
+            { consumerNo: '14106144549', name: 'NILESH R JOSHI', outstandingAmount: -150, lastBillAmount: 430 }
+        ]
+    });
+
+    for (const consumerNo of ['14102000674', '14103000228', '14106144549']) {
+        it(`match for ${consumerNo}`, async () => {
+            const response = await lookUp(mock, consumerNo);
+            assert.equal(response.v_status, 'Y');
+
+            const fromPage = fillPage(mock, response);
+            const fromApi = ApiProcessor.toResult(response);
+            Object.keys(BrowserManager.BILL_FIELDS).forEach((field) => {
+                assert.equal(fromApi[field], fromPage[field], field);
+            });
+        });
+    }
+
+    it('show the last bill as the outstanding amount and a credit as nothing to pay', async () => {
+        const result = ApiProcessor.toResult(await lookUp(mock, '14106144549'));
+        assert.equal(result.outstandingAmount, '430');
+        assert.equal(result.amountToPay, '0');
+
+        const owing = ApiProcessor.toResult(await lookUp(mock, '14103000228'));
+        assert.equal(owing.outstandingAmount, '1580');
+        assert.equal(owing.amountToPay, '3120.5');
+        assert.equal(owing.billDate, '07-10-2026');
+    });
+});
+
+describe('sessions of the HTTP backend', () => {
+    it('fail a reset that gets no new session, and open one before the next lookup', async () => {
+        const driver = new ApiProcessor(1);
+        const opened = [];
+        const session = {
+            renew: false,
+            async reset() { return this.renew; },
+            async initialize() { opened.push(this.renew); return this.renew; }
+        };
+        driver.workers.set('api_0', { id: 'api_0', session });
+        const worker = driver.getWorker('api_0');
+
+        await assert.rejects(driver.resetWorker(worker), { code: 'NETWORK' });
+        assert.equal(worker.sessionFailed, true);
+        await assert.rejects(driver.startLookup('api_0', '14102000674'), { code: 'NETWORK' });
+
+        session.renew = true;
+        assert.deepEqual(await driver.startLookup('api_0', '14102000674'), { captchaRequired: true });
+        assert.equal(worker.sessionFailed, false);
+        assert.deepEqual(opened, [false, true]);
+    });
+});
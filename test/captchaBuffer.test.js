@@ -0,0 +1,82 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const CaptchaBuffer = require('../src/captchaBuffer');
+
+/**
+ * Sizing of the captcha buffer (src/captchaBuffer.js) and the reservations it hands out.
+ * Every test gets its own broker stand-in, so the operators and captchas start at zero.
+ */
+
+// Broker stand-in: the buffer only reads getStats() and listens for answers and queue changes
+function createBroker() {
+    const broker = new EventEmitter();
+    broker.stats = { operators: 0, pending: 0, solving: 0 };
+    broker.getStats = () => ({ ...broker.stats });
+    return broker;
+}
+
+// Resolves with whether a reservation got its slot yet
+function isReserved(reservation) {
+    return Promise.race([reservation.then(() => true), new Promise(resolve => setImmediate(() => resolve(false)))]);
+}
+
+describe('captcha buffer', () => {
+    let broker;
+
+    beforeEach(() => {
+        broker = createBroker();
+    });
+
+    it('holds one captcha per operator and one more before anything is answered', () => {
+        const buffer = new CaptchaBuffer({ broker });
+        assert.equal(buffer.getTargetSize(), 1);
+
+        broker.stats.operators = 2;
+        assert.equal(buffer.getTargetSize(), 3);
+
+        assert.equal(new CaptchaBuffer({ broker, minSize: 5 }).getTargetSize(), 5);
+    });
+
+    it('keeps no more captchas than can be answered in half their validity', () => {
+        const buffer = new CaptchaBuffer({ broker, windowMs: 60 * 1000, validityMs: 80 * 1000 });
+        broker.stats.operators = 4;
+        for (let i = 0; i < 3; i++) {
+            broker.emit('captcha-answered', { accepted: true });
+        }
+        broker.emit('captcha-answered', { accepted: false });
+
+        // 3 answers a minute: 2 captchas in 40 seconds, fewer than the 4 operators plus one
+        assert.equal(buffer.getStatus().answersPerMinute, 3);
+        assert.equal(buffer.getTargetSize(), 2);
+    });
+
+    it('makes a reservation wait until a slot is released', async () => {
+        const buffer = new CaptchaBuffer({ broker });
+        const first = await buffer.reserve();
+        const second = buffer.reserve();
+        assert.equal(await isReserved(second), false);
+        assert.equal(buffer.getStatus().waitingLookups, 1);
+
+        first.release();
+        assert.equal(await isReserved(second), true);
+
+        // Releasing a slot again does not free another one
+        first.release();
+        assert.equal(buffer.getStatus().staging, 1);
+    });
+
+    it('counts a staged captcha until the broker lets go of it', async () => {
+        const buffer = new CaptchaBuffer({ broker });
+        const slot = await buffer.reserve();
+        const next = buffer.reserve();
+
+        broker.stats.pending = 1;
+        slot.release({ staged: true });
+        assert.equal(await isReserved(next), false);
+
+        broker.stats.pending = 0;
+        broker.emit('queue-changed');
+        assert.equal(await isReserved(next), true);
+    });
+});
@@ -0,0 +1,712 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const XLSX = require('xlsx');
+const ExcelJS = require('exceljs');
+const {
+    CAPTCHA_TEXT,
+    startServer,
+    connectOperator,
+    waitForEvent,
+    uploadWorkbook,
+    uploadFile,
+    downloadResults,
+    downloadWorkbook
+} = require('./harness');
+
+/**
+ * Upload -> captcha -> download against the mock QuickPay site (src/mockQuickPay.js), with the
+ * HTTP backend. Each test uploads its own workbook and follows its session by ID, and gets an
+ * operator page of its own. HTTP operators go offline a few seconds after their last poll, so they
+ * do not hold on to the captchas of later tests.
+ */
+
+// Collect the consumer-processed events of a session until extraction-complete
+function followSession(socket, sessionId) {
+    const processed = [];
+    const onProcessed = (event) => {
+        if (event.sessionId === sessionId) processed.push(event);
+    };
+    socket.on('consumer-processed', onProcessed);
+
+    return waitForEvent(socket, 'extraction-complete', event => event.sessionId === sessionId, 60000)
+        .then(() => processed)
+        .finally(() => socket.off('consumer-processed', onProcessed));
+}
+
+// Answer the validation report of a session that waits for confirmation
+async function startSession(baseUrl, sessionId, choices) {
+    const response = await fetch(`${baseUrl}/start/${sessionId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(choices)
+    });
+    return { status: response.status, ...(await response.json()) };
+}
+
+// Call the JSON API; jobs have a status of their own, so the body is kept apart
+async function callApi(baseUrl, method, route, body) {
+    const response = await fetch(`${baseUrl}${route}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+describe('upload -> captcha -> download', { timeout: 120000 }, () => {
+    let server;
+    let operator;
+
+    before(async () => {
+        server = await startServer({
+            mock: {
+                consumers: [
+                    { consumerNo: '14102000674', name: 'RAMESHBHAI K PATEL', outstandingAmount: 1245, lastBillAmount: 1245 },
+                    { consumerNo: '14102000704', name: 'SHANTABEN M SHAH', outstandingAmount: 0, lastBillAmount: 860 },
+                    { consumerNo: '14103000228', name: 'MAHESH J DESAI', outstandingAmount: 3120.5, lastBillAmount: 1580 },
+                    { consumerNo: '21104000111', company: 'DGVCL', name: 'JAYESH N PATEL', outstandingAmount: 730 }
+                ]
+            },
+            // Quick webhook retries and captcha alerts
+            env: { WEBHOOK_RETRY_DELAY: '0.2', CAPTCHA_PENDING_ALERT: '1', HTTP_OPERATOR_TIMEOUT: '3' }
+        });
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    beforeEach(async () => {
+        operator = await connectOperator(server.baseUrl);
+    });
+
+    afterEach(() => {
+        operator.close();
+    });
+
+    it('extracts the bills of an uploaded workbook and reports unknown consumers', async () => {
+        const upload = await uploadWorkbook(server.baseUrl, [
+            ['14102000674'],
+            ['14102000704'],
+            ['12345678901'],
+            ['14103000228']
+        ], { fields: { backend: 'api' } });
+        assert.equal(upload.backend, 'api');
+        assert.equal(upload.totalConsumers, 4);
+
+        const processed = await followSession(operator, upload.sessionId);
+        assert.equal(processed.length, 4);
+
+        const rows = await downloadResults(server.baseUrl, upload.sessionId);
+        assert.equal(rows.length, 4);
+
+        const byNumber = Object.fromEntries(rows.map(row => [row['Consumer No.'], row]));
+        assert.equal(byNumber['14102000674']['Consumer Name'], 'RAMESHBHAI K PATEL');
+        assert.equal(byNumber['14102000674'].Status, 'Success');
+        assert.equal(String(byNumber['14103000228']['Outstanding Amount (Tentative)']), '1580');
+        assert.equal(String(byNumber['14103000228']['Amount to Pay']), '3120.5');
+        assert.equal(byNumber['14103000228'].Division, 'ALKAPURI');
+        assert.equal(byNumber['14103000228']['Due Date'], '25-10-2026');
+        assert.equal(byNumber['14103000228'].Location, 'VADODARA');
+        assert.equal(byNumber['12345678901'].Division, '');
+        assert.equal(byNumber['12345678901'].Status, 'Error: INVALID_CONSUMER');
+
+        const status = await (await fetch(`${server.baseUrl}/status/${upload.sessionId}`)).json();
+        assert.equal(status.status, 'completed');
+        assert.deepEqual(status.byDivision, [{ company: 'MGVCL', division: 'ALKAPURI', count: 3, amount: 1245 + 0 + 3120.5 }]);
+    });
+
+    it('gives a rejected captcha answer a new image and accepts the next answer', async () => {
+        const rejectedBefore = server.mock.stats.invalidCaptchas;
+        operator.close();
+        // Wrong on the first image of every request, right after the reload
+        operator = await connectOperator(server.baseUrl, {
+            answer: (request, attempt) => (attempt === 1 ? 'WRONG1' : CAPTCHA_TEXT)
+        });
+
+        const upload = await uploadWorkbook(server.baseUrl, [['14102000674'], ['14102000704']]);
+        const processed = await followSession(operator, upload.sessionId);
+
+        assert.equal(processed.length, 2);
+        processed.forEach(event => assert.equal(event.result.error, undefined));
+        assert.equal(server.mock.stats.invalidCaptchas - rejectedBefore, 2);
+        assert.ok([...operator.answered.values()].every(attempts => attempts === 2));
+    });
+
+    it('looks consumers up on the discom named in the company column', async () => {
+        const upload = await uploadWorkbook(server.baseUrl, [
+            ['21104000111', 'DGVCL'],
+            ['14102000674', 'MGVCL'],
+            ['14102000704', 'XYZ']
+        ], { header: ['Consumer Number', 'Company'] });
+
+        await followSession(operator, upload.sessionId);
+        const rows = await downloadResults(server.baseUrl, upload.sessionId);
+        const byNumber = Object.fromEntries(rows.map(row => [row['Consumer No.'], row]));
+
+        assert.equal(byNumber['21104000111'].Company, 'DGVCL');
+        assert.equal(byNumber['21104000111']['Consumer Name'], 'JAYESH N PATEL');
+        assert.equal(byNumber['14102000674'].Status, 'Success');
+        assert.equal(byNumber['14102000704'].Status, 'Error: UNKNOWN_COMPANY');
+    });
+
+    it('writes the workbook in the layout of the chosen output profile', async () => {
+        const saved = await fetch(`${server.baseUrl}/output-profiles/short`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                columns: [
+                    { field: 'rowNumber' },
+                    { field: 'consumerNo', header: 'ગ્રાહક નંબર' },
+                    { template: '{division} / {subdivision}', header: 'Office' },
+                    { field: 'amountToPay', format: '#,##0.00' },
+                    { field: 'error', hidden: true }
+                ]
+            })
+        });
+        assert.equal(saved.status, 200);
+
+        const invalid = await fetch(`${server.baseUrl}/output-profiles/broken`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ columns: [{ field: 'noSuchField' }] })
+        });
+        assert.equal(invalid.status, 400);
+
+        const upload = await uploadWorkbook(server.baseUrl, [['14102000704'], ['12345678901']], {
+            fields: { outputProfile: 'short' }
+        });
+        assert.equal(upload.outputProfile, 'short');
+        await followSession(operator, upload.sessionId);
+
+        const rows = await downloadResults(server.baseUrl, upload.sessionId);
+        assert.deepEqual(Object.keys(rows[0]), ['Sr. No.', 'ગ્રાહક નંબર', 'Office', 'Amount to Pay', 'Error Message']);
+        const found = rows.find(row => row['ગ્રાહક નંબર'] === '14102000704');
+        assert.equal(found.Office, 'ALKAPURI / RACE COURSE');
+        assert.equal(found['Amount to Pay'], 0);
+
+        const unknown = await uploadWorkbook(server.baseUrl, [['14102000704']], { fields: { outputProfile: 'missing' } })
+            .catch(error => error);
+        assert.match(unknown.message, /Unknown output profile/);
+        const unknownCompany = await uploadWorkbook(server.baseUrl, [['14102000704']], { fields: { company: 'XYZ' } })
+            .catch(error => error);
+        assert.match(unknownCompany.message, /Unknown company "XYZ"/);
+    });
+
+    it('adds the results to a copy of the uploaded workbook', async () => {
+        const consumers = XLSX.utils.aoa_to_sheet([
+            ['Consumer Number', 'Tenant', 'Flat'],
+            ['14102000704', 'Mehta', 'A-101'],
+            [],
+            ['12345678901', 'Shah', 'A-102'],
+            ['14103000228', 'Patel', 'B-201']
+        ]);
+        consumers['!cols'] = [{ wch: 16 }, { wch: 30 }, { wch: 8 }];
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, consumers, 'Flats');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Notes'], ['keep me']]), 'Notes');
+
+        const upload = await uploadFile(server.baseUrl, XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }), 'flats.xlsx', {
+            outputMode: 'original',
+            outputProfile: 'short'
+        });
+        assert.equal(upload.outputMode, 'original');
+        await followSession(operator, upload.sessionId);
+
+        const result = await downloadWorkbook(server.baseUrl, upload.sessionId);
+        assert.deepEqual(result.SheetNames, ['Flats', 'Notes']);
+        assert.equal(result.Sheets.Notes.A2.v, 'keep me');
+        assert.equal(result.Sheets.Flats['!cols'][1].wch, 30);
+
+        const rows = XLSX.utils.sheet_to_json(result.Sheets.Flats, { header: 1, blankrows: true, defval: '' });
+        assert.deepEqual(rows[0], ['Consumer Number', 'Tenant', 'Flat', 'Sr. No.', 'ગ્રાહક નંબર', 'Office', 'Amount to Pay', 'Error Message']);
+        assert.deepEqual(rows[1].slice(0, 7), ['14102000704', 'Mehta', 'A-101', 1, '14102000704', 'ALKAPURI / RACE COURSE', 0]);
+        assert.ok(rows[2].every(cell => cell === ''));
+        assert.deepEqual(rows[3].slice(0, 4), ['12345678901', 'Shah', 'A-102', 2]);
+        assert.equal(rows[3][7], 'Invalid Consumer No. Please Enter Your Valid Consumer No.');
+        assert.deepEqual(rows[4].slice(0, 3), ['14103000228', 'Patel', 'B-201']);
+        assert.equal(rows[4][6], 3120.5);
+        assert.equal(result.Sheets.Flats.G5.z, '#,##0.00');
+    });
+
+    it('keeps the fonts, fills and borders of an uploaded .xlsx workbook', async () => {
+        const styled = new ExcelJS.Workbook();
+        const sheet = styled.addWorksheet('Flats');
+        sheet.addRows([['Consumer Number', 'Tenant'], ['14102000674', 'Mehta']]);
+        const headerFill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFFF00' } };
+        sheet.getRow(1).eachCell((cell) => {
+            cell.font = { bold: true };
+            cell.fill = headerFill;
+        });
+        sheet.getCell('B2').font = { italic: true, color: { argb: 'FFFF0000' } };
+        sheet.getCell('B2').border = { bottom: { style: 'thin' } };
+
+        const upload = await uploadFile(server.baseUrl, await styled.xlsx.writeBuffer(), 'styled.xlsx', {
+            outputMode: 'original',
+            outputProfile: 'short'
+        });
+        await followSession(operator, upload.sessionId);
+
+        const response = await fetch(`${server.baseUrl}/download/${upload.sessionId}`);
+        const result = new ExcelJS.Workbook();
+        await result.xlsx.load(Buffer.from(await response.arrayBuffer()));
+        const flats = result.getWorksheet('Flats');
+        assert.equal(flats.getCell('A1').font.bold, true);
+        assert.deepEqual(flats.getCell('A1').fill.fgColor, headerFill.fgColor);
+        assert.equal(flats.getCell('B2').font.italic, true);
+        assert.equal(flats.getCell('B2').border.bottom.style, 'thin');
+        // The added headers look like the ones next to them
+        assert.equal(flats.getCell('C1').value, 'Sr. No.');
+        assert.equal(flats.getCell('C1').font.bold, true);
+        assert.equal(flats.getCell('D2').value, '14102000674');
+    });
+
+    it('reads consumers from CSV files and pasted lists', async () => {
+        const csv = 'Consumer Number,Company\n14102000674,MGVCL\n021104000111,XYZ\n';
+        const upload = await uploadFile(server.baseUrl, Buffer.from(csv), 'consumers.csv');
+        assert.equal(upload.totalConsumers, 2);
+        await followSession(operator, upload.sessionId);
+        const csvRows = await downloadResults(server.baseUrl, upload.sessionId);
+        assert.deepEqual(csvRows.map(row => row['Consumer No.']).sort(), ['021104000111', '14102000674']);
+        assert.equal(csvRows.find(row => row['Consumer No.'] === '021104000111').Status, 'Error: UNKNOWN_COMPANY');
+
+        const form = new FormData();
+        form.append('consumerList', '14102000704\n\n21104000111\tDGVCL\nnot a number\n1410 2000 674 MGVCL\n');
+        form.append('outputMode', 'original');
+        const response = await fetch(`${server.baseUrl}/upload`, { method: 'POST', body: form });
+        const pasted = await response.json();
+        assert.equal(response.status, 200);
+        assert.equal(pasted.source, 'list');
+        assert.equal(pasted.outputMode, 'new');
+        assert.equal(pasted.totalConsumers, 3);
+        // The line that is not a number waits for a decision
+        assert.equal(pasted.status, 'awaiting-confirmation');
+        assert.deepEqual(pasted.validation.nonNumeric, [{ row: 4, value: 'not a number' }]);
+        const started = await startSession(server.baseUrl, pasted.sessionId, {});
+        assert.equal(started.totalConsumers, 3);
+
+        await followSession(operator, pasted.sessionId);
+        const rows = await downloadResults(server.baseUrl, pasted.sessionId);
+        const byNumber = Object.fromEntries(rows.map(row => [row['Consumer No.'], row]));
+        assert.equal(byNumber['14102000704'].Company, 'MGVCL');
+        assert.equal(byNumber['14102000674']['Consumer Name'], 'RAMESHBHAI K PATEL');
+        assert.equal(byNumber['21104000111'].Company, 'DGVCL');
+        assert.equal(byNumber['21104000111']['Consumer Name'], 'JAYESH N PATEL');
+
+        const empty = await fetch(`${server.baseUrl}/upload`, { method: 'POST', body: new FormData() });
+        assert.equal(empty.status, 400);
+    });
+
+    it('finds the consumer numbers in another sheet and column of a file without a header', async () => {
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Electricity bills, October 2026']]), 'Cover');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+            ['Mehta', '14102000674'],
+            ['Shah', '14102000704']
+        ]), 'Meters');
+        const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+        const form = new FormData();
+        form.append('excelFile', new Blob([buffer]), 'meters.xlsx');
+        const preview = await (await fetch(`${server.baseUrl}/preview`, { method: 'POST', body: form })).json();
+        assert.deepEqual(preview.layout, { sheetName: 'Meters', column: 'B', hasHeader: false, companyColumn: null });
+        assert.deepEqual(preview.sheets.map(sheet => sheet.name), ['Cover', 'Meters']);
+        assert.deepEqual(preview.sheets[1].consumerCounts, [0, 2]);
+        assert.deepEqual(preview.sheets[1].rows[0], ['Mehta', '14102000674']);
+
+        const badSheet = await uploadFile(server.baseUrl, buffer, 'meters.xlsx', { sheetName: 'Missing' }).catch(error => error);
+        assert.match(badSheet.message, /no sheet named "Missing"/);
+        const badColumn = await uploadFile(server.baseUrl, buffer, 'meters.xlsx', { consumerColumn: '2' }).catch(error => error);
+        assert.match(badColumn.message, /not a column letter/);
+
+        const upload = await uploadFile(server.baseUrl, buffer, 'meters.xlsx', { outputMode: 'original', outputProfile: 'short' });
+        assert.equal(upload.sheetName, 'Meters');
+        assert.equal(upload.totalConsumers, 2);
+        await followSession(operator, upload.sessionId);
+
+        // No header row to put the column headers in, so the results start on the first row
+        const result = await downloadWorkbook(server.baseUrl, upload.sessionId);
+        const rows = XLSX.utils.sheet_to_json(result.Sheets.Meters, { header: 1, defval: '' });
+        assert.deepEqual(rows.map(row => row.slice(0, 4)), [['Mehta', '14102000674', 1, '14102000674'], ['Shah', '14102000704', 2, '14102000704']]);
+    });
+
+    it('reports invalid, duplicate and padded rows and waits for the choice before starting', async () => {
+        const lookupsBefore = server.mock.stats.lookups;
+        const upload = await uploadWorkbook(server.baseUrl, [
+            ['14102000674'],
+            ['1410200070'],
+            ['12345'],
+            ['14102000674'],
+            ['141020006741234567'],
+            ['CONS-14103000228']
+        ]);
+        assert.equal(upload.status, 'awaiting-confirmation');
+        assert.equal(upload.totalConsumers, 3);
+        assert.deepEqual(upload.validation, {
+            total: 6,
+            valid: 3,
+            duplicates: [{ consumerNo: '14102000674', company: 'MGVCL', rows: [2, 5] }],
+            tooShort: [{ row: 4, value: '12345' }],
+            tooLong: [{ row: 6, value: '141020006741234567' }],
+            nonNumeric: [{ row: 7, value: 'CONS-14103000228' }],
+            padded: [{ row: 3, value: '1410200070', paddedValue: '01410200070' }],
+            needsConfirmation: true
+        });
+        const status = await (await fetch(`${server.baseUrl}/status/${upload.sessionId}`)).json();
+        assert.equal(status.status, 'awaiting-confirmation');
+        assert.equal(server.mock.stats.lookups, lookupsBefore);
+
+        const badFix = await startSession(server.baseUrl, upload.sessionId, { fixes: { 4: '123' } });
+        assert.equal(badFix.status, 400);
+        assert.match(badFix.error, /Row 4/);
+
+        const started = await startSession(server.baseUrl, upload.sessionId, { dedupe: true, fixes: { 7: '14103000228' } });
+        assert.equal(started.status, 200);
+        assert.equal(started.totalConsumers, 3);
+        assert.deepEqual(started.validation.duplicates, []);
+        assert.deepEqual(started.validation.tooShort, [{ row: 4, value: '12345' }]);
+
+        const again = await startSession(server.baseUrl, upload.sessionId, {});
+        assert.equal(again.status, 409);
+
+        await followSession(operator, upload.sessionId);
+        const rows = await downloadResults(server.baseUrl, upload.sessionId);
+        const byNumber = Object.fromEntries(rows.map(row => [row['Consumer No.'], row]));
+        assert.deepEqual(Object.keys(byNumber).sort(), ['01410200070', '14102000674', '14103000228']);
+        assert.equal(byNumber['14103000228']['Consumer Name'], 'MAHESH J DESAI');
+    });
+
+    it('carries the other columns of each row through to the results', async () => {
+        const upload = await uploadWorkbook(server.baseUrl, [
+            ['14102000674', 'Mehta', 'Tower B', 'MGVCL'],
+            ['14102000704', 'Shah', 'Tower A', ''],
+            ['12345678901', 'Desai', 'Tower A', ''],
+            ['14103000228', '', 'Tower B', '']
+        ], { header: ['Consumer Number', 'Tenant', 'Building', 'Company'] });
+        const processed = await followSession(operator, upload.sessionId);
+        const event = processed.find(({ result }) => result.consumerNo === '14102000674');
+        assert.deepEqual(event.result.metadata, { Tenant: 'Mehta', Building: 'Tower B' });
+
+        // The default layout puts them after the company, error rows included
+        const rows = await downloadResults(server.baseUrl, upload.sessionId);
+        assert.deepEqual(Object.keys(rows[0]).slice(0, 5), ['Consumer Name', 'Consumer No.', 'Company', 'Tenant', 'Building']);
+        const byNumber = Object.fromEntries(rows.map(row => [row['Consumer No.'], row]));
+        assert.equal(byNumber['12345678901'].Tenant, 'Desai');
+        assert.equal(byNumber['12345678901'].Status, 'Error: INVALID_CONSUMER');
+        assert.equal(byNumber['14103000228'].Tenant, '');
+
+        const saved = await fetch(`${server.baseUrl}/output-profiles/by-building`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                columns: [{ metadata: 'Building' }, { metadata: 'Tenant', header: 'Occupant' }, { field: 'consumerNo' }],
+                sortBy: ['Building', 'Occupant']
+            })
+        });
+        assert.equal(saved.status, 200);
+
+        const sorted = await uploadWorkbook(server.baseUrl, [
+            ['14102000674', 'Mehta', 'Tower B'],
+            ['14102000704', 'Shah', 'Tower A'],
+            ['14103000228', 'Desai', 'Tower A']
+        ], { header: ['Consumer Number', 'Tenant', 'Building'], fields: { outputProfile: 'by-building' } });
+        await followSession(operator, sorted.sessionId);
+        const sortedRows = await downloadResults(server.baseUrl, sorted.sessionId);
+        assert.deepEqual(sortedRows.map(row => [row.Building, row.Occupant]), [
+            ['Tower A', 'Desai'],
+            ['Tower A', 'Shah'],
+            ['Tower B', 'Mehta']
+        ]);
+    });
+
+    it('looks up a single consumer with the captcha pinned to the asking page', async () => {
+        const pinned = waitForEvent(operator, 'captcha-required', request => request.consumerNo === '14102000674');
+        const lookup = await fetch(`${server.baseUrl}/lookup`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ consumerNo: '14102000674', socketId: operator.id, backend: 'api' })
+        });
+        assert.equal(lookup.status, 200);
+        const result = await lookup.json();
+        assert.equal(result.consumerName, 'RAMESHBHAI K PATEL');
+        assert.equal(result.company, 'MGVCL');
+        assert.equal((await pinned).pinned, true);
+
+        const unknown = await fetch(`${server.baseUrl}/lookup?consumerNo=12345678901&backend=api`);
+        assert.equal(unknown.status, 404);
+        assert.equal((await unknown.json()).errorCode, 'INVALID_CONSUMER');
+
+        const invalid = await fetch(`${server.baseUrl}/lookup?consumerNo=12`);
+        assert.equal(invalid.status, 400);
+        const offline = await fetch(`${server.baseUrl}/lookup?consumerNo=14102000674&socketId=gone`);
+        assert.equal(offline.status, 400);
+    });
+
+    it('ends a quick lookup at once when the page its captcha is pinned to leaves', async () => {
+        const page = await connectOperator(server.baseUrl);
+        page.off('captcha-required');
+        const shown = waitForEvent(page, 'captcha-required');
+        const startedAt = Date.now();
+        const lookup = fetch(`${server.baseUrl}/lookup?consumerNo=14102000674&backend=api&socketId=${page.id}`);
+        await shown;
+        page.close();
+
+        const response = await lookup;
+        assert.equal(response.status, 409);
+        assert.equal((await response.json()).errorCode, 'OPERATOR_UNAVAILABLE');
+        // Not retried: a retry would wait 5 seconds first
+        assert.ok(Date.now() - startedAt < 5000);
+    });
+
+    it('runs jobs and answers captchas over the JSON API', async () => {
+        // Only the HTTP operator is online, so every captcha goes through /api/captchas
+        operator.close();
+        const created = await callApi(server.baseUrl, 'POST', '/api/jobs', {
+            consumers: ['14102000674', { consumerNo: '21104000111', company: 'DGVCL', metadata: { Flat: 'A-12' } }, 'ABC'],
+            backend: 'api'
+        });
+        assert.equal(created.status, 201);
+        const jobId = created.body.id;
+        assert.equal(created.body.source, 'api');
+        assert.equal(created.body.status, 'awaiting-confirmation');
+        assert.equal(created.body.totalConsumers, 2);
+        assert.deepEqual(created.body.validation.nonNumeric, [{ row: 3, value: 'ABC' }]);
+
+        const started = await callApi(server.baseUrl, 'POST', `/api/jobs/${jobId}/start`, {});
+        assert.equal(started.status, 200);
+
+        let job;
+        const deadline = Date.now() + 60000;
+        do {
+            const { body: { captcha } } = await callApi(server.baseUrl, 'GET', '/api/captchas?operator=e2e-tool');
+            if (captcha) {
+                assert.match(captcha.captchaImage, /^data:image/);
+                const answer = await callApi(server.baseUrl, 'POST', `/api/captchas/${captcha.requestId}/answer`, {
+                    operator: 'e2e-tool',
+                    captcha: CAPTCHA_TEXT
+                });
+                assert.equal(answer.body.accepted, true);
+            }
+            job = (await callApi(server.baseUrl, 'GET', `/api/jobs/${jobId}`)).body;
+            await new Promise(resolve => setTimeout(resolve, 200));
+        } while (job.status !== 'completed' && Date.now() < deadline);
+
+        assert.equal(job.status, 'completed');
+        assert.equal(job.downloadUrl, `/download/${jobId}`);
+        assert.deepEqual(job.consumers.map(({ consumerNo, company, state }) => [consumerNo, company, state]), [
+            ['14102000674', 'MGVCL', 'done'],
+            ['21104000111', 'DGVCL', 'done']
+        ]);
+        assert.equal(job.consumers[1].result.consumerName, 'JAYESH N PATEL');
+        assert.deepEqual(job.consumers[1].metadata, { Flat: 'A-12' });
+
+        const list = await callApi(server.baseUrl, 'GET', '/api/jobs');
+        assert.equal(list.body.jobs[0].id, jobId);
+
+        const badOperator = await callApi(server.baseUrl, 'GET', '/api/captchas?operator=no%20spaces');
+        assert.equal(badOperator.status, 400);
+        const empty = await callApi(server.baseUrl, 'POST', '/api/jobs', { consumers: [] });
+        assert.equal(empty.status, 400);
+        const unknownCompany = await callApi(server.baseUrl, 'POST', '/api/jobs', { consumers: ['14102000674'], company: 'XYZ' });
+        assert.equal(unknownCompany.status, 400);
+        assert.match(unknownCompany.body.error, /Unknown company "XYZ"/);
+    });
+
+    it('cancels a job over the JSON API', async () => {
+        // Nobody answers the captchas, so the job waits until it is cancelled
+        operator.close();
+        const created = await callApi(server.baseUrl, 'POST', '/api/jobs', { consumers: ['14102000674', '14102000704'] });
+        assert.equal(created.body.status, 'processing');
+
+        const cancelled = await callApi(server.baseUrl, 'POST', `/api/jobs/${created.body.id}/cancel`);
+        assert.equal(cancelled.status, 200);
+        assert.equal(cancelled.body.status, 'completed');
+        assert.equal(cancelled.body.cancelled, true);
+        assert.equal(cancelled.body.failed, 2);
+
+        const job = (await callApi(server.baseUrl, 'GET', `/api/jobs/${created.body.id}`)).body;
+        assert.deepEqual(job.consumers.map(({ state }) => state), ['failed', 'failed']);
+        assert.match(job.consumers[0].result.error, /cancelled/);
+
+        const again = await callApi(server.baseUrl, 'POST', `/api/jobs/${created.body.id}/cancel`);
+        assert.equal(again.status, 409);
+    });
+
+    it('resumes a cancelled job while its last lookup is still running', async () => {
+        // Only an HTTP operator answers, and the lookup of this consumer takes a while
+        operator.close();
+        server.mock.addConsumer({ consumerNo: '14109000017', name: 'DIPAK L SONI', outstandingAmount: 400, delayMs: 1500 });
+        const created = await callApi(server.baseUrl, 'POST', '/api/jobs', {
+            consumers: ['14109000017'],
+            backend: 'api'
+        });
+        const jobId = created.body.id;
+
+        // Answer the captcha, which starts the slow lookup, and cancel while it runs
+        let slowAnswer;
+        const deadline = Date.now() + 30000;
+        while (!slowAnswer && Date.now() < deadline) {
+            const { body: { captcha } } = await callApi(server.baseUrl, 'GET', '/api/captchas?operator=e2e-tool');
+            if (captcha) {
+                slowAnswer = callApi(server.baseUrl, 'POST', `/api/captchas/${captcha.requestId}/answer`, {
+                    operator: 'e2e-tool',
+                    captcha: CAPTCHA_TEXT
+                });
+            }
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        assert.ok(slowAnswer, 'the captcha was shown');
+        await new Promise(resolve => setTimeout(resolve, 300));
+
+        const cancelled = await callApi(server.baseUrl, 'POST', `/api/jobs/${jobId}/cancel`);
+        assert.equal(cancelled.body.failed, 1);
+        const resumed = await callApi(server.baseUrl, 'POST', `/resume/${jobId}`);
+        assert.equal(resumed.status, 200);
+        assert.equal(resumed.body.requeued, 1);
+        await slowAnswer;
+
+        let job;
+        do {
+            const { body: { captcha } } = await callApi(server.baseUrl, 'GET', '/api/captchas?operator=e2e-tool');
+            if (captcha) {
+                await callApi(server.baseUrl, 'POST', `/api/captchas/${captcha.requestId}/answer`, {
+                    operator: 'e2e-tool',
+                    captcha: CAPTCHA_TEXT
+                });
+            }
+            job = (await callApi(server.baseUrl, 'GET', `/api/jobs/${jobId}`)).body;
+            await new Promise(resolve => setTimeout(resolve, 200));
+        } while (job.status !== 'completed' && Date.now() < deadline + 30000);
+
+        assert.equal(job.status, 'completed');
+        assert.equal(job.cancelled, false);
+        assert.deepEqual(job.consumers.map(({ consumerNo, state }) => [consumerNo, state]), [['14109000017', 'done']]);
+
+        const rows = await downloadResults(server.baseUrl, jobId);
+        assert.deepEqual(rows.map(row => [row['Consumer No.'], row['Consumer Name'], row.Status]), [
+            ['14109000017', 'DIPAK L SONI', 'Success']
+        ]);
+    });
+
+    it('sends signed webhooks for the job events and retries failed deliveries', async () => {
+        // The receiver fails the first delivery it gets
+        const received = [];
+        const receiver = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.statusCode = received.length === 1 ? 500 : 200;
+                res.end();
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, resolve));
+
+        try {
+            const saved = await callApi(server.baseUrl, 'PUT', '/webhooks/accounting', {
+                url: `http://localhost:${receiver.address().port}/hook`,
+                secret: 's3cret'
+            });
+            assert.equal(saved.status, 200);
+            assert.deepEqual(saved.body, { name: 'accounting', url: `http://localhost:${receiver.address().port}/hook`, events: [], hasSecret: true });
+            const badEvent = await callApi(server.baseUrl, 'PUT', '/webhooks/other', { url: 'http://localhost/', events: ['job-paused'] });
+            assert.equal(badEvent.status, 400);
+
+            // No operator answers at first, so the captcha waits long enough for an alert
+            operator.close();
+            const created = await callApi(server.baseUrl, 'POST', '/api/jobs', { consumers: ['14102000674'], backend: 'api' });
+            const jobId = created.body.id;
+            const deliveries = () => received.map(({ body }) => JSON.parse(body));
+            const deadline = Date.now() + 30000;
+            while (!deliveries().some(({ event }) => event === 'captcha-pending') && Date.now() < deadline) {
+                await new Promise(resolve => setTimeout(resolve, 200));
+            }
+            let captcha = null;
+            while (!captcha && Date.now() < deadline) {
+                ({ body: { captcha } } = await callApi(server.baseUrl, 'GET', '/api/captchas?operator=e2e-tool'));
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+            await callApi(server.baseUrl, 'POST', `/api/captchas/${captcha.requestId}/answer`, { operator: 'e2e-tool', captcha: CAPTCHA_TEXT });
+            while (!deliveries().some(({ event }) => event === 'job-finished') && Date.now() < deadline) {
+                await new Promise(resolve => setTimeout(resolve, 200));
+            }
+
+            received.forEach(({ headers, body }) => {
+                const signature = `sha256=${crypto.createHmac('sha256', 's3cret').update(body).digest('hex')}`;
+                assert.equal(headers['x-webhook-signature'], signature);
+                assert.equal(headers['x-webhook-event'], JSON.parse(body).event);
+            });
+            // The failed first delivery came again with the same ID
+            assert.equal(deliveries()[0].id, deliveries()[1].id);
+            const events = [...new Map(deliveries().map(delivery => [delivery.id, delivery])).values()];
+            assert.deepEqual(events.map(({ event }) => event), ['job-started', 'captcha-pending', 'consumer-finished', 'job-finished']);
+            assert.equal(events[0].data.id, jobId);
+            assert.equal(events[1].data.consumerNo, '14102000674');
+            assert.equal(events[2].data.result.consumerName, 'RAMESHBHAI K PATEL');
+            assert.equal(events[3].data.status, 'completed');
+            assert.equal(events[3].data.downloadUrl, `/download/${jobId}`);
+            assert.equal(events[3].data.results.length, 1);
+
+            const log = await callApi(server.baseUrl, 'GET', '/webhooks/accounting/deliveries');
+            const firstAttempts = log.body.deliveries.filter(entry => entry.id === deliveries()[0].id);
+            assert.deepEqual(firstAttempts.map(({ attempt, delivered, status }) => [attempt, delivered, status]), [[2, true, 200], [1, false, 500]]);
+        } finally {
+            await callApi(server.baseUrl, 'DELETE', '/webhooks/accounting');
+            await new Promise(resolve => receiver.close(resolve));
+        }
+    });
+
+    it('keeps every bill that was read in the history of its consumer', async () => {
+        // Consumers of this test only; the site answers the first one with a shortened number
+        server.mock.addConsumer({ consumerNo: '14109000025', name: 'PRIYA D RAVAL', outstandingAmount: 700, lastBillAmount: 700, reportedConsumerNo: '9000025' });
+        server.mock.addConsumer({ consumerNo: '21109000033', company: 'DGVCL', name: 'VIPUL K OZA', outstandingAmount: 310 });
+
+        // A quick lookup whose captcha is answered by an HTTP operator of its own
+        const lookUp = async (query) => {
+            const lookup = callApi(server.baseUrl, 'GET', `/lookup?${query}&backend=api&operator=e2e-history`);
+            const deadline = Date.now() + 30000;
+            let captcha = null;
+            while (!captcha && Date.now() < deadline) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+                ({ body: { captcha } } = await callApi(server.baseUrl, 'GET', '/api/captchas?operator=e2e-history'));
+            }
+            await callApi(server.baseUrl, 'POST', `/api/captchas/${captcha.requestId}/answer`, { operator: 'e2e-history', captcha: CAPTCHA_TEXT });
+            const { status } = await lookup;
+            assert.equal(status, 200);
+        };
+
+        // The October bill, read again after it was paid, then the November bill
+        await lookUp('consumerNo=14109000025');
+        server.mock.addConsumer({ consumerNo: '14109000025', name: 'PRIYA D RAVAL', outstandingAmount: 0, lastBillAmount: 700, reportedConsumerNo: '9000025' });
+        await lookUp('consumerNo=14109000025');
+        server.mock.addConsumer({ consumerNo: '14109000025', name: 'PRIYA D RAVAL', outstandingAmount: 650, lastBillAmount: 650, lastBillDate: '05-11-2026', reportedConsumerNo: '9000025' });
+        await lookUp('consumerNo=14109000025');
+        await lookUp('consumerNo=21109000033&company=DGVCL');
+
+        const history = await callApi(server.baseUrl, 'GET', '/history/14109000025');
+        assert.equal(history.status, 200);
+        assert.equal(history.body.consumerName, 'PRIYA D RAVAL');
+        const { records, bills } = history.body;
+        assert.deepEqual(records.map(({ consumerNo, company, billDate, amountToPay }) => [consumerNo, company, billDate, amountToPay]), [
+            ['14109000025', 'MGVCL', '05-10-2026', '700'],
+            ['14109000025', 'MGVCL', '05-10-2026', '0'],
+            ['14109000025', 'MGVCL', '05-11-2026', '650']
+        ]);
+        assert.ok(records.every(record => record.jobId.startsWith('lookup-')));
+        const dates = records.map(record => record.recordedAt);
+        assert.deepEqual(dates, [...dates].sort());
+        // A bill shows its latest values and when it was first seen
+        assert.deepEqual(bills.map(({ billDate, amountToPay, firstRecordedAt }) => [billDate, amountToPay, firstRecordedAt]), [
+            ['05-10-2026', '0', dates[0]],
+            ['05-11-2026', '650', dates[2]]
+        ]);
+
+        const otherDiscom = await callApi(server.baseUrl, 'GET', '/history/21109000033');
+        assert.deepEqual(otherDiscom.body.records.map(({ company, amountToPay }) => [company, amountToPay]), [['DGVCL', '310']]);
+        assert.equal((await callApi(server.baseUrl, 'GET', '/history/21109000033?company=MGVCL')).status, 404);
+        assert.equal((await callApi(server.baseUrl, 'GET', '/history/12345678901')).status, 404);
+        assert.equal((await callApi(server.baseUrl, 'GET', '/history/ABC')).status, 400);
+    });
+});
@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CaptchaBroker = require('../src/captchaBroker');
+const {
+    CancelledError,
+    ExtractionError,
+    OperatorUnavailableError,
+    RETRY_POLICIES,
+    classifyError,
+    isRetryable
+} = require('../src/errors');
+
+/**
+ * Classification of lookup failures (src/errors.js), and the errors the captcha broker hands
+ * to the lookups it stops.
+ */
+
+// Driver stand-in for one worker that waits on its captcha until told otherwise
+function createDriver() {
+    return {
+        name: 'test',
+        awaiting: true,
+        isAwaitingCaptcha() { return this.awaiting; },
+        async submitCaptcha() {},
+        async refreshCaptcha() { return 'data:image/png;base64,'; }
+    };
+}
+
+// Open a captcha request for an operator and wait until it is assigned
+async function openRequest(broker, driver, pinnedTo = null) {
+    const assigned = new Promise(resolve => broker.once('captcha-assigned', resolve));
+    const lookup = broker.request({
+        sessionId: 'session-1',
+        driver,
+        workerId: 'worker-1',
+        consumerNo: '14102000674',
+        company: 'MGVCL',
+        captchaImage: 'data:image/png;base64,',
+        pinnedTo
+    });
+    const { request } = await assigned;
+    return { lookup, requestId: request.requestId };
+}
+
+describe('error classification', () => {
+    it('keeps typed errors and maps the rest by their message', () => {
+        const cancelled = new CancelledError('Lookup was cancelled');
+        assert.equal(classifyError(cancelled), cancelled);
+        assert.equal(classifyError(new Error('Invalid Consumer No.')).code, 'INVALID_CONSUMER');
+        assert.equal(classifyError(new Error('Invalid Captcha')).code, 'INVALID_CAPTCHA');
+        assert.equal(classifyError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })).code, 'NETWORK');
+        assert.ok(classifyError(new Error('Something else')) instanceof ExtractionError);
+    });
+
+    it('does not retry cancelled lookups or ones without a worker, but lets a resume try them again', () => {
+        assert.equal(RETRY_POLICIES.CANCELLED.maxAttempts, 1);
+        assert.equal(isRetryable('CANCELLED'), true);
+        assert.equal(RETRY_POLICIES.WORKER_UNAVAILABLE.maxAttempts, 1);
+        assert.equal(isRetryable('WORKER_UNAVAILABLE'), true);
+        assert.equal(isRetryable('INVALID_CONSUMER'), false);
+        assert.equal(isRetryable('EXTRACTION'), true);
+    });
+
+    it('rejects the lookups of a stopped session with a cancelled error', async () => {
+        const broker = new CaptchaBroker();
+        broker.addOperator('operator-1');
+        const { lookup } = await openRequest(broker, createDriver());
+
+        broker.cancelSession('session-1', 'Session finished before the captcha was answered');
+        const error = await lookup.catch(caught => caught);
+        assert.ok(error instanceof CancelledError);
+        assert.equal(classifyError(error).code, 'CANCELLED');
+        assert.equal(error.message, 'Session finished before the captcha was answered');
+    });
+
+    it('rejects a lookup whose worker stopped waiting, and late answers, with a cancelled error', async () => {
+        const broker = new CaptchaBroker();
+        broker.addOperator('operator-1');
+        const driver = createDriver();
+        const { lookup, requestId } = await openRequest(broker, driver);
+
+        driver.awaiting = false;
+        const answerError = await broker.answer(requestId, 'ABC234', 'operator-1').catch(caught => caught);
+        assert.equal(classifyError(answerError).code, 'CANCELLED');
+        assert.equal(classifyError(await lookup.catch(caught => caught)).code, 'CANCELLED');
+
+        const late = await broker.answer(requestId, 'ABC234', 'operator-1').catch(caught => caught);
+        assert.equal(classifyError(late).code, 'CANCELLED');
+    });
+
+    it('ends a pinned captcha for good when its operator is offline or leaves', async () => {
+        assert.equal(RETRY_POLICIES.OPERATOR_UNAVAILABLE.maxAttempts, 1);
+        const broker = new CaptchaBroker();
+
+        const offline = await broker.request({
+            sessionId: 'lookup-1',
+            driver: createDriver(),
+            workerId: 'worker-1',
+            consumerNo: '14102000674',
+            company: 'MGVCL',
+            captchaImage: 'data:image/png;base64,',
+            pinnedTo: 'page-1'
+        }).catch(caught => caught);
+        assert.ok(offline instanceof OperatorUnavailableError);
+        assert.equal(classifyError(offline).code, 'OPERATOR_UNAVAILABLE');
+
+        broker.addOperator('page-1');
+        const { lookup } = await openRequest(broker, createDriver(), 'page-1');
+        broker.removeOperator('page-1');
+        assert.equal(classifyError(await lookup.catch(caught => caught)).code, 'OPERATOR_UNAVAILABLE');
+    });
+});
@@ -0,0 +1,216 @@
+const { spawn } = require('child_process');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const net = require('net');
+const XLSX = require('xlsx');
+const { io } = require('socket.io-client');
+const MockQuickPay = require('../src/mockQuickPay');
+
+/**
+ * Helpers for the end-to-end tests: the mock QuickPay site, server.js in a child process and
+ * Socket.IO clients that play the captcha operators.
+ */
+
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+
+// Every captcha of the mock shows this text, so the operators know the answer
+const CAPTCHA_TEXT = 'E2E7KQ';
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+        probe.on('error', reject);
+    });
+}
+
+/**
+ * Start the mock site and a server using it. The server runs in a temporary working
+ * directory, so its uploads, results and saved sessions do not touch the repository.
+ * @param {Object} [options]
+ * @param {Object} [options.mock] - MockQuickPay options
+ * @param {Object} [options.env] - Extra environment variables for the server
+ * @returns {Promise<Object>} { baseUrl, mock, workDir, getOutput(), stop() }
+ */
+async function startServer({ mock: mockOptions = {}, env = {} } = {}) {
+    const mock = new MockQuickPay({ captchaText: CAPTCHA_TEXT, ...mockOptions });
+    const mockUrl = await mock.start(0);
+    const port = await getFreePort();
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mgvcl-e2e-'));
+
+    const child = spawn(process.execPath, [SERVER_PATH], {
+        cwd: workDir,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            MGVCL_BASE_URL: mockUrl,
+            EXTRACTION_BACKEND: 'api',
+            CAPTCHA_SOLVER: 'none',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 20000);
+        child.stdout.on('data', () => {
+            if (output.includes('Server running on port')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.on('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    });
+
+    const stop = async () => {
+        if (child.exitCode === null) {
+            const exited = new Promise(resolve => child.once('exit', resolve));
+            child.kill('SIGINT');
+            const timer = setTimeout(() => child.kill('SIGKILL'), 5000);
+            await exited;
+            clearTimeout(timer);
+        }
+        await mock.stop();
+        await fs.remove(workDir);
+    };
+
+    return { baseUrl: `http://localhost:${port}`, mock, workDir, getOutput: () => output, stop };
+}
+
+/**
+ * Connect a captcha operator
+ * @param {string} baseUrl - Server URL
+ * @param {Object} [options]
+ * @param {Function} [options.answer] - (request, attempt) -> answer to submit; attempt counts the
+ *                                      images shown for that request, starting at 1
+ * @returns {Promise<Object>} Socket.IO client, with answered (requestId -> attempts) attached
+ */
+async function connectOperator(baseUrl, { answer = () => CAPTCHA_TEXT } = {}) {
+    const socket = io(baseUrl, { transports: ['websocket'], reconnection: false });
+    socket.answered = new Map();
+
+    socket.on('captcha-required', (request) => {
+        const attempt = (socket.answered.get(request.requestId) || 0) + 1;
+        socket.answered.set(request.requestId, attempt);
+        socket.emit('captcha-response', { requestId: request.requestId, captcha: answer(request, attempt) });
+    });
+    // Like the web page: a rejected answer gets a new image, which arrives as another captcha-required
+    socket.on('captcha-error', ({ requestId, reloadFailed }) => {
+        if (!reloadFailed) {
+            socket.emit('reload-captcha', { requestId });
+        }
+    });
+
+    await new Promise((resolve, reject) => {
+        socket.once('connect', resolve);
+        socket.once('connect_error', reject);
+    });
+    return socket;
+}
+
+/**
+ * Wait for a Socket.IO event
+ * @param {Object} socket - Socket.IO client
+ * @param {string} event - Event name
+ * @param {Function} [predicate] - Only resolve for payloads it accepts
+ * @param {number} [timeoutMs] - How long to wait
+ * @returns {Promise<Object>} Event payload
+ */
+function waitForEvent(socket, event, predicate = () => true, timeoutMs = 30000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.off(event, listener);
+            reject(new Error(`Timed out waiting for ${event}`));
+        }, timeoutMs);
+        const listener = (payload) => {
+            if (!predicate(payload)) return;
+            clearTimeout(timer);
+            socket.off(event, listener);
+            resolve(payload);
+        };
+        socket.on(event, listener);
+    });
+}
+
+/**
+ * Upload a workbook with one consumer per row
+ * @param {string} baseUrl - Server URL
+ * @param {Array} rows - Rows below the header, e.g. [['14102000674', 'MGVCL']]
+ * @param {Object} [options]
+ * @param {Array} [options.header] - Header row
+ * @param {Object} [options.fields] - Extra form fields (backend, company, ...)
+ * @returns {Promise<Object>} Upload response
+ */
+async function uploadWorkbook(baseUrl, rows, { header = ['Consumer Number'], fields = {} } = {}) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([header, ...rows]), 'Consumers');
+    return uploadFile(baseUrl, XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }), 'consumers.xlsx', fields);
+}
+
+/**
+ * Upload a file as it is
+ * @param {string} baseUrl - Server URL
+ * @param {Buffer} buffer - File content
+ * @param {string} filename - File name, its extension tells the server the format
+ * @param {Object} [fields] - Extra form fields
+ * @returns {Promise<Object>} Upload response
+ */
+async function uploadFile(baseUrl, buffer, filename, fields = {}) {
+    const form = new FormData();
+    form.append('excelFile', new Blob([buffer]), filename);
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+
+    const response = await fetch(`${baseUrl}/upload`, { method: 'POST', body: form });
+    const body = await response.json();
+    if (!response.ok) {
+        throw new Error(`Upload failed: ${body.error}`);
+    }
+    return body;
+}
+
+/**
+ * Download the results of a session in the new-workbook layout
+ * @param {string} baseUrl - Server URL
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Array>} Rows of the 'Billing Data' sheet as objects keyed by header
+ */
+async function downloadResults(baseUrl, sessionId) {
+    const workbook = await downloadWorkbook(baseUrl, sessionId);
+    return XLSX.utils.sheet_to_json(workbook.Sheets['Billing Data']);
+}
+
+/**
+ * Download the results workbook of a session
+ * @param {string} baseUrl - Server URL
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} Workbook as read by the xlsx library, with column info and number formats
+ */
+async function downloadWorkbook(baseUrl, sessionId) {
+    const response = await fetch(`${baseUrl}/download/${sessionId}`);
+    if (!response.ok) {
+        throw new Error(`Download failed with status ${response.status}`);
+    }
+    return XLSX.read(Buffer.from(await response.arrayBuffer()), { type: 'buffer', cellStyles: true, cellNF: true });
+}
+
+module.exports = {
+    CAPTCHA_TEXT,
+    startServer,
+    connectOperator,
+    waitForEvent,
+    uploadWorkbook,
+    uploadFile,
+    downloadResults,
+    downloadWorkbook
+};
@@ -0,0 +1,156 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const JobScheduler = require('../src/jobScheduler');
+
+/**
+ * How the job scheduler (src/jobScheduler.js) shares the workers of a backend between jobs.
+ * Every test gets its own scheduler and its own record of started consumers.
+ */
+
+// A consumer whose lookup finishes when the test says so
+function createLookups() {
+    const started = [];
+    const pending = new Map();
+    return {
+        started,
+        runConsumer: (jobId, consumer) => {
+            started.push(`${jobId}:${consumer.consumerNo}`);
+            return new Promise((resolve, reject) => pending.set(consumer.consumerNo, { resolve, reject }));
+        },
+        finish(consumerNo, result = { consumerNo }) {
+            pending.get(consumerNo).resolve(result);
+        },
+        fail(consumerNo, error) {
+            pending.get(consumerNo).reject(error);
+        }
+    };
+}
+
+// Let the scheduler call runConsumer and handle the lookups that finished
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function createConsumers(...numbers) {
+    return numbers.map(consumerNo => ({ consumerNo, company: 'MGVCL' }));
+}
+
+describe('job scheduler', () => {
+    let lookups;
+
+    beforeEach(() => {
+        lookups = createLookups();
+    });
+
+    function createScheduler(policy, maxWorkers = 1) {
+        return new JobScheduler({ drivers: { api: { maxWorkers } }, runConsumer: lookups.runConsumer, policy });
+    }
+
+    it('lets jobs take turns under the round-robin policy', async () => {
+        const scheduler = createScheduler('round-robin');
+        scheduler.addJob({ id: 'a', backend: 'api', consumers: createConsumers('a1', 'a2') });
+        scheduler.addJob({ id: 'b', backend: 'api', consumers: createConsumers('b1', 'b2') });
+
+        for (const consumerNo of ['a1', 'b1', 'a2', 'b2']) {
+            await settle();
+            lookups.finish(consumerNo);
+        }
+        await Promise.all([scheduler.whenJobDone('a'), scheduler.whenJobDone('b')]);
+        assert.deepEqual(lookups.started, ['a:a1', 'b:b1', 'a:a2', 'b:b2']);
+    });
+
+    it('serves the highest priority first under the priority policy', async () => {
+        const scheduler = createScheduler('priority');
+        scheduler.addJob({ id: 'low', backend: 'api', consumers: createConsumers('l1', 'l2') });
+        scheduler.addJob({ id: 'high', backend: 'api', consumers: createConsumers('h1', 'h2'), priority: 5 });
+
+        for (const consumerNo of ['l1', 'h1', 'h2', 'l2']) {
+            await settle();
+            lookups.finish(consumerNo);
+        }
+        await scheduler.whenJobDone('low');
+        // The consumer already running is not interrupted
+        assert.deepEqual(lookups.started, ['low:l1', 'high:h1', 'high:h2', 'low:l2']);
+    });
+
+    it('runs no more consumers of a backend than it has workers', async () => {
+        const scheduler = createScheduler('round-robin', 2);
+        scheduler.addJob({ id: 'a', backend: 'api', consumers: createConsumers('a1', 'a2', 'a3') });
+        await settle();
+
+        assert.deepEqual(lookups.started, ['a:a1', 'a:a2']);
+        assert.deepEqual(scheduler.getStatus().backends.api, { running: 2, capacity: 2 });
+        assert.deepEqual(scheduler.getJobStatus('a').inProgress, ['a1', 'a2']);
+        assert.equal(scheduler.getJobStatus('a').pending, 1);
+    });
+
+    it('reports the original positions and a failed lookup as an error row', async () => {
+        const scheduler = createScheduler('round-robin');
+        const finished = [];
+        scheduler.on('consumer-finished', event => finished.push(event));
+        const jobFinished = new Promise(resolve => scheduler.once('job-finished', resolve));
+
+        scheduler.addJob({ id: 'a', backend: 'api', consumers: createConsumers('a1', 'a2'), indexes: [3, 7] });
+        await settle();
+        lookups.fail('a1', Object.assign(new Error('Invalid consumer number'), { code: 'INVALID_CONSUMER' }));
+        await settle();
+        lookups.finish('a2');
+
+        assert.equal(await jobFinished, 'a');
+        assert.deepEqual(finished.map(({ index, cancelled }) => ({ index, cancelled })), [
+            { index: 3, cancelled: false },
+            { index: 7, cancelled: false }
+        ]);
+        assert.deepEqual(finished[0].result, {
+            consumerNo: 'a1',
+            company: 'MGVCL',
+            error: 'Invalid consumer number',
+            errorCode: 'INVALID_CONSUMER'
+        });
+        assert.equal(scheduler.getJobStatus('a'), null);
+    });
+
+    it('drops the pending consumers of a cancelled job and waits for the ones in flight', async () => {
+        const scheduler = createScheduler('round-robin');
+        const finished = [];
+        scheduler.on('consumer-finished', event => finished.push(event));
+        const jobsFinished = [];
+        scheduler.on('job-finished', jobId => jobsFinished.push(jobId));
+
+        scheduler.addJob({ id: 'a', backend: 'api', consumers: createConsumers('a1', 'a2', 'a3') });
+        await settle();
+        assert.equal(scheduler.cancelJob('a'), 2);
+        assert.equal(scheduler.getJobStatus('a').cancelled, true);
+
+        let done = false;
+        const whenDone = scheduler.whenJobDone('a').then(() => { done = true; });
+        await settle();
+        assert.equal(done, false);
+
+        lookups.finish('a1');
+        await whenDone;
+        assert.deepEqual(lookups.started, ['a:a1']);
+        assert.equal(finished.length, 1);
+        assert.equal(finished[0].cancelled, true);
+        // A cancelled job does not count as finished
+        assert.deepEqual(jobsFinished, []);
+        assert.equal(scheduler.cancelJob('a'), 0);
+    });
+
+    it('rejects unknown policies and backends and a job scheduled twice', () => {
+        assert.throws(() => createScheduler('fastest'), /Unknown scheduling policy/);
+
+        const scheduler = createScheduler('round-robin');
+        assert.throws(() => scheduler.addJob({ id: 'a', backend: 'browser', consumers: [] }), /Unknown backend/);
+        scheduler.addJob({ id: 'a', backend: 'api', consumers: createConsumers('a1') });
+        assert.throws(() => scheduler.addJob({ id: 'a', backend: 'api', consumers: [] }), /already scheduled/);
+    });
+
+    it('finishes a job without consumers at once', async () => {
+        const scheduler = createScheduler('round-robin');
+        const jobFinished = new Promise(resolve => scheduler.once('job-finished', resolve));
+        scheduler.addJob({ id: 'empty', backend: 'api', consumers: [] });
+
+        assert.equal(await jobFinished, 'empty');
+        assert.equal(scheduler.getJobStatus('empty'), null);
+        await scheduler.whenJobDone('empty');
+    });
+});
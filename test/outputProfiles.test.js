@@ -0,0 +1,147 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const {
+    ALL_METADATA,
+    DEFAULT_PROFILE,
+    OutputProfileStore,
+    normalizeProfile,
+    getColumnValue,
+    expandColumns,
+    sortResults
+} = require('../src/outputProfiles');
+
+/**
+ * Output profiles (src/outputProfiles.js): checking a profile, the value of each cell, and the
+ * profile files. Every store test gets its own empty directory.
+ */
+
+const RESULT = {
+    consumerNo: '14102000674',
+    company: 'MGVCL',
+    consumerName: 'RAMESHBHAI K PATEL',
+    amountToPay: '1,245.50',
+    division: 'ALKAPURI',
+    subdivision: 'RACE COURSE',
+    metadata: { Flat: 'A-12' }
+};
+
+const ERROR_ROW = {
+    consumerNo: '14102000704',
+    company: 'MGVCL',
+    error: 'Invalid consumer number',
+    errorCode: 'INVALID_CONSUMER',
+    metadata: { Flat: 'B-3' }
+};
+
+describe('output profiles', () => {
+    it('fill in the headers and widths of the columns', () => {
+        const profile = normalizeProfile({
+            name: 'short',
+            columns: [
+                { field: 'consumerNo' },
+                { field: 'amountToPay', header: 'Due', width: 9 },
+                { template: '{division} / {subdivision}' },
+                { metadata: 'Flat' }
+            ]
+        });
+        assert.deepEqual(profile.columns.map(({ header, width }) => [header, width]), [
+            ['Consumer No.', 15],
+            ['Due', 9],
+            ['{division} / {subdivision}', 20],
+            ['Flat', 20]
+        ]);
+        assert.equal(profile.description, '');
+        assert.deepEqual(profile.sortBy, []);
+    });
+
+    it('reject malformed profiles', () => {
+        assert.throws(() => normalizeProfile({ name: 'no spaces', columns: [{ field: 'consumerNo' }] }), /Profile name/);
+        assert.throws(() => normalizeProfile({ name: 'empty', columns: [] }), /at least one column/);
+        assert.throws(() => normalizeProfile({ name: 'p', columns: [{ field: 'nope' }] }), /unknown field "nope"/);
+        assert.throws(() => normalizeProfile({ name: 'p', columns: [{ template: '{nope}' }] }), /unknown field "nope" in template/);
+        assert.throws(() => normalizeProfile({ name: 'p', columns: [{ field: 'consumerNo', metadata: 'Flat' }] }), /needs one of/);
+        assert.throws(() => normalizeProfile({ name: 'p', columns: [{ field: 'consumerNo', width: -1 }] }), /width/);
+        assert.throws(() => normalizeProfile({ name: 'p', columns: [{ field: 'consumerNo' }], sortBy: 'Office' }), /sortBy/);
+    });
+
+    it('write numbers as numbers and leave the bill fields of error rows empty', () => {
+        const [amount, office, flat, status, name] = normalizeProfile({
+            name: 'p',
+            columns: [
+                { field: 'amountToPay' },
+                { template: '{division} / {subdivision}' },
+                { metadata: 'Flat' },
+                { field: 'status' },
+                { field: 'consumerName' }
+            ]
+        }).columns;
+
+        assert.equal(getColumnValue(RESULT, amount, 1), 1245.5);
+        assert.equal(getColumnValue(RESULT, office, 1), 'ALKAPURI / RACE COURSE');
+        assert.equal(getColumnValue(RESULT, flat, 1), 'A-12');
+        assert.equal(getColumnValue(RESULT, status, 1), 'Success');
+
+        assert.equal(getColumnValue(ERROR_ROW, amount, 2), '');
+        assert.equal(getColumnValue(ERROR_ROW, office, 2), '');
+        assert.equal(getColumnValue(ERROR_ROW, flat, 2), 'B-3');
+        assert.equal(getColumnValue(ERROR_ROW, status, 2), 'Error: INVALID_CONSUMER');
+        assert.equal(getColumnValue(ERROR_ROW, name, 2), '');
+    });
+
+    it('expand the all-metadata column and sort by column headers', () => {
+        const columns = expandColumns(normalizeProfile({
+            name: 'p',
+            columns: [{ field: 'amountToPay', header: 'Due' }, { metadata: ALL_METADATA }]
+        }).columns, ['Flat', 'Tenant']);
+        assert.deepEqual(columns.map(column => column.header), ['Due', 'Flat', 'Tenant']);
+
+        const results = [
+            { ...RESULT, amountToPay: '900' },
+            ERROR_ROW,
+            { ...RESULT, amountToPay: '80' }
+        ];
+        const sorted = sortResults(results, columns, ['Due', 'Missing']);
+        // Numbers compare as numbers, the empty amount of the error row goes last
+        assert.deepEqual(sorted.map(result => result.amountToPay), ['80', '900', undefined]);
+        assert.equal(sortResults(results, columns, ['Missing']), results);
+    });
+
+    describe('store', () => {
+        let baseDir;
+        let store;
+
+        beforeEach(async () => {
+            baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'output-profiles-'));
+            store = new OutputProfileStore(baseDir);
+        });
+
+        afterEach(async () => {
+            await fs.remove(baseDir);
+        });
+
+        it('saves, lists and removes profiles next to the built-in default', async () => {
+            assert.equal((await store.get()).name, DEFAULT_PROFILE.name);
+            assert.equal(await store.get('short'), null);
+            assert.equal(await store.get('../short'), null);
+
+            await store.save({ name: 'short', columns: [{ field: 'consumerNo' }] });
+            assert.deepEqual((await store.list()).map(profile => profile.name), ['default', 'short']);
+            assert.equal((await store.get('short')).columns[0].header, 'Consumer No.');
+
+            assert.equal(await store.remove('short'), true);
+            assert.equal(await store.remove('short'), false);
+            assert.deepEqual((await store.list()).map(profile => profile.name), ['default']);
+        });
+
+        it('keeps the default profile as it is and skips broken files', async () => {
+            await assert.rejects(store.save({ ...DEFAULT_PROFILE }), /cannot be changed/);
+            assert.equal(await store.remove('default'), false);
+
+            await fs.writeFile(path.join(baseDir, 'broken.json'), '{ "name": "broken" }');
+            assert.deepEqual((await store.list()).map(profile => profile.name), ['default']);
+        });
+    });
+});
@@ -0,0 +1,140 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { WebhookNotifier, normalizeWebhook, signPayload } = require('../src/webhooks');
+
+/**
+ * Outgoing webhooks (src/webhooks.js): checking a webhook, signing a delivery and retrying
+ * failed ones. Every test gets its own webhook directory and its own receiver.
+ */
+
+// Local receiver answering each delivery with the next status of the list (the last one repeats)
+async function startReceiver(statuses) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        stop: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// Wait until the delivery log holds the given number of attempts
+async function waitForAttempts(notifier, count) {
+    const deadline = Date.now() + 5000;
+    for (;;) {
+        const deliveries = await notifier.getDeliveries();
+        if (deliveries.length >= count) return deliveries.reverse();
+        if (Date.now() > deadline) {
+            assert.fail(`Expected ${count} delivery attempts, got ${deliveries.length}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+describe('webhooks', () => {
+    it('sign the body with HMAC-SHA256 of the secret', () => {
+        const body = JSON.stringify({ event: 'job-finished' });
+        const expected = crypto.createHmac('sha256', 'secret').update(body).digest('hex');
+        assert.equal(signPayload(body, 'secret'), `sha256=${expected}`);
+        assert.notEqual(signPayload(body, 'other'), signPayload(body, 'secret'));
+    });
+
+    it('reject malformed webhooks and fill in the defaults', () => {
+        assert.deepEqual(normalizeWebhook({ name: 'erp', url: 'https://example.com/hook' }), {
+            name: 'erp',
+            url: 'https://example.com/hook',
+            secret: '',
+            events: []
+        });
+        assert.deepEqual(normalizeWebhook({ name: 'erp', url: 'http://example.com', events: ['job-finished', 'job-finished'] }).events, ['job-finished']);
+
+        assert.throws(() => normalizeWebhook({ name: 'no spaces', url: 'https://example.com' }), /names may only contain/);
+        assert.throws(() => normalizeWebhook({ name: 'erp', url: 'not a url' }), /is not valid/);
+        assert.throws(() => normalizeWebhook({ name: 'erp', url: 'ftp://example.com' }), /http or https/);
+        assert.throws(() => normalizeWebhook({ name: 'erp', url: 'https://example.com', secret: 42 }), /secret must be text/);
+        assert.throws(() => normalizeWebhook({ name: 'erp', url: 'https://example.com', events: ['job-paused'] }), /Unknown webhook events: job-paused/);
+    });
+
+    describe('deliveries', () => {
+        let baseDir;
+        let receiver;
+
+        beforeEach(async () => {
+            baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'webhooks-'));
+        });
+
+        afterEach(async () => {
+            if (receiver) {
+                await receiver.stop();
+                receiver = null;
+            }
+            await fs.remove(baseDir);
+        });
+
+        it('are signed and retried with the same delivery ID until the receiver takes them', async () => {
+            receiver = await startReceiver([500, 503, 200]);
+            const notifier = new WebhookNotifier({ baseDir, maxAttempts: 5, retryDelayMs: 10 });
+            await notifier.save({ name: 'erp', url: receiver.url, secret: 'secret' });
+
+            assert.equal(await notifier.notify('job-finished', { jobId: '1' }), 1);
+            const attempts = await waitForAttempts(notifier, 3);
+
+            assert.deepEqual(attempts.map(({ attempt, delivered, status }) => ({ attempt, delivered, status })), [
+                { attempt: 1, delivered: false, status: 500 },
+                { attempt: 2, delivered: false, status: 503 },
+                { attempt: 3, delivered: true, status: 200 }
+            ]);
+            assert.equal(attempts[0].error, 'Receiver answered 500');
+            assert.equal(receiver.requests.length, 3);
+
+            const ids = new Set(receiver.requests.map(request => request.headers['x-webhook-delivery']));
+            assert.equal(ids.size, 1);
+            const { headers, body } = receiver.requests[2];
+            assert.equal(headers['x-webhook-event'], 'job-finished');
+            assert.equal(headers['x-webhook-signature'], signPayload(body, 'secret'));
+            assert.deepEqual(JSON.parse(body).data, { jobId: '1' });
+            assert.equal(JSON.parse(body).id, attempts[0].id);
+        });
+
+        it('give up after the last attempt', async () => {
+            receiver = await startReceiver([500]);
+            const notifier = new WebhookNotifier({ baseDir, maxAttempts: 2, retryDelayMs: 10 });
+            await notifier.save({ name: 'erp', url: receiver.url });
+
+            await notifier.notify('job-started', { jobId: '1' });
+            await waitForAttempts(notifier, 2);
+            // Long enough for a third attempt, were there one
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            assert.equal((await notifier.getDeliveries()).length, 2);
+            assert.equal(receiver.requests.length, 2);
+            assert.equal(receiver.requests[0].headers['x-webhook-signature'], undefined);
+        });
+
+        it('only go to the webhooks that receive the event', async () => {
+            receiver = await startReceiver([200]);
+            const notifier = new WebhookNotifier({ baseDir, retryDelayMs: 10 });
+            await notifier.save({ name: 'finished-only', url: receiver.url, events: ['job-finished'] });
+            await notifier.save({ name: 'all', url: receiver.url });
+
+            assert.equal(await notifier.notify('job-started', { jobId: '1' }), 1);
+            const [attempt] = await waitForAttempts(notifier, 1);
+            assert.equal(attempt.webhook, 'all');
+            assert.deepEqual(await notifier.getDeliveries({ webhook: 'finished-only' }), []);
+        });
+    });
+});